@@ -0,0 +1,566 @@
+/**
+ * Album Admin
+ * Local curation page served by `node index.js admin`: pick the cover photo, drag photos
+ * into order, hide or remove photos and edit the album name, photographer and date.
+ * Changes stay in a draft until Save sends them to the admin server, which validates them,
+ * backs up the album JSON and writes it.
+ */
+
+// Query parameter of the album being edited (admin page only)
+const ADMIN_ALBUM_PARAM = 'album';
+
+// Album order values written to the album JSON "order" field (capture time is the default)
+const CAPTURE_ORDER = 'capture';
+const MANUAL_ORDER = 'manual';
+
+// Album summaries from /api/albums
+let adminAlbums = [];
+
+// Album being edited: its folder name, the JSON as saved and the revision the draft started from
+let editingAlbumName = null;
+let savedAlbum = null;
+let savedRevision = null;
+
+// Unsaved changes: {name, photographer, date, coverPhoto, order, photos: [{webp, entry, hidden, removed}]}
+let draft = null;
+let hasUnsavedChanges = false;
+
+// Index of the photo being dragged
+let draggedIndex = null;
+
+/**
+ * Initialize the admin page
+ */
+async function initAdmin() {
+    const form = document.getElementById('admin-album-form');
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveDraft();
+    });
+
+    document.getElementById('admin-discard').addEventListener('click', () => {
+        if (hasUnsavedChanges && !confirm('Discard your unsaved changes?')) {
+            return;
+        }
+        startDraft(savedAlbum);
+        hideStatus();
+    });
+
+    [['admin-name', 'name'], ['admin-photographer', 'photographer'], ['admin-date', 'date']].forEach(([id, field]) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+            draft[field] = e.target.value;
+            markUnsaved();
+        });
+    });
+
+    document.getElementById('admin-order').addEventListener('change', (e) => {
+        setDraftOrder(e.target.value);
+    });
+
+    window.addEventListener('beforeunload', (e) => {
+        if (hasUnsavedChanges) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+
+    await loadAdminAlbums();
+
+    const albumParam = new URLSearchParams(window.location.search).get(ADMIN_ALBUM_PARAM);
+    if (albumParam) {
+        await openAlbum(albumParam);
+    }
+}
+
+/**
+ * Call the admin API, turning error responses into errors with the server's exact message
+ * @param {string} url - API URL
+ * @param {Object} [options] - fetch() options
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function fetchAdminApi(url, options) {
+    const response = await fetch(url, options);
+    let body = null;
+
+    try {
+        body = await response.json();
+    } catch (error) {
+        throw new Error(`${url} returned HTTP ${response.status} without JSON`);
+    }
+
+    if (!response.ok) {
+        const error = new Error(body.error || `${url} returned HTTP ${response.status}`);
+        error.problems = body.problems;
+        throw error;
+    }
+
+    return body;
+}
+
+/**
+ * Load the album list into the sidebar
+ */
+async function loadAdminAlbums() {
+    try {
+        adminAlbums = (await fetchAdminApi('/api/albums')).albums;
+        renderAlbumList();
+    } catch (error) {
+        showStatus('error', `Could not load the album list: ${error.message}`);
+        document.getElementById('admin-empty').textContent = `Could not load the album list: ${error.message}`;
+    }
+}
+
+/**
+ * Render the sidebar album list, newest first, marking the album being edited
+ */
+function renderAlbumList() {
+    const list = document.getElementById('admin-album-list');
+
+    const items = [...adminAlbums]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .map(album => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'admin-album-button';
+            button.classList.toggle('current', album.folderName === editingAlbumName);
+
+            const name = document.createElement('span');
+            name.className = 'admin-album-name';
+            name.textContent = album.name || album.folderName;
+
+            const count = document.createElement('span');
+            count.className = 'admin-album-count';
+            count.textContent = `${album.photoCount} photo${album.photoCount === 1 ? '' : 's'} shown`;
+
+            button.append(name, count);
+            button.addEventListener('click', () => openAlbum(album.folderName));
+
+            item.appendChild(button);
+            return item;
+        });
+
+    list.replaceChildren(...items);
+}
+
+/**
+ * Load an album into the editor
+ * @param {string} albumName - Album folder name
+ */
+async function openAlbum(albumName) {
+    if (albumName === editingAlbumName) {
+        return;
+    }
+    if (hasUnsavedChanges && !confirm('Discard your unsaved changes to this album?')) {
+        return;
+    }
+
+    try {
+        const { album, revision } = await fetchAdminApi(`/api/albums/${encodeURIComponent(albumName)}`);
+
+        editingAlbumName = albumName;
+        savedAlbum = album;
+        savedRevision = revision;
+
+        const url = new URL(window.location.href);
+        url.searchParams.set(ADMIN_ALBUM_PARAM, albumName);
+        history.replaceState(null, '', url);
+
+        hideStatus();
+        startDraft(album);
+        renderAlbumList();
+    } catch (error) {
+        showStatus('error', `Could not load album "${albumName}": ${error.message}`);
+    }
+}
+
+/**
+ * Start a fresh draft from saved album data and render the editor
+ * @param {Object} album - Album JSON data
+ */
+function startDraft(album) {
+    const photos = Array.isArray(album.photos) ? album.photos : [];
+
+    draft = {
+        name: album.name || '',
+        photographer: album.photographer || '',
+        date: album.date || '',
+        coverPhoto: album.coverPhoto,
+        order: album.order === MANUAL_ORDER ? MANUAL_ORDER : CAPTURE_ORDER,
+        photos: photos.map(entry => ({
+            webp: getEntryFilename(entry),
+            entry,
+            hidden: Boolean(entry && entry.hidden),
+            removed: false
+        }))
+    };
+
+    // Show the photos in the order visitors see them
+    if (draft.order === CAPTURE_ORDER) {
+        sortDraftByCaptureTime();
+    }
+
+    hasUnsavedChanges = false;
+    renderEditor();
+}
+
+/**
+ * Get the webP filename of a photo entry (old entries are just the filename)
+ * @param {string|Object} entry - Photo entry from the album JSON
+ * @returns {string} WebP filename
+ */
+function getEntryFilename(entry) {
+    return typeof entry === 'string' ? entry : entry.webp;
+}
+
+/**
+ * Sort the draft photos by capture time like the album page does
+ * Photos without a capture time keep their order after the dated photos
+ */
+function sortDraftByCaptureTime() {
+    const captureTime = photo => {
+        const time = photo.entry && photo.entry.takenAt ? Date.parse(photo.entry.takenAt) : NaN;
+        return isNaN(time) ? Infinity : time;
+    };
+
+    draft.photos.sort((a, b) => {
+        const timeA = captureTime(a);
+        const timeB = captureTime(b);
+        return timeA === timeB ? 0 : timeA - timeB;
+    });
+}
+
+/**
+ * Switch the draft between capture-time order and the order arranged here
+ * @param {string} order - CAPTURE_ORDER or MANUAL_ORDER
+ */
+function setDraftOrder(order) {
+    draft.order = order;
+    if (order === CAPTURE_ORDER) {
+        sortDraftByCaptureTime();
+    }
+    markUnsaved();
+    renderEditor();
+}
+
+/**
+ * Note that the draft differs from the saved album
+ */
+function markUnsaved() {
+    hasUnsavedChanges = true;
+    document.getElementById('admin-save').disabled = false;
+    renderSummary();
+}
+
+/**
+ * Render the whole editor from the draft
+ */
+function renderEditor() {
+    document.getElementById('admin-empty').hidden = true;
+    document.getElementById('admin-album-form').hidden = false;
+    document.getElementById('admin-album-heading').textContent = editingAlbumName;
+
+    document.getElementById('admin-name').value = draft.name;
+    document.getElementById('admin-photographer').value = draft.photographer;
+    document.getElementById('admin-date').value = draft.date;
+    document.getElementById('admin-order').value = draft.order;
+    document.getElementById('admin-save').disabled = !hasUnsavedChanges;
+
+    renderSummary();
+    renderPhotoTiles();
+}
+
+/**
+ * Render the photo counts above the grid
+ */
+function renderSummary() {
+    const shown = draft.photos.filter(photo => !photo.hidden && !photo.removed).length;
+    const hidden = draft.photos.filter(photo => photo.hidden && !photo.removed).length;
+    const removed = draft.photos.filter(photo => photo.removed).length;
+
+    const parts = [`${shown} shown`];
+    if (hidden > 0) {
+        parts.push(`${hidden} hidden`);
+    }
+    if (removed > 0) {
+        parts.push(`${removed} to be removed`);
+    }
+
+    document.getElementById('admin-summary').textContent =
+        `${parts.join(' • ')}${hasUnsavedChanges ? ' • Unsaved changes' : ''}`;
+}
+
+/**
+ * Render the photo grid from the draft
+ */
+function renderPhotoTiles() {
+    const grid = document.getElementById('admin-photo-grid');
+    grid.replaceChildren(...draft.photos.map((photo, index) => createPhotoTile(photo, index)));
+}
+
+/**
+ * Create the tile for one draft photo: thumbnail, state badges and actions
+ * @param {Object} photo - Draft photo ({webp, entry, hidden, removed})
+ * @param {number} index - Position in the draft
+ * @returns {HTMLElement} Tile element
+ */
+function createPhotoTile(photo, index) {
+    const isCover = photo.webp === draft.coverPhoto;
+    const isOldEntry = typeof photo.entry === 'string';
+
+    const tile = document.createElement('li');
+    tile.className = 'admin-photo';
+    tile.classList.toggle('is-cover', isCover);
+    tile.classList.toggle('is-hidden', photo.hidden);
+    tile.classList.toggle('is-removed', photo.removed);
+    tile.draggable = true;
+    tile.dataset.index = index;
+
+    const image = document.createElement('img');
+    image.className = 'admin-photo-image';
+    image.alt = photo.webp;
+    image.loading = 'lazy';
+    image.draggable = false;
+    const hash = photo.entry && typeof photo.entry === 'object' ? photo.entry.hash : undefined;
+    setPhotoImageSource(image, getPhotoUrl(`${editingAlbumName}/${getThumbnailFolder(photo.entry)}/${photo.webp}`, hash));
+
+    const badges = document.createElement('div');
+    badges.className = 'admin-photo-badges';
+    [
+        [isCover, 'Cover'],
+        [photo.entry && photo.entry.type === 'video', 'Video'],
+        [photo.hidden && !photo.removed, 'Hidden'],
+        [photo.removed, 'Will be removed']
+    ]
+        .filter(([show]) => show)
+        .forEach(([, label]) => {
+            const badge = document.createElement('span');
+            badge.className = 'admin-photo-badge';
+            badge.textContent = label;
+            badges.appendChild(badge);
+        });
+
+    const name = document.createElement('span');
+    name.className = 'admin-photo-name';
+    name.textContent = `${index + 1}. ${photo.webp}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'admin-photo-actions';
+    actions.append(
+        createTileButton('←', `Move ${photo.webp} earlier`, index === 0, () => movePhoto(index, index - 1)),
+        createTileButton('→', `Move ${photo.webp} later`, index === draft.photos.length - 1, () => movePhoto(index, index + 1)),
+        createTileButton('Cover', 'Use as the album cover', isCover || photo.hidden || photo.removed, () => {
+            draft.coverPhoto = photo.webp;
+            markUnsaved();
+            renderPhotoTiles();
+        }),
+        createTileButton(
+            photo.hidden ? 'Show' : 'Hide',
+            isCover ? 'Pick another cover before hiding this photo'
+                : isOldEntry ? 'Older filename-only entries can only be removed'
+                : photo.hidden ? 'Show this photo on the site again' : 'Keep this photo in the JSON but hide it on the site',
+            photo.removed || (!photo.hidden && (isCover || isOldEntry)),
+            () => {
+                photo.hidden = !photo.hidden;
+                markUnsaved();
+                renderPhotoTiles();
+            }
+        ),
+        createTileButton(
+            photo.removed ? 'Keep' : 'Remove',
+            isCover ? 'Pick another cover before removing this photo'
+                : photo.removed ? 'Keep this photo in the album' : 'Take this photo out of the album JSON on save',
+            !photo.removed && isCover,
+            () => {
+                photo.removed = !photo.removed;
+                markUnsaved();
+                renderPhotoTiles();
+            }
+        )
+    );
+
+    tile.append(image, badges, name, actions);
+    addTileDragHandlers(tile, index);
+
+    return tile;
+}
+
+/**
+ * Get the folder holding a photo's smallest webP (thumb for albums with size tiers, otherwise low)
+ * @param {string|Object} entry - Photo entry from the album JSON
+ * @returns {string} Folder name
+ */
+function getThumbnailFolder(entry) {
+    return entry && typeof entry === 'object' && entry.sizes && entry.sizes.thumb ? 'thumb' : 'low';
+}
+
+/**
+ * Create a small action button for a photo tile
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip and accessible description
+ * @param {boolean} disabled - Whether the action is unavailable
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createTileButton(label, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'admin-photo-button';
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute('aria-label', `${label}: ${title}`);
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Let a tile be dragged onto another tile to move it there
+ * @param {HTMLElement} tile - Tile element
+ * @param {number} index - Tile position in the draft
+ */
+function addTileDragHandlers(tile, index) {
+    tile.addEventListener('dragstart', (e) => {
+        draggedIndex = index;
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag with data set
+        e.dataTransfer.setData('text/plain', String(index));
+        tile.classList.add('dragging');
+    });
+
+    tile.addEventListener('dragend', () => {
+        draggedIndex = null;
+        tile.classList.remove('dragging');
+        document.querySelectorAll('.admin-photo.drop-target').forEach(target => target.classList.remove('drop-target'));
+    });
+
+    tile.addEventListener('dragover', (e) => {
+        if (draggedIndex === null || draggedIndex === index) {
+            return;
+        }
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        tile.classList.add('drop-target');
+    });
+
+    tile.addEventListener('dragleave', () => {
+        tile.classList.remove('drop-target');
+    });
+
+    tile.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (draggedIndex !== null && draggedIndex !== index) {
+            movePhoto(draggedIndex, index);
+        }
+    });
+}
+
+/**
+ * Move a photo to another position, switching the album to the order arranged here
+ * @param {number} from - Current position
+ * @param {number} to - New position
+ */
+function movePhoto(from, to) {
+    const [photo] = draft.photos.splice(from, 1);
+    draft.photos.splice(to, 0, photo);
+
+    draft.order = MANUAL_ORDER;
+    document.getElementById('admin-order').value = MANUAL_ORDER;
+
+    markUnsaved();
+    renderPhotoTiles();
+
+    // Keep keyboard focus on the moved photo
+    const movedTile = document.querySelector(`.admin-photo[data-index="${to}"]`);
+    if (movedTile && document.activeElement === document.body) {
+        movedTile.querySelector('.admin-photo-button:not(:disabled)').focus();
+    }
+}
+
+/**
+ * Send the draft to the admin server
+ */
+async function saveDraft() {
+    const removed = draft.photos.filter(photo => photo.removed);
+
+    if (removed.length > 0 &&
+        !confirm(`Remove ${removed.length} photo${removed.length === 1 ? '' : 's'} from the album JSON? The files stay in albums/ and on the photo server, and a backup of the JSON is kept.`)) {
+        return;
+    }
+
+    const saveButton = document.getElementById('admin-save');
+    saveButton.disabled = true;
+    showStatus('info', 'Saving...');
+
+    const changes = {
+        name: draft.name,
+        photographer: draft.photographer,
+        date: draft.date.trim(),
+        coverPhoto: draft.coverPhoto,
+        order: draft.order,
+        photos: draft.photos
+            .filter(photo => !photo.removed)
+            .map(photo => ({ webp: photo.webp, hidden: photo.hidden }))
+    };
+
+    try {
+        const result = await fetchAdminApi(`/api/albums/${encodeURIComponent(editingAlbumName)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ revision: savedRevision, changes })
+        });
+
+        savedAlbum = result.album;
+        savedRevision = result.revision;
+        startDraft(savedAlbum);
+
+        showStatus('success', `Saved public/albums/${editingAlbumName}.json and regenerated albums.json, album-index.json and the share pages. Backup: ${result.backup}`);
+        await loadAdminAlbums();
+    } catch (error) {
+        saveButton.disabled = false;
+        showStatus('error', error.message, error.problems);
+    }
+}
+
+/**
+ * Show a message above the editor
+ * @param {string} type - 'info', 'success' or 'error'
+ * @param {string} message - Message text
+ * @param {string[]} [problems] - Individual problems to list under the message
+ */
+function showStatus(type, message, problems) {
+    const status = document.getElementById('admin-status');
+    status.className = `admin-status ${type}`;
+
+    const text = document.createElement('p');
+    text.textContent = message;
+    status.replaceChildren(text);
+
+    if (Array.isArray(problems) && problems.length > 0) {
+        const list = document.createElement('ul');
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            list.appendChild(item);
+        });
+        status.appendChild(list);
+    }
+
+    status.hidden = false;
+}
+
+/**
+ * Hide the status message
+ */
+function hideStatus() {
+    document.getElementById('admin-status').hidden = true;
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAdmin);
+} else {
+    // DOM already loaded
+    initAdmin();
+}
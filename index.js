@@ -1 +1,91 @@
-console.log('Happy developing ✨')
+/**
+ * Pi Kappa Phi Photo Gallery - Node Tooling
+ * Command-line entry point for the local build steps that run alongside upload.sh
+ *
+ * Usage:
+ *   node index.js <command> [album-name...] [options]
+ */
+
+const { a11y } = require('./lib/a11y');
+const { admin } = require('./lib/admin-server');
+const { generateAlbumIndex } = require('./lib/album-index');
+const { generateFeeds } = require('./lib/feeds');
+const { ingest } = require('./lib/ingest');
+const { serve } = require('./lib/dev-server');
+const { generateSharePages } = require('./lib/share-pages');
+const { validate } = require('./lib/validate');
+
+// Available commands and the function that runs each one
+const COMMANDS = {
+    index: {
+        description: 'Generate public/album-index.json from public/albums/*.json',
+        run: generateAlbumIndex
+    },
+    share: {
+        description: 'Generate public/share/<name>.html link preview pages (Open Graph tags and JSON-LD) for every album',
+        run: generateSharePages
+    },
+    feed: {
+        description: 'Generate public/feed.xml (Atom feed of albums) and public/sitemap.xml from albums.json and the album JSON',
+        run: generateFeeds
+    },
+    ingest: {
+        description: 'Write EXIF metadata from albums/<name>/full/ into the album JSON (all albums if none named)',
+        run: ingest
+    },
+    validate: {
+        description: 'Check album JSON, albums.json and photo files; --photo-root <dir> also checks a copy of the nginx root',
+        run: validate
+    },
+    serve: {
+        description: 'Serve public/ at localhost:5000 and albums/ as a mock photo origin at localhost:8081 (--port, --photo-port, --photo-origin <url>)',
+        run: serve
+    },
+    admin: {
+        description: 'Curate albums at localhost:5050: cover, photo order, hidden/removed photos, name, photographer and date (--port, --photo-origin <url>)',
+        run: admin
+    },
+    a11y: {
+        description: 'Run axe in headless Chrome on index.html, an album\'s photo grid and its open lightbox (first album if none named; --port, --photo-port)',
+        run: a11y
+    }
+};
+
+/**
+ * Print usage information with the list of available commands
+ */
+function printUsage() {
+    console.log('Usage: node index.js <command> [album-name...] [options]');
+    console.log('');
+    console.log('Commands:');
+    Object.entries(COMMANDS).forEach(([name, command]) => {
+        console.log(`  ${name.padEnd(12)} ${command.description}`);
+    });
+}
+
+/**
+ * Run the command named on the command line
+ */
+async function main() {
+    const [commandName, ...args] = process.argv.slice(2);
+    const command = COMMANDS[commandName];
+
+    if (!command) {
+        if (commandName) {
+            console.error(`Unknown command: ${commandName}`);
+            console.error('');
+        }
+        printUsage();
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await command.run(args);
+    } catch (error) {
+        console.error(`Command "${commandName}" failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,171 @@
+/**
+ * Accessibility Check
+ * Starts the dev server, opens the site in headless Chrome (puppeteer) and runs axe (axe-core)
+ * against the home page, an album's photo grid and the album with the lightbox open.
+ * Fails when axe reports WCAG 2.1 A/AA violations.
+ *
+ * Uses the Chrome puppeteer downloads on install; set PUPPETEER_EXECUTABLE_PATH to use another.
+ */
+
+const { listAlbumNames } = require('./album-files');
+const { parseServeArgs, startDevServers } = require('./dev-server');
+
+// Ports of the servers started for the check, next to `node index.js serve`'s so both can run
+const A11Y_SERVER_ARGS = ['--port', '5100', '--photo-port', '8181'];
+
+// Rules axe runs: WCAG 2.0 and 2.1, levels A and AA
+const AXE_OPTIONS = {
+    runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] }
+};
+
+// How long a page gets to render its albums, photos or lightbox (milliseconds)
+const PAGE_TIMEOUT = 30000;
+
+/**
+ * Split the a11y command's arguments into album names and dev server options
+ * @param {string[]} args - Arguments from the command line
+ * @returns {{albumNames: string[], serverArgs: string[]}} Album names and --port/--photo-port/--photo-origin options
+ */
+function parseA11yArgs(args) {
+    const albumNames = [];
+    const serverArgs = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (!arg.startsWith('--')) {
+            albumNames.push(arg);
+            continue;
+        }
+
+        serverArgs.push(arg);
+        if (!arg.includes('=') && i + 1 < args.length) {
+            serverArgs.push(args[++i]);
+        }
+    }
+
+    return { albumNames, serverArgs };
+}
+
+/**
+ * Run axe on the page as it is now and print what it found
+ * @param {import('puppeteer').Page} page - Page to check
+ * @param {string} label - What is being checked, for the output
+ * @returns {Promise<number>} Number of violations
+ */
+async function checkPage(page, label) {
+    await page.addScriptTag({ path: require.resolve('axe-core') });
+    const { violations } = await page.evaluate(options => window.axe.run(document, options), AXE_OPTIONS);
+
+    if (violations.length === 0) {
+        console.log(`  ✓ ${label}`);
+        return 0;
+    }
+
+    console.log(`  ✗ ${label}: ${violations.length} violation(s)`);
+    violations.forEach(violation => {
+        console.log(`    [${violation.impact}] ${violation.id}: ${violation.help} (${violation.helpUrl})`);
+        violation.nodes.forEach(node => {
+            console.log(`      ${node.target.join(' ')}`);
+        });
+    });
+
+    return violations.length;
+}
+
+/**
+ * Check the home page, and the photo grid and the open lightbox of each album
+ * @param {import('puppeteer').Browser} browser - Headless browser
+ * @param {string} siteUrl - Dev server site URL
+ * @param {string[]} albumNames - Album folder names
+ * @returns {Promise<number>} Number of violations on all pages
+ */
+async function checkSite(browser, siteUrl, albumNames) {
+    const page = await browser.newPage();
+    page.setDefaultTimeout(PAGE_TIMEOUT);
+
+    // Pages load straight from the dev server, not from a service worker cache of an earlier run
+    await page.setBypassServiceWorker(true);
+    page.on('pageerror', error => console.warn(`  Page error: ${error.message}`));
+
+    let violationCount = 0;
+
+    await page.goto(`${siteUrl}/index.html`, { waitUntil: 'networkidle0' });
+    await page.waitForSelector('.album-card');
+    violationCount += await checkPage(page, 'index.html');
+
+    for (const albumName of albumNames) {
+        const albumUrl = `${siteUrl}/album.html?album=${encodeURIComponent(albumName)}`;
+
+        await page.goto(albumUrl, { waitUntil: 'networkidle0' });
+        await page.waitForSelector('.photo-thumbnail-link');
+        violationCount += await checkPage(page, `album.html?album=${albumName} (photo grid)`);
+
+        // Open the lightbox the way a keyboard user would: first thumbnail, then Enter
+        await page.focus('.photo-thumbnail-link');
+        await page.keyboard.press('Enter');
+        await page.waitForSelector('.glightbox-container[role="dialog"] .download-share-controls');
+        // Let GLightbox's opening animation finish
+        await page.waitForNetworkIdle();
+        violationCount += await checkPage(page, `album.html?album=${albumName} (lightbox open)`);
+    }
+
+    return violationCount;
+}
+
+/**
+ * Run the accessibility check on the named albums (the first album in /public/albums when none are named)
+ * @param {string[]} args - Album names and dev server options from the command line
+ */
+async function a11y(args) {
+    const { albumNames, serverArgs } = parseA11yArgs(args);
+    const targets = albumNames.length > 0 ? albumNames : (await listAlbumNames()).slice(0, 1);
+
+    if (targets.length === 0) {
+        throw new Error('No albums in public/albums to check');
+    }
+
+    // Loaded here so the other commands work without the dev dependencies installed
+    let puppeteer;
+    try {
+        puppeteer = require('puppeteer');
+        require.resolve('axe-core');
+    } catch (error) {
+        throw new Error('puppeteer and axe-core are needed - run `npm install` first');
+    }
+
+    const { siteUrl, servers } = await startDevServers(parseServeArgs([...A11Y_SERVER_ARGS, ...serverArgs]));
+    let browser = null;
+
+    try {
+        try {
+            // Chrome's sandbox doesn't start as root (CI containers)
+            browser = await puppeteer.launch({
+                args: process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []
+            });
+        } catch (error) {
+            throw new Error('Chrome could not be started - run `npx puppeteer browsers install chrome-headless-shell` ' +
+                `or set PUPPETEER_EXECUTABLE_PATH to a Chrome\n${error.message}`);
+        }
+
+        console.log(`Checking ${siteUrl} with axe (WCAG 2.1 A/AA)`);
+        const violationCount = await checkSite(browser, siteUrl, targets);
+
+        if (violationCount > 0) {
+            throw new Error(`${violationCount} accessibility violation(s) found`);
+        }
+        console.log('No accessibility violations found');
+    } finally {
+        if (browser) {
+            await browser.close();
+        }
+        servers.forEach(server => {
+            server.close();
+            server.closeAllConnections();
+        });
+    }
+}
+
+module.exports = {
+    a11y
+};
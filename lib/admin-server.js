@@ -0,0 +1,417 @@
+/**
+ * Local Admin Server
+ * Serves the album curation page (/admin) and the JSON API it saves through, so the cover
+ * photo, photo order, hidden photos and album details can be changed without hand-editing
+ * album JSON or re-running upload.sh.
+ *
+ * Only listens on this machine. Every save backs up the album JSON to /backups/albums first,
+ * writes the new file atomically, then regenerates albums.json, album-index.json and the share pages.
+ */
+
+const crypto = require('crypto');
+const fsPromises = require('fs/promises');
+const http = require('http');
+const path = require('path');
+const {
+    ROOT_DIR,
+    PUBLIC_DIR,
+    listAlbumNames,
+    getAlbumJsonPath,
+    fileExists,
+    readAlbum,
+    writeAlbum,
+    backupAlbum
+} = require('./album-files');
+const {
+    getPhotoFilename,
+    summarizeAlbum,
+    generateAlbumIndex,
+    generateAlbumsManifest
+} = require('./album-index');
+const { generateFeeds } = require('./feeds');
+const { generateSharePages } = require('./share-pages');
+const { PHOTO_ORDERS, createReport, validateAlbumFields } = require('./validate');
+const {
+    CONTENT_TYPES,
+    DEV_HOST,
+    resolveInside,
+    statFile,
+    sendText,
+    sendFile,
+    listen
+} = require('./dev-server');
+
+// Admin page files (not in /public, so they are never deployed to Firebase)
+const ADMIN_DIR = path.join(ROOT_DIR, 'admin');
+
+// Default port (next to the dev server's 5000)
+const DEFAULT_ADMIN_PORT = 5050;
+
+// Script injected into the admin page when --photo-origin overrides SITE_CONFIG.photoOrigins
+const ADMIN_CONFIG_PATH = '/__admin/config.js';
+
+// API routes: /api/albums and /api/albums/[album-name]
+const ALBUM_API_PATTERN = /^\/api\/albums(?:\/([^/]+))?$/;
+
+// Largest request body accepted (an album's curation changes are a few KB per hundred photos)
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Parse the admin command's arguments
+ * @param {string[]} args - Options from the command line
+ * @returns {{port: number, photoOrigin: string|null}} Server options
+ */
+function parseAdminArgs(args) {
+    const options = { port: DEFAULT_ADMIN_PORT, photoOrigin: null };
+
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inlineValue] = args[i].split(/=(.*)/s);
+        const value = inlineValue !== undefined ? inlineValue : args[++i];
+
+        if (value === undefined) {
+            throw new Error(`${flag} needs a value`);
+        }
+
+        if (flag === '--port') {
+            const port = Number(value);
+            if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                throw new Error(`${flag} must be a port number, got "${value}"`);
+            }
+            options.port = port;
+        } else if (flag === '--photo-origin') {
+            options.photoOrigin = value.replace(/\/+$/, '');
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Create an error that is reported to the admin page with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Exact problem, shown on the admin page
+ * @param {string[]} [problems] - Individual validation errors
+ * @returns {Error} Error with status (and problems) attached
+ */
+function createRequestError(status, message, problems) {
+    const error = new Error(message);
+    error.status = status;
+    error.problems = problems;
+    return error;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response body
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(createRequestError(413, `Request body is larger than ${MAX_BODY_BYTES / 1024 / 1024} MB`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(createRequestError(400, `Request body is not valid JSON: ${error.message}`));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Get an album's folder name from the API path, refusing names that aren't album JSON files
+ * @param {string} encodedName - URL-encoded album folder name
+ * @returns {Promise<string>} Album folder name
+ */
+async function resolveAlbumName(encodedName) {
+    const albumName = decodeURIComponent(encodedName);
+
+    if (!(await listAlbumNames()).includes(albumName)) {
+        throw createRequestError(404, `No album named "${albumName}" in public/albums`);
+    }
+
+    return albumName;
+}
+
+/**
+ * Read an album's JSON file with a revision identifying its current contents
+ * Saves must send the revision they started from, so edits made on disk in the meantime
+ * (ingest, upload.sh, another admin tab) aren't silently overwritten
+ * @param {string} albumName - Album folder name
+ * @returns {Promise<{album: Object, revision: string}>} Parsed album data and revision
+ */
+async function readAlbumRevision(albumName) {
+    const albumPath = getAlbumJsonPath(albumName);
+    const contents = await fsPromises.readFile(albumPath, 'utf8');
+    let album;
+
+    try {
+        album = JSON.parse(contents);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${path.relative(ROOT_DIR, albumPath)}: ${error.message}`);
+    }
+
+    return { album, revision: crypto.createHash('sha1').update(contents).digest('hex') };
+}
+
+/**
+ * Apply the admin page's changes to an album
+ * Photos keep every field they already have; only the order, "hidden" and the listed
+ * top-level fields change. Photos missing from changes.photos are removed from the album
+ * (their files stay in /albums and on the nginx server) and from any section that lists them.
+ * @param {Object} album - Album data from disk
+ * @param {Object} changes - {name, photographer, date, coverPhoto, order, photos: [{webp, hidden}]}
+ * @returns {{album: Object, removed: string[]}} Updated album data and the removed filenames
+ */
+function applyCuration(album, changes) {
+    if (!changes || !Array.isArray(changes.photos)) {
+        throw createRequestError(400, 'Changes must include the "photos" array');
+    }
+
+    const entries = new Map((Array.isArray(album.photos) ? album.photos : []).map(photo => [getPhotoFilename(photo), photo]));
+    const kept = new Set();
+
+    const photos = changes.photos.map(({ webp, hidden }) => {
+        const entry = entries.get(webp);
+
+        if (entry === undefined) {
+            throw createRequestError(400, `"${webp}" is not one of the album's photos`);
+        }
+        if (kept.has(webp)) {
+            throw createRequestError(400, `"${webp}" is listed more than once`);
+        }
+        kept.add(webp);
+
+        if (typeof entry === 'string') {
+            // Old filename-only entries have nowhere to record "hidden"
+            if (hidden) {
+                throw createRequestError(400, `"${webp}" is in the old filename-only format and can't be hidden - remove it instead`);
+            }
+            return entry;
+        }
+
+        const fields = { ...entry };
+        delete fields.hidden;
+        return hidden ? { ...fields, hidden: true } : fields;
+    });
+
+    const removed = [...entries.keys()].filter(webp => !kept.has(webp));
+    const removedIds = new Set(removed.map(webp => webp.replace(/\.[^.]+$/, '')));
+
+    const updated = {
+        ...album,
+        name: typeof changes.name === 'string' ? changes.name.trim() : changes.name,
+        photographer: typeof changes.photographer === 'string' ? changes.photographer.trim() : changes.photographer,
+        date: changes.date,
+        coverPhoto: changes.coverPhoto,
+        // Capture-time order is the default, so it isn't written out
+        order: changes.order === PHOTO_ORDERS[0] ? undefined : changes.order,
+        photos
+    };
+
+    if (Array.isArray(album.sections)) {
+        updated.sections = album.sections.map(section => {
+            if (!section || !Array.isArray(section.photos)) {
+                return section;
+            }
+            const listed = section.photos.filter(name => typeof name !== 'string' || !removedIds.has(name.replace(/\.[^.]+$/, '')));
+            return { ...section, photos: listed };
+        });
+    }
+
+    return { album: updated, removed };
+}
+
+/**
+ * Save the admin page's changes: validate, back up, write atomically and regenerate the manifests
+ * @param {string} albumName - Album folder name
+ * @param {Object} body - Request body ({revision, changes})
+ * @returns {Promise<Object>} Response body with the saved album, its new revision and the backup path
+ */
+async function saveAlbum(albumName, body) {
+    const current = await readAlbumRevision(albumName);
+
+    if (!body || body.revision !== current.revision) {
+        throw createRequestError(409, `public/albums/${albumName}.json changed on disk since it was loaded - reload the album and make the changes again`);
+    }
+
+    const { album, removed } = applyCuration(current.album, body.changes);
+
+    const location = path.relative(ROOT_DIR, getAlbumJsonPath(albumName));
+    const report = createReport();
+    validateAlbumFields(albumName, album, location, report);
+
+    const errors = report.problems.filter(problem => problem.level === 'error').map(problem => problem.message);
+    if (errors.length > 0) {
+        throw createRequestError(400, `The album wasn't saved: ${errors.length} problem(s) found`, errors);
+    }
+
+    const backupPath = await backupAlbum(albumName);
+    await writeAlbum(albumName, album);
+    await generateAlbumsManifest();
+    await generateAlbumIndex();
+    await generateSharePages();
+    await generateFeeds();
+
+    console.log(`Saved ${location} (backup: ${path.relative(ROOT_DIR, backupPath)}${removed.length > 0 ? `, removed ${removed.join(', ')}` : ''})`);
+
+    return {
+        ...(await readAlbumRevision(albumName)),
+        backup: path.relative(ROOT_DIR, backupPath),
+        removed
+    };
+}
+
+/**
+ * Handle a request to /api/albums or /api/albums/[album-name]
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {RegExpExecArray} match - ALBUM_API_PATTERN match
+ */
+async function handleApiRequest(req, res, match) {
+    try {
+        if (!match[1]) {
+            if (req.method !== 'GET') {
+                throw createRequestError(405, `Method not allowed: ${req.method}`);
+            }
+
+            const albums = [];
+            for (const albumName of await listAlbumNames()) {
+                albums.push(summarizeAlbum(albumName, await readAlbum(albumName)));
+            }
+            sendJson(res, 200, { albums });
+            return;
+        }
+
+        const albumName = await resolveAlbumName(match[1]);
+
+        if (req.method === 'GET') {
+            sendJson(res, 200, await readAlbumRevision(albumName));
+        } else if (req.method === 'PUT') {
+            if (!String(req.headers['content-type']).startsWith('application/json')) {
+                throw createRequestError(415, 'Saves must be sent as application/json');
+            }
+            sendJson(res, 200, await saveAlbum(albumName, await readJsonBody(req)));
+        } else {
+            throw createRequestError(405, `Method not allowed: ${req.method}`);
+        }
+    } catch (error) {
+        if (!error.status) {
+            console.error(`Admin API error: ${error.message}`);
+        }
+        sendJson(res, error.status || 500, { error: error.message, problems: error.problems });
+    }
+}
+
+/**
+ * Create the admin server: the admin page, the site's shared CSS/JS/assets, and the API
+ * @param {number} port - Port the server listens on (the only origin allowed to save)
+ * @param {string|null} photoOrigin - Photo origin overriding SITE_CONFIG.photoOrigins, or null
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createAdminServer(port, photoOrigin) {
+    const allowedOrigins = [`http://localhost:${port}`, `http://127.0.0.1:${port}`];
+    const adminConfig = `window.SITE_CONFIG_OVERRIDES = ${JSON.stringify(photoOrigin ? { photoOrigins: [photoOrigin] } : {})};\n`;
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let urlPath;
+
+        try {
+            urlPath = decodeURIComponent(url.pathname);
+        } catch (error) {
+            sendText(res, 400, `Bad request path: ${url.pathname}`);
+            return;
+        }
+
+        // Other sites open in the browser must not be able to change albums
+        if (req.headers.origin && !allowedOrigins.includes(req.headers.origin)) {
+            sendText(res, 403, `Requests from ${req.headers.origin} are not allowed`);
+            return;
+        }
+
+        const apiMatch = ALBUM_API_PATTERN.exec(url.pathname);
+        if (apiMatch) {
+            await handleApiRequest(req, res, apiMatch);
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendText(res, 405, `Method not allowed: ${req.method}`);
+            return;
+        }
+
+        const headers = { 'Cache-Control': 'no-cache' };
+
+        if (urlPath === ADMIN_CONFIG_PATH) {
+            res.writeHead(200, { ...headers, 'Content-Type': CONTENT_TYPES['.js'] });
+            res.end(adminConfig);
+            return;
+        }
+
+        // Admin files first, then the site's css/, js/ and assets/ the admin page reuses
+        const candidates = urlPath === '/'
+            ? [path.join(ADMIN_DIR, 'index.html')]
+            : [resolveInside(ADMIN_DIR, urlPath), resolveInside(PUBLIC_DIR, urlPath)].filter(Boolean);
+
+        for (const filePath of candidates) {
+            const stats = await statFile(filePath);
+            if (stats) {
+                sendFile(req, res, filePath, stats, headers);
+                return;
+            }
+        }
+
+        sendText(res, 404, `Not found: ${urlPath}`, headers);
+    });
+}
+
+/**
+ * Start the admin server
+ * Runs until stopped with Ctrl+C
+ * @param {string[]} args - Options from the command line
+ */
+async function admin(args) {
+    const options = parseAdminArgs(args);
+
+    if (!(await fileExists(path.join(ADMIN_DIR, 'index.html')))) {
+        throw new Error(`Admin page not found: ${path.relative(ROOT_DIR, ADMIN_DIR)}/index.html`);
+    }
+
+    await listen(createAdminServer(options.port, options.photoOrigin), options.port);
+
+    console.log(`Admin: http://localhost:${options.port} (editing ${path.relative(ROOT_DIR, PUBLIC_DIR)}/albums/, only reachable from this machine on ${DEV_HOST})`);
+    console.log(`Photos: ${options.photoOrigin || 'SITE_CONFIG.photoOrigins from public/js/config.js'}`);
+    console.log('Press Ctrl+C to stop');
+}
+
+module.exports = {
+    admin
+};
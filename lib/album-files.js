@@ -0,0 +1,253 @@
+/**
+ * Album File Helpers
+ * Shared paths and read/write helpers for the album metadata files in /public
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Project root (this file lives in /lib)
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Local photo storage (not in /public, not committed to git)
+const ALBUMS_DIR = path.join(ROOT_DIR, 'albums');
+
+// Website files and metadata (deployed to Firebase)
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const PUBLIC_ALBUMS_DIR = path.join(PUBLIC_DIR, 'albums');
+
+// Manifest files
+const ALBUMS_MANIFEST_PATH = path.join(PUBLIC_DIR, 'albums.json');
+const ALBUM_INDEX_PATH = path.join(PUBLIC_DIR, 'album-index.json');
+
+// Copies of album JSON files taken before the admin page overwrites them (not in /public, not committed)
+const BACKUPS_DIR = path.join(ROOT_DIR, 'backups', 'albums');
+
+// Production site and primary photo server (the first of SITE_CONFIG.photoOrigins in
+// public/js/config.js), for generated files that need absolute URLs
+const SITE_URL = 'https://pikapp-photos.web.app';
+const PRIMARY_PHOTO_ORIGIN = 'https://pikapp-photos.ct-42210.com';
+
+// WebP size tier folders generated by upload.sh (albums/[album-name]/[tier]/[photo].webp)
+const WEBP_TIERS = ['thumb', 'display'];
+
+// "type" of photo entries that are video clips (poster frame in /low, MP4 in /full)
+const VIDEO_MEDIA_TYPE = 'video';
+
+/**
+ * List album folder names from the JSON files in /public/albums
+ * Mirrors generate_albums_manifest in upload.sh: every *.json file except albums.json,
+ * sorted by filename
+ * @returns {Promise<string[]>} Album folder names (filenames without .json)
+ */
+async function listAlbumNames() {
+    let entries;
+    try {
+        entries = await fs.readdir(PUBLIC_ALBUMS_DIR, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    return entries
+        .filter(entry => entry.isFile() && entry.name.endsWith('.json') && entry.name !== 'albums.json')
+        .map(entry => path.basename(entry.name, '.json'))
+        .sort();
+}
+
+/**
+ * Get the path of an album's JSON metadata file
+ * @param {string} albumName - Album folder name
+ * @returns {string} Absolute path to /public/albums/[album-name].json
+ */
+function getAlbumJsonPath(albumName) {
+    return path.join(PUBLIC_ALBUMS_DIR, `${albumName}.json`);
+}
+
+/**
+ * Get the path of a photo file in an album's local photo folders
+ * @param {string} albumName - Album folder name
+ * @param {string} folder - Photo folder ('low', 'thumb', 'display' or 'full')
+ * @param {string} filename - Photo filename
+ * @returns {string} Absolute path under /albums/[album-name]/
+ */
+function getPhotoPath(albumName, folder, filename) {
+    return path.join(ALBUMS_DIR, albumName, folder, filename);
+}
+
+/**
+ * Get the filename of a photo's original in the /full folder
+ * @param {Object} photo - Photo object ({webp, ext})
+ * @returns {string} Original filename
+ */
+function getOriginalFilename(photo) {
+    return `${photo.webp.replace('.webp', '')}.${photo.ext}`;
+}
+
+/**
+ * Check whether a photo entry is a video clip
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @returns {boolean} True for {"type": "video"} entries
+ */
+function isVideoEntry(photo) {
+    return photo !== null && typeof photo === 'object' && photo.type === VIDEO_MEDIA_TYPE;
+}
+
+/**
+ * Check whether a photo entry is hidden from the site (kept in the JSON, skipped by every page)
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @returns {boolean} True for {"hidden": true} entries
+ */
+function isHiddenEntry(photo) {
+    return photo !== null && typeof photo === 'object' && photo.hidden === true;
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True if the file exists
+ */
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Read and parse an album's JSON metadata file
+ * @param {string} albumName - Album folder name
+ * @returns {Promise<Object>} Parsed album data
+ */
+async function readAlbum(albumName) {
+    const albumPath = getAlbumJsonPath(albumName);
+    const contents = await fs.readFile(albumPath, 'utf8');
+
+    try {
+        return JSON.parse(contents);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${path.relative(ROOT_DIR, albumPath)}: ${error.message}`);
+    }
+}
+
+/**
+ * Format a value as single-line JSON with a space after each separator
+ * Matches the one-photo-per-line style that upload.sh writes
+ * @param {*} value - Value to format
+ * @returns {string} Single-line JSON
+ */
+function formatInlineJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatInlineJson).join(', ')}]`;
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const fields = Object.entries(value)
+            .filter(([, fieldValue]) => fieldValue !== undefined)
+            .map(([key, fieldValue]) => `${JSON.stringify(key)}: ${formatInlineJson(fieldValue)}`);
+        return `{${fields.join(', ')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Serialize album data in the same layout upload.sh writes: top-level fields first,
+ * then the photos array with one photo object per line
+ * @param {Object} album - Album data
+ * @returns {string} JSON text with a trailing newline
+ */
+function serializeAlbum(album) {
+    const { photos, ...fields } = album;
+
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value, null, 2).replace(/\n/g, '\n  ')}`);
+
+    const photoLines = (photos || []).map(photo => `    ${formatInlineJson(photo)}`);
+    lines.push(`  "photos": [\n${photoLines.join(',\n')}\n  ]`);
+
+    return `{\n${lines.join(',\n')}\n}\n`;
+}
+
+/**
+ * Write album data back to /public/albums/[album-name].json
+ * @param {string} albumName - Album folder name
+ * @param {Object} album - Album data
+ */
+async function writeAlbum(albumName, album) {
+    await writeFileAtomic(getAlbumJsonPath(albumName), serializeAlbum(album));
+}
+
+/**
+ * Copy an album's JSON file to /backups/albums/[album-name]/[timestamp].json
+ * @param {string} albumName - Album folder name
+ * @returns {Promise<string>} Path of the backup
+ */
+async function backupAlbum(albumName) {
+    const backupDir = path.join(BACKUPS_DIR, albumName);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `${timestamp}.json`);
+
+    await fs.mkdir(backupDir, { recursive: true });
+    await fs.copyFile(getAlbumJsonPath(albumName), backupPath);
+    return backupPath;
+}
+
+/**
+ * Write an object as pretty-printed JSON with a trailing newline
+ * @param {string} filePath - Destination path
+ * @param {Object} data - Data to serialize
+ */
+async function writeJson(filePath, data) {
+    await writeFileAtomic(filePath, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+/**
+ * Write a file through a temporary file and a rename, so a crash or a page loading
+ * mid-write never sees a half-written file
+ * @param {string} filePath - Destination path
+ * @param {string} contents - File contents
+ */
+async function writeFileAtomic(filePath, contents) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+
+    try {
+        await fs.writeFile(tempPath, contents);
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+module.exports = {
+    ROOT_DIR,
+    ALBUMS_DIR,
+    PUBLIC_DIR,
+    PUBLIC_ALBUMS_DIR,
+    ALBUMS_MANIFEST_PATH,
+    ALBUM_INDEX_PATH,
+    BACKUPS_DIR,
+    SITE_URL,
+    PRIMARY_PHOTO_ORIGIN,
+    WEBP_TIERS,
+    VIDEO_MEDIA_TYPE,
+    listAlbumNames,
+    getAlbumJsonPath,
+    getPhotoPath,
+    getOriginalFilename,
+    isVideoEntry,
+    isHiddenEntry,
+    fileExists,
+    readAlbum,
+    serializeAlbum,
+    writeAlbum,
+    backupAlbum,
+    writeJson,
+    writeFileAtomic
+};
@@ -0,0 +1,166 @@
+/**
+ * Album Index Generator
+ * Builds public/album-index.json, a single summary file the home page renders from
+ * so it does not have to fetch every album's full JSON file
+ */
+
+const path = require('path');
+const {
+    ROOT_DIR,
+    ALBUMS_MANIFEST_PATH,
+    ALBUM_INDEX_PATH,
+    listAlbumNames,
+    isHiddenEntry,
+    readAlbum,
+    writeJson
+} = require('./album-files');
+
+// Version of the album-index.json format itself
+const ALBUM_INDEX_VERSION = 1;
+
+// Album JSON files written before schemaVersion existed are treated as version 1
+const DEFAULT_ALBUM_SCHEMA_VERSION = 1;
+
+/**
+ * Get the filename of a photo entry in the /low folder
+ * Handles both old format (strings) and new format (objects with webp and ext)
+ * @param {string|Object} photo - Photo entry from an album JSON file
+ * @returns {string} WebP filename
+ */
+function getPhotoFilename(photo) {
+    return typeof photo === 'object' && photo !== null ? photo.webp : photo;
+}
+
+/**
+ * Find the photo entry for an album's cover photo
+ * @param {Object[]} photos - Photo entries from the album JSON
+ * @param {string} coverPhoto - Cover photo WebP filename
+ * @returns {string|Object|undefined} Cover photo entry
+ */
+function findCoverEntry(photos, coverPhoto) {
+    return photos.find(photo => getPhotoFilename(photo) === coverPhoto);
+}
+
+/**
+ * Get the photographer credited for a photo
+ * A photo's own "photographer" field overrides the album-level photographer
+ * @param {string|Object} photo - Photo entry from an album JSON file
+ * @param {Object} album - Parsed album JSON data
+ * @returns {string} Photographer name (empty if the album has none)
+ */
+function getPhotoPhotographer(photo, album) {
+    if (typeof photo === 'object' && photo !== null && typeof photo.photographer === 'string' && photo.photographer.trim()) {
+        return photo.photographer.trim();
+    }
+    return album.photographer || '';
+}
+
+/**
+ * Count the photos credited to each photographer, most photos first
+ * Names that differ only in case or spacing are counted together
+ * @param {Object} album - Parsed album JSON data
+ * @returns {Array<{name: string, photoCount: number}>} Photographer credits
+ */
+function getPhotographerCredits(album) {
+    const photos = Array.isArray(album.photos) ? album.photos : [];
+    const credits = new Map();
+
+    photos.forEach(photo => {
+        const name = getPhotoPhotographer(photo, album);
+        if (!name) {
+            return;
+        }
+
+        const key = name.replace(/\s+/g, ' ').toLowerCase();
+        const credit = credits.get(key) || { name, photoCount: 0 };
+        credit.photoCount++;
+        credits.set(key, credit);
+    });
+
+    return [...credits.values()].sort((a, b) => b.photoCount - a.photoCount);
+}
+
+/**
+ * Summarize a single album for the index
+ * @param {string} albumName - Album folder name
+ * @param {Object} album - Parsed album JSON data
+ * @returns {Object} Album summary entry
+ */
+function summarizeAlbum(albumName, album) {
+    // Hidden photos aren't shown anywhere, so they aren't counted or credited
+    const photos = (Array.isArray(album.photos) ? album.photos : []).filter(photo => !isHiddenEntry(photo));
+    const coverPhoto = album.coverPhoto || (photos.length > 0 ? getPhotoFilename(photos[0]) : null);
+    const coverEntry = findCoverEntry(photos, coverPhoto);
+
+    return {
+        folderName: albumName,
+        name: album.name,
+        date: album.date,
+        photographer: album.photographer,
+        // Everyone credited in the album, including per-photo "photographer" overrides
+        photographers: getPhotographerCredits({ ...album, photos }),
+        coverPhoto,
+        // Size tiers of the cover photo, so the home page can use thumb/ and display/ (omitted for /low-only albums)
+        coverSizes: coverEntry && typeof coverEntry === 'object' ? coverEntry.sizes : undefined,
+        // Blurred preview shown while the cover loads (omitted for albums that haven't been ingested)
+        coverPlaceholder: coverEntry && typeof coverEntry === 'object' ? coverEntry.placeholder : undefined,
+        // Content hash of the cover photo, added to its URLs so a reprocessed cover isn't served stale
+        coverHash: coverEntry && typeof coverEntry === 'object' ? coverEntry.hash : undefined,
+        photoCount: photos.length,
+        schemaVersion: album.schemaVersion || DEFAULT_ALBUM_SCHEMA_VERSION
+    };
+}
+
+/**
+ * Build the album index from every album JSON file in /public/albums
+ * @returns {Promise<Object>} Album index data
+ */
+async function buildAlbumIndex() {
+    const albumNames = await listAlbumNames();
+    const albums = [];
+
+    for (const albumName of albumNames) {
+        const album = await readAlbum(albumName);
+        albums.push(summarizeAlbum(albumName, album));
+    }
+
+    return {
+        version: ALBUM_INDEX_VERSION,
+        albums
+    };
+}
+
+/**
+ * Generate public/album-index.json
+ * @returns {Promise<Object>} The album index that was written
+ */
+async function generateAlbumIndex() {
+    const index = await buildAlbumIndex();
+    await writeJson(ALBUM_INDEX_PATH, index);
+
+    console.log(`Created ${path.relative(ROOT_DIR, ALBUM_INDEX_PATH)} with ${index.albums.length} album(s)`);
+    return index;
+}
+
+/**
+ * Generate public/albums.json, the list of album folder names the home page falls back to
+ * Writes the same file as generate_albums_manifest in upload.sh
+ * @returns {Promise<string[]>} Album folder names that were listed
+ */
+async function generateAlbumsManifest() {
+    const albums = await listAlbumNames();
+    await writeJson(ALBUMS_MANIFEST_PATH, { albums });
+
+    console.log(`Created ${path.relative(ROOT_DIR, ALBUMS_MANIFEST_PATH)} with ${albums.length} album(s)`);
+    return albums;
+}
+
+module.exports = {
+    ALBUM_INDEX_VERSION,
+    getPhotoFilename,
+    getPhotographerCredits,
+    summarizeAlbum,
+    buildAlbumIndex,
+    generateAlbumIndex,
+    generateAlbumsManifest
+};
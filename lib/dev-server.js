@@ -0,0 +1,388 @@
+/**
+ * Local Development Server
+ * Serves /public the way Firebase Hosting does (cleanUrls and trailingSlash from firebase.json)
+ * and the local /albums folders as a stand-in for the nginx photo origin, so new albums and
+ * UI changes can be tried without uploading anything.
+ *
+ * HTML pages get a /__dev/config.js script that points SITE_CONFIG.photoOrigins
+ * (public/js/config.js) at the mock photo origin.
+ */
+
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const http = require('http');
+const path = require('path');
+const {
+    ROOT_DIR,
+    ALBUMS_DIR,
+    PUBLIC_DIR
+} = require('./album-files');
+
+// Default ports: Firebase's local hosting port and the nginx photo server's port
+const DEFAULT_SITE_PORT = 5000;
+const DEFAULT_PHOTO_PORT = 8081;
+
+// Only listen on this machine
+const DEV_HOST = '127.0.0.1';
+
+// Script injected into HTML pages to override the production site config
+const DEV_CONFIG_PATH = '/__dev/config.js';
+
+// Photo folders the nginx server serves (location regex in server/nginx/pikapp-photos.conf)
+const PHOTO_PATH_PATTERN = /^\/([^/]+)\/(low|thumb|display|full)\/([^/]+)$/;
+
+// Content types by file extension
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.heic': 'image/heic',
+    '.mp4': 'video/mp4'
+};
+
+// Headers the nginx photo server adds to every response
+const PHOTO_SECURITY_HEADERS = {
+    'X-Frame-Options': 'SAMEORIGIN',
+    'X-Content-Type-Options': 'nosniff',
+    'X-XSS-Protection': '1; mode=block'
+};
+
+/**
+ * Parse the serve command's arguments
+ * @param {string[]} args - Options from the command line
+ * @returns {{port: number, photoPort: number, photoOrigin: string|null}} Server options
+ */
+function parseServeArgs(args) {
+    const options = { port: DEFAULT_SITE_PORT, photoPort: DEFAULT_PHOTO_PORT, photoOrigin: null };
+
+    for (let i = 0; i < args.length; i++) {
+        const [flag, inlineValue] = args[i].split(/=(.*)/s);
+        const value = inlineValue !== undefined ? inlineValue : args[++i];
+
+        if (value === undefined) {
+            throw new Error(`${flag} needs a value`);
+        }
+
+        if (flag === '--port' || flag === '--photo-port') {
+            const port = Number(value);
+            if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                throw new Error(`${flag} must be a port number, got "${value}"`);
+            }
+            options[flag === '--port' ? 'port' : 'photoPort'] = port;
+        } else if (flag === '--photo-origin') {
+            options.photoOrigin = value.replace(/\/+$/, '');
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read the Firebase Hosting options the dev server mirrors
+ * @returns {Promise<{cleanUrls: boolean, trailingSlash: boolean|undefined}>} Hosting options
+ */
+async function readHostingConfig() {
+    const configPath = path.join(ROOT_DIR, 'firebase.json');
+
+    try {
+        const { hosting = {} } = JSON.parse(await fsPromises.readFile(configPath, 'utf8'));
+        return { cleanUrls: Boolean(hosting.cleanUrls), trailingSlash: hosting.trailingSlash };
+    } catch (error) {
+        throw new Error(`Could not read ${path.relative(ROOT_DIR, configPath)}: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve a URL path inside a directory, refusing paths that escape it
+ * @param {string} baseDir - Directory being served
+ * @param {string} urlPath - Decoded URL path
+ * @returns {string|null} Absolute file path, or null if the path is outside baseDir
+ */
+function resolveInside(baseDir, urlPath) {
+    const filePath = path.join(baseDir, urlPath);
+    return filePath === baseDir || filePath.startsWith(baseDir + path.sep) ? filePath : null;
+}
+
+/**
+ * Get a regular file's stats
+ * @param {string} filePath - Path to check
+ * @returns {Promise<fs.Stats|null>} Stats, or null if there is no such file
+ */
+async function statFile(filePath) {
+    try {
+        const stats = await fsPromises.stat(filePath);
+        return stats.isFile() ? stats : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Send a plain text response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Response body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendText(res, status, message, headers = {}) {
+    res.writeHead(status, { ...headers, 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`${message}\n`);
+}
+
+/**
+ * Stream a file as the response
+ * @param {http.IncomingMessage} req - Request (HEAD requests get headers only)
+ * @param {http.ServerResponse} res - Response
+ * @param {string} filePath - File to send
+ * @param {fs.Stats} stats - The file's stats
+ * @param {Object} [headers] - Extra headers
+ */
+function sendFile(req, res, filePath, stats, headers = {}) {
+    res.writeHead(200, {
+        ...headers,
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': stats.size
+    });
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Find the file Firebase Hosting would serve for a URL path
+ * With cleanUrls, /album serves album.html and /album.html redirects to /album
+ * @param {string} urlPath - Decoded URL path
+ * @param {Object} hosting - Options from readHostingConfig()
+ * @returns {Promise<{redirect: string}|{filePath: string, stats: fs.Stats}|null>} What to send, or null for 404
+ */
+async function resolveSitePath(urlPath, hosting) {
+    if (hosting.trailingSlash === false && urlPath.length > 1 && urlPath.endsWith('/')) {
+        return { redirect: urlPath.replace(/\/+$/, '') || '/' };
+    }
+
+    if (hosting.cleanUrls && urlPath.endsWith('.html')) {
+        const cleanPath = urlPath.slice(0, -'.html'.length);
+        return { redirect: cleanPath.endsWith('/index') ? cleanPath.slice(0, -'index'.length) || '/' : cleanPath };
+    }
+
+    const basePath = resolveInside(PUBLIC_DIR, urlPath);
+    if (!basePath) {
+        return null;
+    }
+
+    const candidates = [basePath, path.join(basePath, 'index.html')];
+    if (hosting.cleanUrls) {
+        candidates.splice(1, 0, `${basePath}.html`);
+    }
+
+    for (const filePath of candidates) {
+        const stats = await statFile(filePath);
+        if (stats) {
+            return { filePath, stats };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Create the site server for /public
+ * @param {Object} hosting - Options from readHostingConfig()
+ * @param {string} photoOrigin - Photo origin the front end should use
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createSiteServer(hosting, photoOrigin) {
+    const devConfig = `window.SITE_CONFIG_OVERRIDES = ${JSON.stringify({ photoOrigins: [photoOrigin] })};\n`;
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let urlPath;
+
+        try {
+            urlPath = decodeURIComponent(url.pathname);
+        } catch (error) {
+            sendText(res, 400, `Bad request path: ${url.pathname}`);
+            return;
+        }
+
+        // Never cache while developing
+        const headers = { 'Cache-Control': 'no-cache' };
+
+        if (urlPath === DEV_CONFIG_PATH) {
+            res.writeHead(200, { ...headers, 'Content-Type': CONTENT_TYPES['.js'] });
+            res.end(devConfig);
+            return;
+        }
+
+        const resolved = await resolveSitePath(urlPath, hosting);
+
+        if (!resolved) {
+            const notFound = await statFile(path.join(PUBLIC_DIR, '404.html'));
+            if (notFound) {
+                res.writeHead(404, { ...headers, 'Content-Type': CONTENT_TYPES['.html'] });
+                fs.createReadStream(path.join(PUBLIC_DIR, '404.html')).pipe(res);
+            } else {
+                sendText(res, 404, `Not found: ${urlPath}`, headers);
+            }
+            return;
+        }
+
+        if (resolved.redirect) {
+            res.writeHead(301, { ...headers, Location: `${resolved.redirect}${url.search}` });
+            res.end();
+            return;
+        }
+
+        if (path.extname(resolved.filePath) === '.html') {
+            // Load the dev config before any page script reads SITE_CONFIG
+            const html = await fsPromises.readFile(resolved.filePath, 'utf8');
+            const body = html.replace('</head>', `    <script src="${DEV_CONFIG_PATH}"></script>\n</head>`);
+            res.writeHead(200, { ...headers, 'Content-Type': CONTENT_TYPES['.html'] });
+            res.end(req.method === 'HEAD' ? undefined : body);
+            return;
+        }
+
+        sendFile(req, res, resolved.filePath, resolved.stats, headers);
+    });
+}
+
+/**
+ * Create the mock photo origin serving /albums/[album-name]/(low|thumb|display|full)/
+ * with the same CORS and security headers as the nginx server
+ * @param {number} sitePort - Port of the site server (the allowed CORS origin)
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createPhotoServer(sitePort) {
+    const allowedOrigins = [`http://localhost:${sitePort}`, `http://127.0.0.1:${sitePort}`];
+
+    return http.createServer(async (req, res) => {
+        // nginx allows only the production site; allow the local site under either host name
+        const origin = allowedOrigins.includes(req.headers.origin) ? req.headers.origin : allowedOrigins[0];
+        const headers = {
+            ...PHOTO_SECURITY_HEADERS,
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': '*',
+            'Access-Control-Max-Age': '86400',
+            'Vary': 'Origin'
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, headers);
+            res.end();
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendText(res, 405, `Method not allowed: ${req.method}`, headers);
+            return;
+        }
+
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (error) {
+            sendText(res, 400, `Bad request path: ${req.url}`, headers);
+            return;
+        }
+
+        const match = PHOTO_PATH_PATTERN.exec(urlPath);
+        const filePath = match && !match[1].startsWith('.') && !match[3].startsWith('.')
+            ? resolveInside(ALBUMS_DIR, urlPath)
+            : null;
+        const stats = filePath ? await statFile(filePath) : null;
+
+        if (!stats) {
+            sendText(res, 404, `Not found: ${urlPath}`, headers);
+            return;
+        }
+
+        sendFile(req, res, filePath, stats, headers);
+    });
+}
+
+/**
+ * Start listening, rejecting with a clear message if the port is taken
+ * @param {http.Server} server - Server to start
+ * @param {number} port - Port to listen on
+ * @returns {Promise<void>} Resolves once the server is listening
+ */
+function listen(server, port) {
+    return new Promise((resolve, reject) => {
+        server.once('error', error => {
+            reject(error.code === 'EADDRINUSE'
+                ? new Error(`Port ${port} is already in use (pick another with --port/--photo-port)`)
+                : error);
+        });
+        server.listen(port, DEV_HOST, resolve);
+    });
+}
+
+/**
+ * Start the site server and, unless options.photoOrigin is set, the mock photo origin
+ * @param {{port: number, photoPort: number, photoOrigin: string|null}} options - Server options from parseServeArgs()
+ * @returns {Promise<{siteUrl: string, photoOrigin: string, servers: http.Server[]}>} Started servers
+ */
+async function startDevServers(options) {
+    const hosting = await readHostingConfig();
+    const photoOrigin = options.photoOrigin || `http://localhost:${options.photoPort}`;
+    const servers = [];
+
+    if (!options.photoOrigin) {
+        const photoServer = createPhotoServer(options.port);
+        await listen(photoServer, options.photoPort);
+        servers.push(photoServer);
+    }
+
+    const siteServer = createSiteServer(hosting, photoOrigin);
+    await listen(siteServer, options.port);
+    servers.push(siteServer);
+
+    return { siteUrl: `http://localhost:${options.port}`, photoOrigin, servers };
+}
+
+/**
+ * Start the site server and, unless --photo-origin is given, the mock photo origin
+ * Runs until stopped with Ctrl+C
+ * @param {string[]} args - Options from the command line
+ */
+async function serve(args) {
+    const options = parseServeArgs(args);
+    const { siteUrl, photoOrigin } = await startDevServers(options);
+
+    console.log(options.photoOrigin
+        ? `Photo origin: ${photoOrigin}`
+        : `Photo origin: ${photoOrigin} (serving ${path.relative(ROOT_DIR, ALBUMS_DIR)}/)`);
+    console.log(`Site: ${siteUrl} (serving ${path.relative(ROOT_DIR, PUBLIC_DIR)}/)`);
+    console.log('Press Ctrl+C to stop');
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    DEV_HOST,
+    resolveInside,
+    statFile,
+    sendText,
+    sendFile,
+    listen,
+    parseServeArgs,
+    startDevServers,
+    serve
+};
@@ -0,0 +1,199 @@
+/**
+ * Feed and Sitemap Generator
+ * Builds public/feed.xml, an Atom feed with one entry per album so alumni and parents can
+ * follow new albums in a feed reader, and public/sitemap.xml for search engines.
+ *
+ * Both files are built only from the album data (no generation time), so re-running the
+ * generator without album changes leaves them byte-for-byte identical.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const {
+    ROOT_DIR,
+    PUBLIC_DIR,
+    ALBUMS_MANIFEST_PATH,
+    SITE_URL,
+    readAlbum,
+    writeFileAtomic
+} = require('./album-files');
+const { summarizeAlbum } = require('./album-index');
+const {
+    escapeHtml,
+    formatAlbumDetails,
+    getAlbumPageUrl,
+    getShareImage
+} = require('./share-pages');
+
+// Generated files
+const FEED_PATH = path.join(PUBLIC_DIR, 'feed.xml');
+const SITEMAP_PATH = path.join(PUBLIC_DIR, 'sitemap.xml');
+
+// Newest albums included in the feed (feed readers only need recent entries)
+const FEED_ENTRY_LIMIT = 50;
+
+// Feed identity
+const FEED_TITLE = 'Pi Kappa Phi Photo Gallery';
+const FEED_SUBTITLE = 'New photo albums from Pi Kappa Phi Zeta Alpha Chapter at Clemson University';
+
+/**
+ * Read every album listed in albums.json, newest first
+ * @returns {Promise<Array<{albumName: string, album: Object, summary: Object, updated: string}>>} Albums with their summaries
+ */
+async function readFeedAlbums() {
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.readFile(ALBUMS_MANIFEST_PATH, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${path.relative(ROOT_DIR, ALBUMS_MANIFEST_PATH)}: ${error.message}`);
+    }
+
+    if (!manifest || !Array.isArray(manifest.albums)) {
+        throw new Error(`${path.relative(ROOT_DIR, ALBUMS_MANIFEST_PATH)} is missing the "albums" array`);
+    }
+
+    const albums = [];
+    for (const albumName of manifest.albums) {
+        const album = await readAlbum(albumName);
+        albums.push({
+            albumName,
+            album,
+            summary: summarizeAlbum(albumName, album),
+            // When the album was posted (upload.sh sets uploadedAt; older albums only have date)
+            updated: toAtomDate(album.uploadedAt || album.date)
+        });
+    }
+
+    // Ties are broken by folder name so the order never depends on albums.json
+    return albums.sort((a, b) => b.updated.localeCompare(a.updated) || a.albumName.localeCompare(b.albumName));
+}
+
+/**
+ * Convert an ISO 8601 date to the full UTC form Atom and sitemaps require
+ * A time without an offset (a capture time from a camera that doesn't record one) is read as
+ * UTC, so the feed doesn't change with the time zone of the machine generating it
+ * @param {string} date - ISO 8601 date (possibly without a time or offset)
+ * @returns {string} Date like 2025-10-24T22:37:55Z
+ */
+function toAtomDate(date) {
+    const parsed = new Date(/T[\d:.]+$/.test(date) ? `${date}Z` : date);
+    if (isNaN(parsed)) {
+        throw new Error(`Invalid album date: ${JSON.stringify(date)} (run \`node index.js validate\`)`);
+    }
+    return parsed.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Render one album as an Atom entry
+ * @param {Object} feedAlbum - Album from readFeedAlbums()
+ * @returns {string} <entry> element
+ */
+function renderFeedEntry({ albumName, album, summary, updated }) {
+    const albumUrl = getAlbumPageUrl(albumName);
+    const details = formatAlbumDetails(album, summary);
+    const image = getShareImage(albumName, album, summary);
+    const description = typeof album.description === 'string' ? album.description.trim() : '';
+
+    // HTML shown by feed readers: cover photo, details and the album description
+    const content = [
+        image ? `<p><a href="${escapeHtml(albumUrl)}"><img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.alt)}"></a></p>` : '',
+        `<p>${escapeHtml(details)}</p>`,
+        description ? `<p>${escapeHtml(description)}</p>` : ''
+    ].filter(Boolean).join('');
+
+    const lines = [
+        '  <entry>',
+        `    <id>${escapeHtml(albumUrl)}</id>`,
+        `    <title>${escapeHtml(album.name)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeHtml(albumUrl)}"/>`,
+        image ? `    <link rel="enclosure" type="image/webp" href="${escapeHtml(image.url)}"/>` : '',
+        `    <published>${updated}</published>`,
+        `    <updated>${updated}</updated>`,
+        ...summary.photographers.map(credit => `    <author><name>${escapeHtml(credit.name)}</name></author>`),
+        `    <summary>${escapeHtml(description ? `${details}. ${description}` : details)}</summary>`,
+        `    <content type="html">${escapeHtml(content)}</content>`,
+        '  </entry>'
+    ];
+
+    return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Render the Atom feed
+ * @param {Object[]} albums - Albums from readFeedAlbums(), newest first
+ * @returns {string} Atom XML document
+ */
+function renderFeed(albums) {
+    const entries = albums.slice(0, FEED_ENTRY_LIMIT);
+    // Atom requires an updated time; an empty feed uses the Unix epoch so it stays deterministic
+    const updated = entries.length > 0 ? entries[0].updated : '1970-01-01T00:00:00Z';
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${SITE_URL}/</id>`,
+        `  <title>${escapeHtml(FEED_TITLE)}</title>`,
+        `  <subtitle>${escapeHtml(FEED_SUBTITLE)}</subtitle>`,
+        `  <link rel="alternate" type="text/html" href="${SITE_URL}/"/>`,
+        `  <link rel="self" type="application/atom+xml" href="${SITE_URL}/feed.xml"/>`,
+        `  <icon>${SITE_URL}/assets/pkp-logo.webp</icon>`,
+        `  <updated>${updated}</updated>`,
+        '  <author><name>Pi Kappa Phi - Zeta Alpha Chapter</name></author>',
+        ...entries.map(renderFeedEntry),
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Render the sitemap: the home page and every album page
+ * @param {Object[]} albums - Albums from readFeedAlbums(), newest first
+ * @returns {string} Sitemap XML document
+ */
+function renderSitemap(albums) {
+    const urls = [
+        { loc: `${SITE_URL}/index.html`, lastmod: albums.length > 0 ? albums[0].updated : undefined },
+        ...albums.map(({ albumName, updated }) => ({ loc: getAlbumPageUrl(albumName), lastmod: updated }))
+    ];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls.map(({ loc, lastmod }) => [
+            '  <url>',
+            `    <loc>${escapeHtml(loc)}</loc>`,
+            lastmod ? `    <lastmod>${lastmod}</lastmod>` : '',
+            '  </url>'
+        ].filter(Boolean).join('\n')),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Build the feed and sitemap contents from albums.json and the album JSON files
+ * @returns {Promise<{feed: string, sitemap: string}>} XML documents
+ */
+async function buildFeeds() {
+    const albums = await readFeedAlbums();
+    return { feed: renderFeed(albums), sitemap: renderSitemap(albums) };
+}
+
+/**
+ * Generate public/feed.xml and public/sitemap.xml
+ */
+async function generateFeeds() {
+    const { feed, sitemap } = await buildFeeds();
+
+    await writeFileAtomic(FEED_PATH, feed);
+    await writeFileAtomic(SITEMAP_PATH, sitemap);
+
+    console.log(`Created ${path.relative(ROOT_DIR, FEED_PATH)} and ${path.relative(ROOT_DIR, SITEMAP_PATH)}`);
+}
+
+module.exports = {
+    FEED_PATH,
+    SITEMAP_PATH,
+    buildFeeds,
+    generateFeeds
+};
@@ -0,0 +1,255 @@
+/**
+ * Photo Metadata Ingest
+ * Reads EXIF data from each album's /full originals (ffprobe metadata for video clips) and
+ * writes it into the album JSON, along with the pixel dimensions of each generated size tier
+ * and a blurred placeholder and a content hash of the photo's files.
+ * The album date becomes the earliest capture time; the original upload timestamp
+ * is kept in "uploadedAt".
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+    ROOT_DIR,
+    WEBP_TIERS,
+    listAlbumNames,
+    getPhotoPath,
+    getOriginalFilename,
+    isVideoEntry,
+    fileExists,
+    readAlbum,
+    writeAlbum
+} = require('./album-files');
+const { generateAlbumIndex } = require('./album-index');
+const { readPhotoMetadata, readVideoMetadata, readTierDimensions } = require('./photo-metadata');
+const { generatePlaceholder } = require('./placeholder');
+
+// Album JSON schema version written by ingest (photo objects carry EXIF metadata)
+const INGESTED_SCHEMA_VERSION = 2;
+
+// Photo fields owned by ingest; stale values are cleared before new ones are merged in
+const METADATA_FIELDS = ['takenAt', 'camera', 'lens', 'exposure', 'width', 'height', 'duration', 'sizes', 'placeholder', 'hash'];
+
+// Hex characters of the SHA-256 digest kept as a photo's "hash" (the site's ?v= URL token)
+const PHOTO_HASH_LENGTH = 12;
+
+/**
+ * Record the pixel dimensions of each size tier that exists for a photo
+ * Albums processed before size tiers (only /low) get no sizes, so the site keeps using /low
+ * @param {string} albumName - Album folder name
+ * @param {Object} photo - Photo object ({webp, ext})
+ * @param {Object} metadata - Metadata read from the original (for the full tier)
+ * @returns {Promise<Object|undefined>} Sizes keyed by tier, or undefined if there are no tiers
+ */
+async function readTierSizes(albumName, photo, metadata) {
+    const sizes = {};
+
+    for (const tier of WEBP_TIERS) {
+        const tierPath = getPhotoPath(albumName, tier, photo.webp);
+        if (await fileExists(tierPath)) {
+            sizes[tier] = await readTierDimensions(tierPath);
+        }
+    }
+
+    if (Object.keys(sizes).length === 0) {
+        return undefined;
+    }
+
+    sizes.full = { width: metadata.width, height: metadata.height };
+    return sizes;
+}
+
+/**
+ * Generate the blurred placeholder for a photo
+ * Prefers the smallest upright webP that exists (a video's poster frame), falling back to the original
+ * @param {string} albumName - Album folder name
+ * @param {Object} photo - Photo object ({webp, ext})
+ * @param {string} originalPath - Path to the original in /full
+ * @returns {Promise<string|undefined>} Placeholder data URI, or undefined if it couldn't be generated
+ */
+async function readPlaceholder(albumName, photo, originalPath) {
+    let sourcePath = originalPath;
+
+    for (const folder of ['thumb', 'low']) {
+        const webpPath = getPhotoPath(albumName, folder, photo.webp);
+        if (await fileExists(webpPath)) {
+            sourcePath = webpPath;
+            break;
+        }
+    }
+
+    try {
+        return await generatePlaceholder(sourcePath);
+    } catch (error) {
+        console.warn(`  No placeholder for ${photo.webp}: ${error.message}`);
+        return undefined;
+    }
+}
+
+/**
+ * Hash every file of a photo: the original and each webP that exists (size tiers, /low)
+ * The photo server caches photos as immutable, so the site adds this hash to photo URLs;
+ * reprocessing an album with different images under the same filenames changes it.
+ * @param {string} albumName - Album folder name
+ * @param {Object} photo - Photo object ({webp, ext})
+ * @param {string} originalPath - Path to the original in /full
+ * @returns {Promise<string>} Shortened hex SHA-256 digest
+ */
+async function hashPhotoFiles(albumName, photo, originalPath) {
+    const hash = crypto.createHash('sha256');
+    const filePaths = [originalPath, ...[...WEBP_TIERS, 'low'].map(folder => getPhotoPath(albumName, folder, photo.webp))];
+
+    for (const filePath of filePaths) {
+        if (!(await fileExists(filePath))) {
+            continue;
+        }
+
+        // Streamed, since originals and video clips can be large
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+    }
+
+    return hash.digest('hex').slice(0, PHOTO_HASH_LENGTH);
+}
+
+/**
+ * Read metadata for one photo and merge it into the photo object
+ * @param {string} albumName - Album folder name
+ * @param {Object} photo - Photo object ({webp, ext, ...})
+ * @returns {Promise<Object>} Updated photo object
+ */
+async function ingestPhoto(albumName, photo) {
+    const originalPath = getPhotoPath(albumName, 'full', getOriginalFilename(photo));
+
+    if (!(await fileExists(originalPath))) {
+        throw new Error(`Original not found: ${path.relative(ROOT_DIR, originalPath)}`);
+    }
+
+    const metadata = isVideoEntry(photo)
+        ? await readVideoMetadata(originalPath)
+        : await readPhotoMetadata(originalPath);
+    metadata.sizes = await readTierSizes(albumName, photo, metadata);
+    metadata.placeholder = await readPlaceholder(albumName, photo, originalPath);
+    metadata.hash = await hashPhotoFiles(albumName, photo, originalPath);
+
+    const updated = { ...photo };
+
+    METADATA_FIELDS.forEach(field => {
+        delete updated[field];
+    });
+
+    return { ...updated, ...metadata };
+}
+
+/**
+ * Find the earliest capture time among an album's photos
+ * Capture times are compared as the cameras recorded them (local date and time, ignoring any
+ * offset) rather than parsed, which would read times without an offset in the time zone of the
+ * machine running ingest - so the album date is the same wherever ingest runs
+ * @param {Object[]} photos - Photo objects
+ * @returns {string|null} Earliest takenAt value exactly as recorded, or null if no photo has one
+ */
+function getEarliestCaptureTime(photos) {
+    let earliest = null;
+
+    photos.forEach(photo => {
+        if (photo.takenAt && (!earliest || getRecordedTime(photo.takenAt) < getRecordedTime(earliest))) {
+            earliest = photo.takenAt;
+        }
+    });
+
+    return earliest;
+}
+
+/**
+ * Get the local date and time a capture time was recorded at, which sorts as text
+ * ("2025-10-23T21:14:03-04:00" -> "2025-10-23T21:14:03")
+ * @param {string} takenAt - ISO 8601 capture time
+ * @returns {string} Date and time without the offset
+ */
+function getRecordedTime(takenAt) {
+    return String(takenAt).replace(/(?:Z|[+-]\d{2}:?\d{2})$/, '');
+}
+
+/**
+ * Ingest metadata for every photo in an album and rewrite its JSON file
+ * A photo that can't be read is kept as it was, without size tiers, and counted as failed
+ * @param {string} albumName - Album folder name
+ * @returns {Promise<number>} Number of photos that could not be ingested
+ */
+async function ingestAlbum(albumName) {
+    const album = await readAlbum(albumName);
+
+    if (!Array.isArray(album.photos) || album.photos.length === 0) {
+        throw new Error(`Album "${albumName}" has no photos array`);
+    }
+
+    console.log(`Ingesting ${album.photos.length} photo(s) in ${albumName}`);
+
+    const photos = [];
+    let failedCount = 0;
+    for (const photo of album.photos) {
+        // Old format entries (plain filename strings) have no original extension to look up
+        if (typeof photo !== 'object' || !photo.webp) {
+            console.warn(`  Skipping old-format photo entry: ${JSON.stringify(photo)}`);
+            photos.push(photo);
+            continue;
+        }
+
+        try {
+            photos.push(await ingestPhoto(albumName, photo));
+        } catch (error) {
+            console.warn(`  Skipping ${photo.webp}: ${error.message}`);
+            photos.push(photo);
+            failedCount++;
+        }
+    }
+
+    const earliest = getEarliestCaptureTime(photos);
+    const updated = {
+        ...album,
+        uploadedAt: album.uploadedAt || album.date,
+        date: earliest || album.date,
+        schemaVersion: INGESTED_SCHEMA_VERSION,
+        photos
+    };
+
+    await writeAlbum(albumName, updated);
+
+    if (earliest) {
+        console.log(`  Album date set to earliest capture time: ${earliest}`);
+    } else {
+        console.warn(`  No capture times found - keeping album date ${album.date}`);
+    }
+
+    return failedCount;
+}
+
+/**
+ * Ingest the named albums, or every album in /public/albums when none are named,
+ * then regenerate the album index so it picks up the new dates
+ * Fails once every album is done if any photo could not be ingested, so upload.sh stops
+ * before deploying an album whose photos have no size tiers recorded
+ * @param {string[]} albumNames - Album folder names from the command line
+ */
+async function ingest(albumNames) {
+    const targets = albumNames.length > 0 ? albumNames : await listAlbumNames();
+    let failedCount = 0;
+
+    for (const albumName of targets) {
+        failedCount += await ingestAlbum(albumName);
+    }
+
+    await generateAlbumIndex();
+
+    if (failedCount > 0) {
+        throw new Error(`${failedCount} photo(s) could not be ingested - fix the files named above and run \`node index.js ingest\` again`);
+    }
+}
+
+module.exports = {
+    ingestAlbum,
+    ingest
+};
@@ -0,0 +1,253 @@
+/**
+ * Photo Metadata Extraction
+ * Reads capture time, camera/lens, exposure and pixel dimensions from original photos,
+ * and capture time, camera, dimensions and length from video clips (with ffprobe)
+ */
+
+const { execFile } = require('child_process');
+const exifr = require('exifr');
+const { imageSizeFromFile } = require('image-size/fromFile');
+
+// EXIF tags read from each original
+const EXIF_TAGS = [
+    'DateTimeOriginal',
+    'OffsetTimeOriginal',
+    'Make',
+    'Model',
+    'LensModel',
+    'ExposureTime',
+    'FNumber',
+    'ISO',
+    'FocalLength'
+];
+
+// EXIF orientations 5-8 are rotated 90 degrees, so width and height are swapped on display
+const ROTATED_ORIENTATIONS = [5, 6, 7, 8];
+
+// Video fields read by ffprobe: the first video stream's size and rotation, plus the container's length and tags
+const FFPROBE_ENTRIES = 'stream=width,height:stream_tags=rotate:stream_side_data=rotation:format=duration:format_tags';
+
+/**
+ * Convert an EXIF date ("2025:10:23 21:14:03") to ISO 8601
+ * EXIF stores local camera time; the offset is only appended when the camera recorded one
+ * @param {string} exifDate - EXIF DateTimeOriginal value
+ * @param {string} [offset] - EXIF OffsetTimeOriginal value (e.g. "-04:00")
+ * @returns {string|null} ISO 8601 date string, or null if the value is malformed
+ */
+function formatCaptureTime(exifDate, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(exifDate || '');
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hour, minute, second] = match;
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+/**
+ * Format an exposure time in seconds as a shutter speed ("1/250" or "2")
+ * @param {number} seconds - EXIF ExposureTime value
+ * @returns {string} Shutter speed
+ */
+function formatShutterSpeed(seconds) {
+    if (seconds < 1) {
+        return `1/${Math.round(1 / seconds)}`;
+    }
+    return `${Math.round(seconds * 10) / 10}`;
+}
+
+/**
+ * Combine EXIF Make and Model, skipping the make when the model already includes it
+ * ("Canon" + "Canon EOS R6" becomes "Canon EOS R6")
+ * @param {string} [make] - EXIF Make value
+ * @param {string} [model] - EXIF Model value
+ * @returns {string|undefined} Camera name
+ */
+function formatCamera(make, model) {
+    const cleanMake = (make || '').trim();
+    const cleanModel = (model || '').trim();
+
+    if (!cleanModel) {
+        return cleanMake || undefined;
+    }
+    if (!cleanMake || cleanModel.toLowerCase().startsWith(cleanMake.toLowerCase())) {
+        return cleanModel;
+    }
+    return `${cleanMake} ${cleanModel}`;
+}
+
+/**
+ * Build the exposure settings object from EXIF tags
+ * @param {Object} tags - Parsed EXIF tags
+ * @returns {Object|undefined} Exposure settings, or undefined if none were recorded
+ */
+function buildExposure(tags) {
+    const exposure = {};
+
+    if (typeof tags.ExposureTime === 'number' && tags.ExposureTime > 0) {
+        exposure.shutterSpeed = formatShutterSpeed(tags.ExposureTime);
+    }
+    if (typeof tags.FNumber === 'number') {
+        exposure.aperture = tags.FNumber;
+    }
+    if (typeof tags.ISO === 'number') {
+        exposure.iso = tags.ISO;
+    }
+    if (typeof tags.FocalLength === 'number') {
+        exposure.focalLength = Math.round(tags.FocalLength);
+    }
+
+    return Object.keys(exposure).length > 0 ? exposure : undefined;
+}
+
+/**
+ * Read the EXIF tags of an image file
+ * @param {string} filePath - Path to the original photo
+ * @returns {Promise<Object>} Parsed tags (empty if the file has no EXIF data)
+ */
+async function readExifTags(filePath) {
+    const tags = await exifr.parse(filePath, { pick: EXIF_TAGS, reviveValues: false });
+    return tags || {};
+}
+
+/**
+ * Read the displayed pixel dimensions of an image file, accounting for EXIF rotation
+ * @param {string} filePath - Path to the original photo
+ * @returns {Promise<{width: number, height: number}>} Pixel dimensions
+ */
+async function readDimensions(filePath) {
+    const size = await imageSizeFromFile(filePath);
+
+    if (ROTATED_ORIENTATIONS.includes(size.orientation)) {
+        return { width: size.height, height: size.width };
+    }
+    return { width: size.width, height: size.height };
+}
+
+/**
+ * Read the pixel dimensions of a generated WebP size tier
+ * Tiers are already rendered upright by ffmpeg, so no EXIF rotation applies
+ * @param {string} filePath - Path to the WebP file
+ * @returns {Promise<{width: number, height: number}>} Pixel dimensions
+ */
+async function readTierDimensions(filePath) {
+    const size = await imageSizeFromFile(filePath);
+    return { width: size.width, height: size.height };
+}
+
+/**
+ * Extract the metadata stored for each photo in the album JSON
+ * Fields the original does not record are left undefined
+ * @param {string} filePath - Path to the original photo in /full
+ * @returns {Promise<Object>} Metadata with takenAt, camera, lens, exposure, width, height
+ */
+async function readPhotoMetadata(filePath) {
+    const [tags, dimensions] = await Promise.all([
+        readExifTags(filePath),
+        readDimensions(filePath)
+    ]);
+
+    return {
+        takenAt: formatCaptureTime(tags.DateTimeOriginal, tags.OffsetTimeOriginal) || undefined,
+        camera: formatCamera(tags.Make, tags.Model),
+        lens: tags.LensModel ? tags.LensModel.trim() : undefined,
+        exposure: buildExposure(tags),
+        width: dimensions.width,
+        height: dimensions.height
+    };
+}
+
+/**
+ * Run ffprobe on a file and parse its JSON output
+ * @param {string} filePath - Path to the video
+ * @returns {Promise<Object>} ffprobe output ({streams, format})
+ */
+function runFfprobe(filePath) {
+    const args = [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-show_entries', FFPROBE_ENTRIES,
+        '-of', 'json',
+        filePath
+    ];
+
+    return new Promise((resolve, reject) => {
+        execFile('ffprobe', args, (error, stdout, stderr) => {
+            if (error) {
+                if (error.code === 'ENOENT') {
+                    reject(new Error('ffprobe is not installed (it comes with ffmpeg)'));
+                } else {
+                    reject(new Error(`ffprobe failed for ${filePath}: ${stderr.trim() || error.message}`));
+                }
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(stdout));
+            } catch (parseError) {
+                reject(new Error(`ffprobe returned invalid JSON for ${filePath}`));
+            }
+        });
+    });
+}
+
+/**
+ * Convert a video container's creation time to ISO 8601
+ * iPhones record local time with an offset ("2025-10-23T21:14:03-0400"); other phones
+ * only record UTC ("2025-10-24T01:14:03.000000Z")
+ * @param {Object} tags - Container tags from ffprobe
+ * @returns {string|undefined} ISO 8601 date string
+ */
+function formatVideoCaptureTime(tags) {
+    const value = tags['com.apple.quicktime.creationdate'] || tags.creation_time || '';
+    const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/.exec(value);
+
+    if (!match) {
+        return undefined;
+    }
+
+    const [, time, zone = ''] = match;
+    return `${time}${zone.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')}`;
+}
+
+/**
+ * Extract the metadata stored for a video clip in the album JSON
+ * Fields the clip does not record are left undefined
+ * @param {string} filePath - Path to the MP4 in /full
+ * @returns {Promise<Object>} Metadata with takenAt, camera, width, height, duration
+ */
+async function readVideoMetadata(filePath) {
+    const { streams = [], format = {} } = await runFfprobe(filePath);
+    const stream = streams[0];
+
+    if (!stream || !stream.width || !stream.height) {
+        throw new Error(`No video stream found in ${filePath}`);
+    }
+
+    // Phones store portrait clips as landscape frames with a rotation, like EXIF orientation
+    const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const rotation = Number((stream.tags && stream.tags.rotate) || (sideData && sideData.rotation) || 0);
+    const rotated = Math.abs(rotation) % 180 === 90;
+
+    const tags = format.tags || {};
+    const duration = Number(format.duration);
+
+    return {
+        takenAt: formatVideoCaptureTime(tags),
+        camera: formatCamera(tags['com.apple.quicktime.make'], tags['com.apple.quicktime.model']),
+        width: rotated ? stream.height : stream.width,
+        height: rotated ? stream.width : stream.height,
+        duration: duration > 0 ? Math.round(duration * 10) / 10 : undefined
+    };
+}
+
+module.exports = {
+    formatCaptureTime,
+    formatShutterSpeed,
+    formatCamera,
+    readTierDimensions,
+    readPhotoMetadata,
+    readVideoMetadata
+};
@@ -0,0 +1,55 @@
+/**
+ * Placeholder Generation
+ * Renders a tiny blurred preview of a photo as an inline data URI, using ffmpeg
+ * (the same tool upload.sh uses for the webP size tiers)
+ */
+
+const { execFile } = require('child_process');
+
+// Longest edge of the placeholder in pixels; the browser scales and blurs it up
+const PLACEHOLDER_SIZE = 16;
+
+// Low quality keeps each data URI to a few hundred bytes in the album JSON
+const PLACEHOLDER_QUALITY = 40;
+
+/**
+ * Generate a placeholder data URI for an image
+ * @param {string} filePath - Path to an upright image (a webP tier or the original)
+ * @returns {Promise<string>} "data:image/webp;base64,..." URI
+ */
+function generatePlaceholder(filePath) {
+    const args = [
+        '-v', 'error',
+        '-i', filePath,
+        '-vf', `scale=${PLACEHOLDER_SIZE}:${PLACEHOLDER_SIZE}:force_original_aspect_ratio=decrease`,
+        '-frames:v', '1',
+        '-c:v', 'libwebp',
+        '-quality', String(PLACEHOLDER_QUALITY),
+        '-f', 'webp',
+        'pipe:1'
+    ];
+
+    return new Promise((resolve, reject) => {
+        execFile('ffmpeg', args, { encoding: 'buffer', maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                if (error.code === 'ENOENT') {
+                    reject(new Error('ffmpeg is not installed (needed for placeholders)'));
+                } else {
+                    reject(new Error(`ffmpeg failed for ${filePath}: ${stderr.toString().trim() || error.message}`));
+                }
+                return;
+            }
+
+            if (stdout.length === 0) {
+                reject(new Error(`ffmpeg produced no output for ${filePath}`));
+                return;
+            }
+
+            resolve(`data:image/webp;base64,${stdout.toString('base64')}`);
+        });
+    });
+}
+
+module.exports = {
+    generatePlaceholder
+};
@@ -0,0 +1,300 @@
+/**
+ * Share Page Generator
+ * Builds public/share/[album-name].html, one static page per album with the album's own
+ * Open Graph/Twitter tags and JSON-LD. Link previews (GroupMe, iMessage, social sites) come
+ * from crawlers that don't run album-view.js, so album.html can only ever show the generic
+ * tags; people opening a share link are sent straight on to album.html.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const {
+    ROOT_DIR,
+    PUBLIC_DIR,
+    SITE_URL,
+    PRIMARY_PHOTO_ORIGIN,
+    listAlbumNames,
+    readAlbum,
+    writeFileAtomic
+} = require('./album-files');
+const { summarizeAlbum } = require('./album-index');
+
+// Folder the share pages are written to (served as /share/[album-name] with cleanUrls)
+const SHARE_DIR = path.join(PUBLIC_DIR, 'share');
+
+// Calendar day at the start of an ISO 8601 date ("2025-10-23T21:14:03-04:00")
+const ALBUM_DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serialize data for an inline <script>, so album text can't close the script element
+ * @param {*} data - Data to serialize
+ * @param {number} [indent] - Pretty-print indent
+ * @returns {string} JSON with "<" escaped
+ */
+function toScriptJson(data, indent) {
+    return JSON.stringify(data, null, indent).replace(/</g, '\\u003c');
+}
+
+/**
+ * Join names as "A", "A and B" or "A, B and C" (like the album page header)
+ * @param {string[]} names - Names to join
+ * @returns {string} Joined names
+ */
+function formatNameList(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+}
+
+/**
+ * Format an album date the way the album page header does ("October 24, 2025"): the calendar
+ * day written in the date, whatever time zone this machine or the viewer is in
+ * (formatAlbumDate in public/js/album-dates.js)
+ * @param {string} date - ISO 8601 date
+ * @returns {string} Formatted date, or an empty string for invalid dates
+ */
+function formatAlbumDate(date) {
+    const match = ALBUM_DAY_PATTERN.exec(typeof date === 'string' ? date : '');
+    const day = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+
+    return !day || isNaN(day) ? '' : day.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Describe an album in one line: "86 photos by A and B • October 24, 2025"
+ * @param {Object} album - Parsed album JSON data
+ * @param {Object} summary - Album summary from summarizeAlbum()
+ * @returns {string} Photo count, photographers and date
+ */
+function formatAlbumDetails(album, summary) {
+    const names = summary.photographers.map(credit => credit.name);
+
+    return [
+        `${summary.photoCount} photo${summary.photoCount === 1 ? '' : 's'}${names.length > 0 ? ` by ${formatNameList(names)}` : ''}`,
+        formatAlbumDate(album.date)
+    ].filter(Boolean).join(' • ');
+}
+
+/**
+ * Get the URL of the album page for an album
+ * @param {string} albumName - Album folder name
+ * @returns {string} Absolute album.html URL
+ */
+function getAlbumPageUrl(albumName) {
+    return `${SITE_URL}/album.html?album=${encodeURIComponent(albumName)}`;
+}
+
+/**
+ * Get the URL of an album's share page
+ * @param {string} albumName - Album folder name
+ * @returns {string} Absolute share page URL
+ */
+function getSharePageUrl(albumName) {
+    return `${SITE_URL}/share/${encodeURIComponent(albumName)}`;
+}
+
+/**
+ * Describe the cover photo crawlers show: the display tier when the album has size tiers
+ * (previews are shown large), otherwise the /low webP
+ * @param {string} albumName - Album folder name
+ * @param {Object} album - Parsed album JSON data
+ * @param {Object} summary - Album summary from summarizeAlbum()
+ * @returns {{url: string, width?: number, height?: number, alt: string}|null} Cover image, or null without a cover
+ */
+function getShareImage(albumName, album, summary) {
+    if (!summary.coverPhoto) {
+        return null;
+    }
+
+    const tier = summary.coverSizes && summary.coverSizes.display ? 'display' : 'low';
+    const size = summary.coverSizes ? summary.coverSizes[tier] : undefined;
+    const entry = (album.photos || []).find(photo => photo && photo.webp === summary.coverPhoto);
+
+    return {
+        url: `${PRIMARY_PHOTO_ORIGIN}/${albumName}/${tier}/${summary.coverPhoto}${summary.coverHash ? `?v=${summary.coverHash}` : ''}`,
+        width: size ? size.width : undefined,
+        height: size ? size.height : undefined,
+        alt: (entry && (entry.alt || entry.caption)) || `Cover photo of ${album.name}`
+    };
+}
+
+/**
+ * Build the album's JSON-LD
+ * @param {string} albumName - Album folder name
+ * @param {Object} album - Parsed album JSON data
+ * @param {Object} summary - Album summary from summarizeAlbum()
+ * @param {string} description - Page description
+ * @param {Object|null} image - Cover image from getShareImage()
+ * @returns {Object} schema.org ImageGallery
+ */
+function buildStructuredData(albumName, album, summary, description, image) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'ImageGallery',
+        name: album.name,
+        description,
+        url: getAlbumPageUrl(albumName),
+        dateCreated: album.date,
+        datePublished: album.uploadedAt,
+        creator: summary.photographers.map(credit => ({ '@type': 'Person', name: credit.name })),
+        image: image ? {
+            '@type': 'ImageObject',
+            contentUrl: image.url,
+            width: image.width,
+            height: image.height,
+            caption: image.alt
+        } : undefined,
+        provider: {
+            '@type': 'Organization',
+            name: 'Pi Kappa Phi - Zeta Alpha Chapter',
+            url: 'https://pikapp.org',
+            logo: 'https://pikapp.org/wp-content/uploads/2025/01/PiKappaPhi-favicon.png'
+        }
+    };
+}
+
+/**
+ * Render an album's share page
+ * @param {string} albumName - Album folder name
+ * @param {Object} album - Parsed album JSON data
+ * @returns {string} HTML document
+ */
+function renderSharePage(albumName, album) {
+    const summary = summarizeAlbum(albumName, album);
+    const details = formatAlbumDetails(album, summary);
+
+    const description = typeof album.description === 'string' && album.description.trim()
+        ? `${album.description.trim()} (${details})`
+        : `${details}. Pi Kappa Phi Zeta Alpha Chapter at Clemson University.`;
+
+    const title = `${album.name} - Pi Kappa Phi Photo Gallery`;
+    const albumUrl = getAlbumPageUrl(albumName);
+    const image = getShareImage(albumName, album, summary);
+
+    const imageTags = image ? [
+        `<meta property="og:image" content="${escapeHtml(image.url)}">`,
+        image.width ? `<meta property="og:image:width" content="${image.width}">` : '',
+        image.height ? `<meta property="og:image:height" content="${image.height}">` : '',
+        `<meta property="og:image:alt" content="${escapeHtml(image.alt)}">`,
+        `<meta name="twitter:image" content="${escapeHtml(image.url)}">`,
+        `<meta name="twitter:image:alt" content="${escapeHtml(image.alt)}">`
+    ].filter(Boolean).join('\n    ') : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+
+    <!-- Generated by \`node index.js share\` from public/albums/${albumName}.json - do not edit -->
+    <meta name="description" content="${escapeHtml(description)}">
+    <meta name="theme-color" content="#002D4F">
+    <link rel="canonical" href="${escapeHtml(albumUrl)}">
+
+    <!-- Open Graph / Facebook -->
+    <meta property="og:type" content="website">
+    <meta property="og:title" content="${escapeHtml(album.name)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(getSharePageUrl(albumName))}">
+    <meta property="og:site_name" content="Pi Kappa Phi Photo Gallery">
+    <meta property="og:locale" content="en_US">
+
+    <!-- Twitter Card -->
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeHtml(album.name)}">
+    <meta name="twitter:description" content="${escapeHtml(description)}">
+
+    <!-- Cover Photo -->
+    ${imageTags}
+
+    <!-- Structured Data (JSON-LD) -->
+    <script type="application/ld+json">
+${toScriptJson(buildStructuredData(albumName, album, summary, description, image), 4)}
+    </script>
+
+    <link rel="icon" type="image/png" sizes="32x32" href="https://pikapp.org/wp-content/uploads/2025/01/PiKappaPhi-favicon.png">
+    <link rel="stylesheet" href="../css/shared.css">
+
+    <!-- Crawlers read the tags above; people go straight on to the album (keeping ?photo=) -->
+    <script>
+        (() => {
+            const params = new URLSearchParams(window.location.search);
+            const target = new URL('../album.html', window.location.href);
+            target.searchParams.set('album', ${toScriptJson(albumName)});
+            if (params.get('photo')) {
+                target.searchParams.set('photo', params.get('photo'));
+            }
+            window.location.replace(target.toString());
+        })();
+    </script>
+</head>
+<body>
+    <main class="glass-container share-page">
+        <h1>${escapeHtml(album.name)}</h1>
+        <p>${escapeHtml(details)}</p>
+        <p><a class="glass-button" href="../album.html?album=${escapeHtml(encodeURIComponent(albumName))}">View the album</a></p>
+    </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate a share page for every album and delete pages of albums that no longer exist
+ * @returns {Promise<string[]>} Album folder names that got a share page
+ */
+async function generateSharePages() {
+    const albumNames = await listAlbumNames();
+    await fs.mkdir(SHARE_DIR, { recursive: true });
+
+    for (const albumName of albumNames) {
+        const album = await readAlbum(albumName);
+        await writeFileAtomic(getSharePagePath(albumName), renderSharePage(albumName, album));
+    }
+
+    const stalePages = (await fs.readdir(SHARE_DIR))
+        .filter(file => file.endsWith('.html') && !albumNames.includes(path.basename(file, '.html')));
+    for (const file of stalePages) {
+        await fs.rm(path.join(SHARE_DIR, file));
+    }
+
+    console.log(`Created ${albumNames.length} share page(s) in ${path.relative(ROOT_DIR, SHARE_DIR)}/${stalePages.length > 0 ? ` (removed ${stalePages.length} for deleted albums)` : ''}`);
+    return albumNames;
+}
+
+/**
+ * Get the path of an album's share page
+ * @param {string} albumName - Album folder name
+ * @returns {string} Absolute path to /public/share/[album-name].html
+ */
+function getSharePagePath(albumName) {
+    return path.join(SHARE_DIR, `${albumName}.html`);
+}
+
+module.exports = {
+    escapeHtml,
+    formatAlbumDetails,
+    getAlbumPageUrl,
+    getShareImage,
+    getSharePagePath,
+    renderSharePage,
+    generateSharePages
+};
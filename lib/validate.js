@@ -0,0 +1,620 @@
+/**
+ * Album Validator
+ * Checks the album JSON files, the albums.json manifest and the photo files the albums
+ * refer to, reporting every problem found instead of stopping at the first one.
+ * Fails (non-zero exit code) when any error is found; warnings don't fail.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const {
+    ROOT_DIR,
+    ALBUMS_DIR,
+    ALBUMS_MANIFEST_PATH,
+    ALBUM_INDEX_PATH,
+    WEBP_TIERS,
+    VIDEO_MEDIA_TYPE,
+    listAlbumNames,
+    getAlbumJsonPath,
+    getOriginalFilename,
+    isVideoEntry,
+    isHiddenEntry,
+    fileExists,
+    readAlbum
+} = require('./album-files');
+const { buildAlbumIndex } = require('./album-index');
+const { FEED_PATH, SITEMAP_PATH, buildFeeds } = require('./feeds');
+const { getSharePagePath, renderSharePage } = require('./share-pages');
+
+// Photo grid layouts understood by album.html (ALBUM_LAYOUTS in public/js/album-view.js)
+const ALBUM_LAYOUTS = ['grid', 'justified'];
+
+// Photo orders understood by album.html: by capture time (default) or as listed in the JSON
+const PHOTO_ORDERS = ['capture', 'manual'];
+
+// Photo entry "type" values understood by album.html (entries without one are images)
+const MEDIA_TYPES = ['image', VIDEO_MEDIA_TYPE];
+
+// Video clips are played by the browser, so they must be MP4
+const VIDEO_EXTENSION = 'mp4';
+
+// ISO 8601 date with optional time and UTC offset
+// (2025-10-24, 2025-10-24T18:37:55, 2025-10-24T22:37:55Z, 2025-10-24T18:37:55.120-04:00)
+const ISO_8601_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Album folder names written by upload.sh
+const ALBUM_NAME_PATTERN = /^[a-z0-9_]+$/;
+
+/**
+ * Parse the validate command's arguments
+ * @param {string[]} args - Album names and options from the command line
+ * @returns {{albumNames: string[], photoRoot: string|null}} Albums to check and the optional nginx root mirror
+ */
+function parseValidateArgs(args) {
+    const albumNames = [];
+    let photoRoot = null;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--photo-root') {
+            photoRoot = args[++i];
+            if (!photoRoot) {
+                throw new Error('--photo-root needs a directory (a local mirror of /var/www/pikapp-photos)');
+            }
+        } else if (arg.startsWith('--photo-root=')) {
+            photoRoot = arg.slice('--photo-root='.length);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            albumNames.push(arg);
+        }
+    }
+
+    return { albumNames, photoRoot: photoRoot ? path.resolve(photoRoot) : null };
+}
+
+/**
+ * Create an empty problem report
+ * @returns {Object} Report with error() and warning() recorders
+ */
+function createReport() {
+    const problems = [];
+
+    return {
+        problems,
+        error: (location, message) => problems.push({ level: 'error', location, message }),
+        warning: (location, message) => problems.push({ level: 'warning', location, message })
+    };
+}
+
+/**
+ * Check whether a value is a valid ISO 8601 date (including real calendar days and times)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a valid ISO 8601 date string
+ */
+function isValidIsoDate(value) {
+    const match = typeof value === 'string' ? ISO_8601_PATTERN.exec(value) : null;
+
+    if (!match) {
+        return false;
+    }
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part === undefined ? undefined : Number(part));
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    return date.getUTCFullYear() === year &&
+           date.getUTCMonth() === month - 1 &&
+           date.getUTCDate() === day &&
+           hour < 24 && minute < 60 && second < 60;
+}
+
+/**
+ * Check whether a value is a positive integer
+ * @param {*} value - Value to check
+ * @returns {boolean} True for integers greater than zero
+ */
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Get the webP and original filenames of a photo entry
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @returns {{webp: string, original: string}} Filenames in the webP folders and /full
+ */
+function getPhotoFiles(photo) {
+    if (typeof photo === 'string') {
+        // Old format: the same filename is used in /low and /full
+        return { webp: photo, original: photo };
+    }
+    return { webp: photo.webp, original: getOriginalFilename(photo) };
+}
+
+/**
+ * Check a single photo entry's fields
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @param {string} label - Where the entry is, for messages ("photos[3]")
+ * @param {string} location - Album JSON path for the report
+ * @param {Object} report - Problem report
+ * @returns {boolean} True if the entry names its files well enough to check them
+ */
+function validatePhotoEntry(photo, label, location, report) {
+    if (typeof photo === 'string') {
+        if (!photo) {
+            report.error(location, `${label} is an empty filename`);
+            return false;
+        }
+        return true;
+    }
+
+    if (photo === null || typeof photo !== 'object' || Array.isArray(photo)) {
+        report.error(location, `${label} must be a {"webp", "ext"} object, got ${JSON.stringify(photo)}`);
+        return false;
+    }
+
+    let valid = true;
+
+    if (typeof photo.webp !== 'string' || !photo.webp.endsWith('.webp')) {
+        report.error(location, `${label} "webp" must be a .webp filename, got ${JSON.stringify(photo.webp)}`);
+        valid = false;
+    }
+    if (typeof photo.ext !== 'string' || !/^[A-Za-z0-9]+$/.test(photo.ext)) {
+        report.error(location, `${label} "ext" must be a file extension without the dot (e.g. "jpg"), got ${JSON.stringify(photo.ext)}`);
+        valid = false;
+    }
+    if (photo.type !== undefined && !MEDIA_TYPES.includes(photo.type)) {
+        report.error(location, `${label} "type" must be one of ${MEDIA_TYPES.join(', ')}, got ${JSON.stringify(photo.type)}`);
+    }
+    if (photo.type === VIDEO_MEDIA_TYPE && photo.ext !== VIDEO_EXTENSION) {
+        report.error(location, `${label} is a video, so its original in /full must be .${VIDEO_EXTENSION}, got ${JSON.stringify(photo.ext)}`);
+    }
+    if (photo.type === VIDEO_MEDIA_TYPE && photo.sizes !== undefined) {
+        report.error(location, `${label} is a video, so it should have no "sizes" (its poster frame is in /low)`);
+    }
+    if (photo.hidden !== undefined && typeof photo.hidden !== 'boolean') {
+        report.error(location, `${label} "hidden" must be true or false, got ${JSON.stringify(photo.hidden)}`);
+    }
+    if (photo.duration !== undefined && !(typeof photo.duration === 'number' && photo.duration > 0)) {
+        report.error(location, `${label} "duration" must be a positive number of seconds, got ${JSON.stringify(photo.duration)}`);
+    }
+    if (photo.takenAt !== undefined && !isValidIsoDate(photo.takenAt)) {
+        report.error(location, `${label} "takenAt" is not a valid ISO 8601 date: ${JSON.stringify(photo.takenAt)}`);
+    }
+    if (photo.photographer !== undefined && (typeof photo.photographer !== 'string' || !photo.photographer.trim())) {
+        report.error(location, `${label} "photographer" must be a non-empty name, got ${JSON.stringify(photo.photographer)}`);
+    }
+    ['caption', 'alt'].forEach(field => {
+        if (photo[field] !== undefined && (typeof photo[field] !== 'string' || !photo[field].trim())) {
+            report.error(location, `${label} "${field}" must be non-empty text, got ${JSON.stringify(photo[field])}`);
+        }
+    });
+    if ((photo.width !== undefined || photo.height !== undefined) &&
+        !(isPositiveInteger(photo.width) && isPositiveInteger(photo.height))) {
+        report.error(location, `${label} "width" and "height" must both be positive integers`);
+    }
+    if (photo.placeholder !== undefined && !/^data:image\/[a-z+]+;base64,/.test(photo.placeholder)) {
+        report.error(location, `${label} "placeholder" must be a base64 image data URI`);
+    }
+    if (photo.hash !== undefined && !(typeof photo.hash === 'string' && /^[0-9a-f]{8,64}$/.test(photo.hash))) {
+        report.error(location, `${label} "hash" must be a lowercase hex content hash (run \`node index.js ingest\`), got ${JSON.stringify(photo.hash)}`);
+    }
+
+    return valid;
+}
+
+/**
+ * Check an album's top-level fields and photo entries
+ * @param {string} albumName - Album folder name
+ * @param {Object} album - Parsed album JSON data
+ * @param {string} location - Album JSON path for the report
+ * @param {Object} report - Problem report
+ * @returns {Array<string|Object>} Photo entries whose files can be checked
+ */
+function validateAlbumFields(albumName, album, location, report) {
+    if (album === null || typeof album !== 'object' || Array.isArray(album)) {
+        report.error(location, 'Album JSON must be an object');
+        return [];
+    }
+
+    if (!ALBUM_NAME_PATTERN.test(albumName)) {
+        report.warning(location, `Album folder name "${albumName}" is not snake_case like upload.sh writes`);
+    }
+
+    if (typeof album.name !== 'string' || !album.name.trim()) {
+        report.error(location, `"name" must be a non-empty string, got ${JSON.stringify(album.name)}`);
+    }
+
+    if (album.photographer === undefined || album.photographer === '') {
+        report.warning(location, '"photographer" is missing - photos without their own "photographer" will have no credit');
+    } else if (typeof album.photographer !== 'string') {
+        report.error(location, `"photographer" must be a string, got ${JSON.stringify(album.photographer)}`);
+    }
+
+    if (!isValidIsoDate(album.date)) {
+        report.error(location, `"date" is not a valid ISO 8601 date: ${JSON.stringify(album.date)}`);
+    }
+    if (album.description !== undefined && (typeof album.description !== 'string' || !album.description.trim())) {
+        report.error(location, `"description" must be non-empty text, got ${JSON.stringify(album.description)}`);
+    }
+    if (album.uploadedAt !== undefined && !isValidIsoDate(album.uploadedAt)) {
+        report.error(location, `"uploadedAt" is not a valid ISO 8601 date: ${JSON.stringify(album.uploadedAt)}`);
+    }
+    if (album.layout !== undefined && !ALBUM_LAYOUTS.includes(album.layout)) {
+        report.error(location, `"layout" must be one of ${ALBUM_LAYOUTS.map(layout => `"${layout}"`).join(', ')}, got ${JSON.stringify(album.layout)}`);
+    }
+    if (album.order !== undefined && !PHOTO_ORDERS.includes(album.order)) {
+        report.error(location, `"order" must be one of ${PHOTO_ORDERS.map(order => `"${order}"`).join(', ')}, got ${JSON.stringify(album.order)}`);
+    }
+    if (album.schemaVersion !== undefined && !isPositiveInteger(album.schemaVersion)) {
+        report.error(location, `"schemaVersion" must be a positive integer, got ${JSON.stringify(album.schemaVersion)}`);
+    }
+
+    if (!Array.isArray(album.photos) || album.photos.length === 0) {
+        report.error(location, '"photos" must be a non-empty array');
+        return [];
+    }
+
+    const photos = [];
+    const seen = new Set();
+
+    album.photos.forEach((photo, i) => {
+        const label = `photos[${i}]`;
+
+        if (!validatePhotoEntry(photo, label, location, report)) {
+            return;
+        }
+
+        const { webp } = getPhotoFiles(photo);
+        if (seen.has(webp)) {
+            report.error(location, `${label} "${webp}" is listed more than once`);
+            return;
+        }
+
+        seen.add(webp);
+        photos.push(photo);
+    });
+
+    if (typeof album.coverPhoto !== 'string' || !album.coverPhoto) {
+        report.error(location, `"coverPhoto" must be a webP filename, got ${JSON.stringify(album.coverPhoto)}`);
+    } else if (!seen.has(album.coverPhoto)) {
+        report.error(location, `"coverPhoto" "${album.coverPhoto}" is not one of the album's photos`);
+    } else if (photos.some(photo => getPhotoFiles(photo).webp === album.coverPhoto && isHiddenEntry(photo))) {
+        report.error(location, `"coverPhoto" "${album.coverPhoto}" is hidden, so the album card would show a photo the album doesn't`);
+    }
+
+    if (photos.length > 0 && photos.every(isHiddenEntry)) {
+        report.error(location, 'Every photo is hidden, so the album would be empty');
+    }
+
+    if (album.sections !== undefined) {
+        validateSections(album.sections, photos, location, report);
+    }
+
+    return photos;
+}
+
+/**
+ * Check the optional "sections" array (sub-events shown with headers and a jump-nav)
+ * @param {*} sections - "sections" value from the album JSON
+ * @param {Array<string|Object>} photos - The album's valid photo entries
+ * @param {string} location - Album JSON path for the report
+ * @param {Object} report - Problem report
+ */
+function validateSections(sections, photos, location, report) {
+    if (!Array.isArray(sections)) {
+        report.error(location, `"sections" must be an array, got ${JSON.stringify(sections)}`);
+        return;
+    }
+
+    // Sections name photos by filename, with or without the extension
+    const photoIds = new Set(photos.map(photo => getPhotoFiles(photo).webp.replace(/\.[^.]+$/, '')));
+    const listedIn = new Map();
+
+    sections.forEach((section, i) => {
+        const label = `sections[${i}]`;
+
+        if (section === null || typeof section !== 'object' || Array.isArray(section)) {
+            report.error(location, `${label} must be a {"title", "start", "end", "photos"} object, got ${JSON.stringify(section)}`);
+            return;
+        }
+
+        if (typeof section.title !== 'string' || !section.title.trim()) {
+            report.error(location, `${label} "title" must be a non-empty string, got ${JSON.stringify(section.title)}`);
+        }
+
+        ['start', 'end'].forEach(field => {
+            if (section[field] !== undefined && !isValidIsoDate(section[field])) {
+                report.error(location, `${label} "${field}" is not a valid ISO 8601 date: ${JSON.stringify(section[field])}`);
+            }
+        });
+        if (isValidIsoDate(section.start) && isValidIsoDate(section.end) && Date.parse(section.start) >= Date.parse(section.end)) {
+            report.error(location, `${label} "start" must be before "end"`);
+        }
+
+        if (section.photos !== undefined && !Array.isArray(section.photos)) {
+            report.error(location, `${label} "photos" must be an array of photo filenames`);
+        } else if (section.photos) {
+            section.photos.forEach(name => {
+                const id = typeof name === 'string' ? name.replace(/\.[^.]+$/, '') : null;
+
+                if (!id || !photoIds.has(id)) {
+                    report.error(location, `${label} lists ${JSON.stringify(name)}, which is not one of the album's photos`);
+                } else if (listedIn.has(id)) {
+                    report.warning(location, `${label} lists "${name}", which ${listedIn.get(id)} already claims`);
+                } else {
+                    listedIn.set(id, label);
+                }
+            });
+        }
+
+        if (!section.start && !section.end && !(Array.isArray(section.photos) && section.photos.length > 0)) {
+            report.warning(location, `${label} has no "photos" and no time range, so it will be empty`);
+        }
+    });
+}
+
+/**
+ * Check that every photo's webP and original files exist in an album's photo folder
+ * Photos with size tiers need each recorded tier; other photos need /low (or the
+ * thumb/display tiers for albums that were processed with tiers but not yet ingested)
+ * @param {string} albumDir - Album folder (albums/[album-name] or [photo-root]/[album-name])
+ * @param {Array<string|Object>} photos - Photo entries to check
+ * @param {Object} report - Problem report
+ */
+async function validatePhotoFiles(albumDir, photos, report) {
+    const location = path.relative(ROOT_DIR, albumDir) || albumDir;
+    const hasLowFolder = await fileExists(path.join(albumDir, 'low'));
+
+    for (const photo of photos) {
+        const { webp, original } = getPhotoFiles(photo);
+        const sizes = typeof photo === 'object' ? photo.sizes : undefined;
+
+        let webpFolders;
+        if (sizes) {
+            webpFolders = WEBP_TIERS.filter(tier => sizes[tier]);
+        } else if (hasLowFolder || typeof photo === 'string' || isVideoEntry(photo)) {
+            // Older albums, and video poster frames
+            webpFolders = ['low'];
+        } else {
+            webpFolders = WEBP_TIERS;
+        }
+
+        for (const folder of [...webpFolders, 'full']) {
+            const filename = folder === 'full' ? original : webp;
+            if (!(await fileExists(path.join(albumDir, folder, filename)))) {
+                report.error(location, `Missing ${folder}/${filename}`);
+            }
+        }
+    }
+}
+
+/**
+ * Validate one album: its JSON file, and its photo files locally and in the photo root mirror
+ * @param {string} albumName - Album folder name
+ * @param {string|null} photoRoot - Local mirror of the nginx root, or null
+ * @param {Object} report - Problem report
+ */
+async function validateAlbum(albumName, photoRoot, report) {
+    const location = path.relative(ROOT_DIR, getAlbumJsonPath(albumName));
+    let album;
+
+    try {
+        album = await readAlbum(albumName);
+    } catch (error) {
+        // Broken JSON makes the home page silently drop the album
+        report.error(location, error.code === 'ENOENT' ? 'File not found' : error.message);
+        return;
+    }
+
+    const photos = validateAlbumFields(albumName, album, location, report);
+
+    // Photo folders aren't committed, so only albums processed on this machine can be checked locally
+    const localDir = path.join(ALBUMS_DIR, albumName);
+    if (await fileExists(localDir)) {
+        await validatePhotoFiles(localDir, photos, report);
+    }
+
+    if (photoRoot) {
+        const mirrorDir = path.join(photoRoot, albumName);
+        if (await fileExists(mirrorDir)) {
+            await validatePhotoFiles(mirrorDir, photos, report);
+        } else {
+            report.error(mirrorDir, 'Album folder not found in the photo root');
+        }
+    }
+}
+
+/**
+ * Check that albums.json lists exactly the album JSON files that exist
+ * @param {string[]} albumNames - Albums found in /public/albums
+ * @param {Object} report - Problem report
+ */
+async function validateManifest(albumNames, report) {
+    const location = path.relative(ROOT_DIR, ALBUMS_MANIFEST_PATH);
+    let manifest;
+
+    try {
+        manifest = JSON.parse(await fs.readFile(ALBUMS_MANIFEST_PATH, 'utf8'));
+    } catch (error) {
+        report.error(location, error.code === 'ENOENT' ? 'File not found (generated by upload.sh)' : `Invalid JSON: ${error.message}`);
+        return;
+    }
+
+    if (!manifest || !Array.isArray(manifest.albums)) {
+        report.error(location, '"albums" must be an array of album folder names');
+        return;
+    }
+
+    const listed = new Set();
+
+    manifest.albums.forEach(albumName => {
+        if (listed.has(albumName)) {
+            report.error(location, `"${albumName}" is listed more than once`);
+        } else if (!albumNames.includes(albumName)) {
+            report.error(location, `Lists "${albumName}" but public/albums/${albumName}.json does not exist`);
+        }
+        listed.add(albumName);
+    });
+
+    albumNames
+        .filter(albumName => !listed.has(albumName))
+        .forEach(albumName => report.error(location, `Does not list "${albumName}" (public/albums/${albumName}.json exists)`));
+}
+
+/**
+ * Check that album-index.json exists (the home page renders from it alone) and warn when it no
+ * longer matches the album JSON files
+ * @param {Object} report - Problem report
+ */
+async function validateAlbumIndex(report) {
+    const location = path.relative(ROOT_DIR, ALBUM_INDEX_PATH);
+    let expected;
+
+    try {
+        expected = `${JSON.stringify(await buildAlbumIndex(), null, 2)}\n`;
+    } catch (error) {
+        // An album JSON file is broken - already reported above
+        return;
+    }
+
+    let contents;
+    try {
+        contents = await fs.readFile(ALBUM_INDEX_PATH, 'utf8');
+    } catch (error) {
+        report.error(location, 'File not found - the home page can\'t list albums without it (run `node index.js index`)');
+        return;
+    }
+
+    if (contents !== expected) {
+        report.warning(location, 'Out of date with public/albums/*.json (run `node index.js index`)');
+    }
+}
+
+/**
+ * Warn when an album's share page is missing or no longer matches its album JSON
+ * @param {string[]} albumNames - Albums found in /public/albums
+ * @param {Object} report - Problem report
+ */
+async function validateSharePages(albumNames, report) {
+    for (const albumName of albumNames) {
+        const location = path.relative(ROOT_DIR, getSharePagePath(albumName));
+        let expected;
+
+        try {
+            expected = renderSharePage(albumName, await readAlbum(albumName));
+        } catch (error) {
+            // The album JSON file is broken - already reported above
+            continue;
+        }
+
+        let contents;
+        try {
+            contents = await fs.readFile(getSharePagePath(albumName), 'utf8');
+        } catch (error) {
+            report.warning(location, 'File not found - links to the album get the generic preview (run `node index.js share`)');
+            continue;
+        }
+
+        if (contents !== expected) {
+            report.warning(location, `Out of date with public/albums/${albumName}.json (run \`node index.js share\`)`);
+        }
+    }
+}
+
+/**
+ * Warn when feed.xml or sitemap.xml is missing or no longer matches the album JSON files
+ * @param {Object} report - Problem report
+ */
+async function validateFeeds(report) {
+    let expected;
+
+    try {
+        expected = await buildFeeds();
+    } catch (error) {
+        // albums.json or an album JSON file is broken - already reported above
+        return;
+    }
+
+    const files = [
+        { filePath: FEED_PATH, contents: expected.feed },
+        { filePath: SITEMAP_PATH, contents: expected.sitemap }
+    ];
+
+    for (const { filePath, contents } of files) {
+        const location = path.relative(ROOT_DIR, filePath);
+        let current;
+
+        try {
+            current = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            report.warning(location, 'File not found (run `node index.js feed`)');
+            continue;
+        }
+
+        if (current !== contents) {
+            report.warning(location, 'Out of date with public/albums.json and public/albums/*.json (run `node index.js feed`)');
+        }
+    }
+}
+
+/**
+ * Print every problem in the report, errors first
+ * @param {Object} report - Problem report
+ */
+function printReport(report) {
+    const errors = report.problems.filter(problem => problem.level === 'error');
+    const warnings = report.problems.filter(problem => problem.level === 'warning');
+
+    errors.forEach(({ location, message }) => console.error(`  Error: ${location}: ${message}`));
+    warnings.forEach(({ location, message }) => console.warn(`  Warning: ${location}: ${message}`));
+}
+
+/**
+ * Validate the named albums (all albums if none are named)
+ * Checking all albums also checks albums.json, album-index.json, the share pages and the feed and sitemap
+ * @param {string[]} args - Album names and options from the command line
+ */
+async function validate(args) {
+    const { albumNames, photoRoot } = parseValidateArgs(args);
+
+    if (photoRoot && !(await fileExists(photoRoot))) {
+        throw new Error(`Photo root not found: ${photoRoot}`);
+    }
+
+    const allAlbumNames = await listAlbumNames();
+    const targets = albumNames.length > 0 ? albumNames : allAlbumNames;
+    const report = createReport();
+
+    console.log(`Validating ${targets.length} album(s)${photoRoot ? ` and photo root ${photoRoot}` : ''}`);
+
+    for (const albumName of targets) {
+        await validateAlbum(albumName, photoRoot, report);
+    }
+
+    if (albumNames.length === 0) {
+        await validateManifest(allAlbumNames, report);
+        await validateAlbumIndex(report);
+        await validateSharePages(allAlbumNames, report);
+        await validateFeeds(report);
+    }
+
+    printReport(report);
+
+    const errorCount = report.problems.filter(problem => problem.level === 'error').length;
+    const warningCount = report.problems.length - errorCount;
+
+    if (errorCount > 0) {
+        throw new Error(`${errorCount} error(s) and ${warningCount} warning(s) found`);
+    }
+
+    console.log(`No errors found${warningCount > 0 ? ` (${warningCount} warning(s))` : ''}`);
+}
+
+module.exports = {
+    PHOTO_ORDERS,
+    createReport,
+    isValidIsoDate,
+    validateAlbumFields,
+    validate
+};
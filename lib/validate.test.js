@@ -0,0 +1,220 @@
+/**
+ * Tests for the album JSON checks of `node index.js validate` (isValidIsoDate and validateAlbumFields)
+ * Run with `npm test` (node --test)
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { createReport, isValidIsoDate, validateAlbumFields } = require('./validate');
+
+const LOCATION = 'public/albums/bike_a_thon_2025.json';
+
+/**
+ * Run validateAlbumFields on an album
+ * @param {*} album - Album JSON data
+ * @param {string} [albumName] - Album folder name
+ * @returns {{photos: Array, problems: Object[]}} Photo entries to check on disk and the problems found
+ */
+function validateAlbum(album, albumName = 'bike_a_thon_2025') {
+    const report = createReport();
+    const photos = validateAlbumFields(albumName, album, LOCATION, report);
+    return { photos, problems: report.problems };
+}
+
+/**
+ * Get the messages of the problems at one level
+ * @param {Object[]} problems - Problems from a report
+ * @param {string} level - 'error' or 'warning'
+ * @returns {string[]} Messages
+ */
+function getMessages(problems, level) {
+    return problems.filter(problem => problem.level === level).map(problem => problem.message);
+}
+
+describe('isValidIsoDate', () => {
+    it('accepts dates, with or without a time and UTC offset', () => {
+        [
+            '2025-10-24',
+            '2025-10-24T18:37',
+            '2025-10-24T18:37:55',
+            '2025-10-24T22:37:55Z',
+            '2025-10-24T18:37:55.120-04:00',
+            '2025-10-24T18:37:55+0530',
+            '2024-02-29'
+        ].forEach(value => assert.equal(isValidIsoDate(value), true, value));
+    });
+
+    it('rejects days and times that do not exist', () => {
+        [
+            '2025-02-29',
+            '2025-04-31',
+            '2025-13-01',
+            '2025-00-10',
+            '2025-10-24T24:00:00',
+            '2025-10-24T18:60:00',
+            '2025-10-24T18:37:60'
+        ].forEach(value => assert.equal(isValidIsoDate(value), false, value));
+    });
+
+    it('rejects other date formats and non-strings', () => {
+        ['10/24/2025', '2025:10:24 18:37:55', '2025-10-24 18:37:55', 'October 24, 2025', '', null, undefined, 1761345475000]
+            .forEach(value => assert.equal(isValidIsoDate(value), false, String(value)));
+    });
+});
+
+describe('validateAlbumFields', () => {
+    it('finds nothing wrong with an album as upload.sh and ingest write it', () => {
+        const album = {
+            name: 'Bike-A-Thon 2025',
+            photographer: 'Alex Kim',
+            date: '2025-04-12T09:30:00',
+            uploadedAt: '2025-04-13T02:10:44Z',
+            coverPhoto: 'bike_a_thon_2025_2.webp',
+            schemaVersion: 2,
+            photos: [
+                { webp: 'bike_a_thon_2025_1.webp', ext: 'jpg', takenAt: '2025-04-12T09:30:00', width: 6000, height: 4000 },
+                { webp: 'bike_a_thon_2025_2.webp', ext: 'png', sizes: { thumb: { width: 640, height: 427 } } },
+                { webp: 'bike_a_thon_2025_3.webp', ext: 'mp4', type: 'video', duration: 12.5 }
+            ]
+        };
+
+        const { photos, problems } = validateAlbum(album);
+
+        assert.deepEqual(problems, []);
+        assert.deepEqual(photos, album.photos);
+    });
+
+    it('catches album JSON that is not an object', () => {
+        assert.deepEqual(validateAlbum(null), {
+            photos: [],
+            problems: [{ level: 'error', location: LOCATION, message: 'Album JSON must be an object' }]
+        });
+        assert.deepEqual(getMessages(validateAlbum([]).problems, 'error'), ['Album JSON must be an object']);
+    });
+
+    it('reports each invalid top-level field', () => {
+        const { problems } = validateAlbum({
+            name: '  ',
+            photographer: 42,
+            date: '10/24/2025',
+            uploadedAt: 'yesterday',
+            layout: 'masonry',
+            order: 'random',
+            schemaVersion: 0,
+            coverPhoto: 'a.webp',
+            photos: ['a.webp']
+        });
+
+        assert.deepEqual(getMessages(problems, 'error'), [
+            '"name" must be a non-empty string, got "  "',
+            '"photographer" must be a string, got 42',
+            '"date" is not a valid ISO 8601 date: "10/24/2025"',
+            '"uploadedAt" is not a valid ISO 8601 date: "yesterday"',
+            '"layout" must be one of "grid", "justified", got "masonry"',
+            '"order" must be one of "capture", "manual", got "random"',
+            '"schemaVersion" must be a positive integer, got 0'
+        ]);
+    });
+
+    it('warns about a missing photographer and a folder name upload.sh would not write', () => {
+        const { problems } = validateAlbum({
+            name: 'Bike-A-Thon 2025',
+            date: '2025-04-12',
+            coverPhoto: 'a.webp',
+            photos: ['a.webp']
+        }, 'Bike-A-Thon 2025');
+
+        assert.deepEqual(getMessages(problems, 'error'), []);
+        assert.deepEqual(getMessages(problems, 'warning'), [
+            'Album folder name "Bike-A-Thon 2025" is not snake_case like upload.sh writes',
+            '"photographer" is missing - photos without their own "photographer" will have no credit'
+        ]);
+    });
+
+    it('needs a non-empty photos array', () => {
+        const album = { name: 'Formal', photographer: 'Alex Kim', date: '2025-04-12', coverPhoto: 'a.webp' };
+
+        assert.deepEqual(getMessages(validateAlbum(album).problems, 'error'), ['"photos" must be a non-empty array']);
+        assert.deepEqual(getMessages(validateAlbum({ ...album, photos: [] }).problems, 'error'), ['"photos" must be a non-empty array']);
+    });
+
+    it('leaves out of the file checks photo entries that do not name their files, and duplicates', () => {
+        const { photos, problems } = validateAlbum({
+            name: 'Formal',
+            photographer: 'Alex Kim',
+            date: '2025-04-12',
+            coverPhoto: 'a.webp',
+            photos: [
+                { webp: 'a.webp', ext: 'jpg' },
+                { webp: 'b.jpg', ext: 'jpg' },
+                { webp: 'c.webp', ext: '.jpg' },
+                { webp: 'a.webp', ext: 'png' },
+                ''
+            ]
+        });
+
+        assert.deepEqual(photos, [{ webp: 'a.webp', ext: 'jpg' }]);
+        assert.deepEqual(getMessages(problems, 'error'), [
+            'photos[1] "webp" must be a .webp filename, got "b.jpg"',
+            'photos[2] "ext" must be a file extension without the dot (e.g. "jpg"), got ".jpg"',
+            'photos[3] "a.webp" is listed more than once',
+            'photos[4] is an empty filename'
+        ]);
+    });
+
+    it('checks video clips and the optional photo fields', () => {
+        const { photos, problems } = validateAlbum({
+            name: 'Formal',
+            photographer: 'Alex Kim',
+            date: '2025-04-12',
+            coverPhoto: 'a.webp',
+            photos: [
+                { webp: 'a.webp', ext: 'jpg', takenAt: '2025:04:12 09:30:00', caption: '', width: 6000 },
+                { webp: 'b.webp', ext: 'mov', type: 'video', sizes: {}, duration: 0 },
+                { webp: 'c.webp', ext: 'jpg', hidden: 'yes', hash: 'ABC123', photographer: ' ' }
+            ]
+        });
+
+        // Only problems with the filenames keep a photo out of the file checks
+        assert.equal(photos.length, 3);
+        assert.deepEqual(getMessages(problems, 'error'), [
+            'photos[0] "takenAt" is not a valid ISO 8601 date: "2025:04:12 09:30:00"',
+            'photos[0] "caption" must be non-empty text, got ""',
+            'photos[0] "width" and "height" must both be positive integers',
+            'photos[1] is a video, so its original in /full must be .mp4, got "mov"',
+            'photos[1] is a video, so it should have no "sizes" (its poster frame is in /low)',
+            'photos[1] "duration" must be a positive number of seconds, got 0',
+            'photos[2] "hidden" must be true or false, got "yes"',
+            'photos[2] "photographer" must be a non-empty name, got " "',
+            'photos[2] "hash" must be a lowercase hex content hash (run `node index.js ingest`), got "ABC123"'
+        ]);
+    });
+
+    it('needs a cover photo that is one of the shown photos', () => {
+        const album = {
+            name: 'Formal',
+            photographer: 'Alex Kim',
+            date: '2025-04-12',
+            photos: [{ webp: 'a.webp', ext: 'jpg' }, { webp: 'b.webp', ext: 'jpg', hidden: true }]
+        };
+
+        assert.deepEqual(getMessages(validateAlbum({ ...album, coverPhoto: 'z.webp' }).problems, 'error'),
+            ['"coverPhoto" "z.webp" is not one of the album\'s photos']);
+        assert.deepEqual(getMessages(validateAlbum({ ...album, coverPhoto: 'b.webp' }).problems, 'error'),
+            ['"coverPhoto" "b.webp" is hidden, so the album card would show a photo the album doesn\'t']);
+        assert.deepEqual(getMessages(validateAlbum({ ...album, coverPhoto: undefined }).problems, 'error'),
+            ['"coverPhoto" must be a webP filename, got undefined']);
+    });
+
+    it('catches an album whose photos are all hidden', () => {
+        const { problems } = validateAlbum({
+            name: 'Formal',
+            photographer: 'Alex Kim',
+            date: '2025-04-12',
+            coverPhoto: 'a.webp',
+            photos: [{ webp: 'a.webp', ext: 'jpg', hidden: true }]
+        });
+
+        assert.ok(getMessages(problems, 'error').includes('Every photo is hidden, so the album would be empty'));
+    });
+});
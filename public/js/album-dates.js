@@ -0,0 +1,41 @@
+/**
+ * Album Dates
+ * Album dates are shown as the calendar day written in the album JSON, never converted to
+ * the viewer's time zone: a capture time recorded at 11 PM is still that day for everyone.
+ * lib/share-pages.js formats the share pages and feed the same way.
+ */
+
+// Calendar day at the start of an ISO 8601 date ("2025-10-23T21:14:03-04:00")
+const ALBUM_DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * Get the calendar day an album date was recorded on
+ * @param {string} date - ISO 8601 date from the album JSON
+ * @returns {Date|null} Midnight UTC of that day (read it with the getUTC* methods), or null for a missing/invalid date
+ */
+function getAlbumDay(date) {
+    const match = ALBUM_DAY_PATTERN.exec(typeof date === 'string' ? date : '');
+
+    if (!match) {
+        return null;
+    }
+
+    const day = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return Number.isNaN(day.getTime()) ? null : day;
+}
+
+/**
+ * Format an album date for display ("October 23, 2025")
+ * @param {string} date - ISO 8601 date from the album JSON
+ * @returns {string} Formatted date, or an empty string for a missing/invalid date
+ */
+function formatAlbumDate(date) {
+    const day = getAlbumDay(date);
+
+    return day ? day.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    }) : '';
+}
@@ -0,0 +1,306 @@
+/**
+ * Album Filters
+ * Search, academic term filters and sort order for the home page album grid.
+ * The current state is mirrored in index.html query params so filtered views can be linked.
+ */
+
+// Query parameters holding the filter state (index.html?q=bike&year=2025-26&semester=fall&sort=name)
+const FILTER_PARAMS = {
+    query: 'q',
+    year: 'year',
+    semester: 'semester',
+    sort: 'sort'
+};
+
+// Sort orders offered by the sort switcher (keys match the #album-sort option values)
+const ALBUM_SORTS = {
+    newest: (a, b) => getAlbumTime(b) - getAlbumTime(a),
+    oldest: (a, b) => getAlbumTime(a) - getAlbumTime(b),
+    name: (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { numeric: true, sensitivity: 'base' }),
+    photos: (a, b) => (b.photoCount || 0) - (a.photoCount || 0)
+};
+const DEFAULT_ALBUM_SORT = 'newest';
+
+// Semester an album belongs to by the month (0-11) of its date
+const SEMESTER_MONTHS = {
+    spring: [0, 1, 2, 3, 4],
+    summer: [5, 6],
+    fall: [7, 8, 9, 10, 11]
+};
+
+// Academic years run from the start of the fall semester (August) through the summer
+const ACADEMIC_YEAR_START_MONTH = 7;
+
+// Current filter state
+let albumFilters = {
+    query: '',
+    year: '',
+    semester: '',
+    sort: DEFAULT_ALBUM_SORT
+};
+
+/**
+ * Set up the search, filter and sort controls for the loaded albums
+ * The controls stay hidden when there are no albums, keeping the plain empty state.
+ * @param {Object[]} albums - All loaded albums
+ */
+function initAlbumFilters(albums) {
+    const controls = document.getElementById('album-controls');
+
+    if (!controls || albums.length === 0) {
+        return;
+    }
+
+    const searchInput = document.getElementById('album-search');
+    const yearSelect = document.getElementById('album-year');
+    const semesterSelect = document.getElementById('album-semester');
+    const sortSelect = document.getElementById('album-sort');
+
+    renderAcademicYearOptions(albums);
+
+    albumFilters = readFiltersFromUrl(getAcademicYears(albums));
+
+    searchInput.value = albumFilters.query;
+    yearSelect.value = albumFilters.year;
+    semesterSelect.value = albumFilters.semester;
+    sortSelect.value = albumFilters.sort;
+
+    searchInput.addEventListener('input', () => updateAlbumFilters({ query: searchInput.value }));
+    yearSelect.addEventListener('change', () => updateAlbumFilters({ year: yearSelect.value }));
+    semesterSelect.addEventListener('change', () => updateAlbumFilters({ semester: semesterSelect.value }));
+    sortSelect.addEventListener('change', () => updateAlbumFilters({ sort: sortSelect.value }));
+
+    // Filters apply as you type - there is nothing to submit
+    controls.addEventListener('submit', (e) => e.preventDefault());
+
+    controls.hidden = false;
+}
+
+/**
+ * Bring the controls up to date after the album list changed (e.g. upload.sh added an album)
+ * The first albums set the controls up; after that only the academic year options are rebuilt,
+ * and a selected year that no longer has albums goes back to all years
+ * @param {Object[]} albums - All loaded albums
+ */
+function refreshAlbumFilters(albums) {
+    const controls = document.getElementById('album-controls');
+
+    // Hidden until initAlbumFilters has set the controls up
+    if (!controls || controls.hidden) {
+        initAlbumFilters(albums);
+        return;
+    }
+
+    renderAcademicYearOptions(albums);
+
+    if (albumFilters.year && !getAcademicYears(albums).includes(albumFilters.year)) {
+        albumFilters = { ...albumFilters, year: '' };
+        writeFiltersToUrl();
+    }
+    document.getElementById('album-year').value = albumFilters.year;
+}
+
+/**
+ * Fill the academic year select with the years that have albums, after its "All years" option
+ * @param {Object[]} albums - All loaded albums
+ */
+function renderAcademicYearOptions(albums) {
+    const yearSelect = document.getElementById('album-year');
+
+    const options = getAcademicYears(albums).map(year => {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        return option;
+    });
+
+    yearSelect.replaceChildren(yearSelect.options[0], ...options);
+}
+
+/**
+ * Apply a change to the filter state, sync it to the URL and re-render the grid
+ * @param {Object} changes - Filter fields to change
+ */
+function updateAlbumFilters(changes) {
+    albumFilters = { ...albumFilters, ...changes };
+    writeFiltersToUrl();
+    renderAlbumGrid();
+}
+
+/**
+ * Clear the search and term filters (the sort order is kept)
+ */
+function clearAlbumFilters() {
+    document.getElementById('album-search').value = '';
+    document.getElementById('album-year').value = '';
+    document.getElementById('album-semester').value = '';
+    updateAlbumFilters({ query: '', year: '', semester: '' });
+}
+
+/**
+ * Read the filter state from the page URL, ignoring values that don't apply
+ * @param {string[]} academicYears - Academic years that have albums
+ * @returns {Object} Filter state
+ */
+function readFiltersFromUrl(academicYears) {
+    const urlParams = new URLSearchParams(window.location.search);
+    const filters = {
+        query: urlParams.get(FILTER_PARAMS.query) || '',
+        year: urlParams.get(FILTER_PARAMS.year) || '',
+        semester: urlParams.get(FILTER_PARAMS.semester) || '',
+        sort: urlParams.get(FILTER_PARAMS.sort) || DEFAULT_ALBUM_SORT
+    };
+
+    if (filters.year && !academicYears.includes(filters.year)) {
+        console.warn(`No albums from academic year "${filters.year}" - showing all years`);
+        filters.year = '';
+    }
+
+    if (filters.semester && !SEMESTER_MONTHS[filters.semester]) {
+        console.warn(`Unknown semester "${filters.semester}" - showing all semesters`);
+        filters.semester = '';
+    }
+
+    if (!ALBUM_SORTS[filters.sort]) {
+        console.warn(`Unknown sort order "${filters.sort}" - using "${DEFAULT_ALBUM_SORT}"`);
+        filters.sort = DEFAULT_ALBUM_SORT;
+    }
+
+    return filters;
+}
+
+/**
+ * Mirror the filter state in the page URL without adding history entries
+ * Empty filters and the default sort are left out so the plain home page URL stays clean.
+ */
+function writeFiltersToUrl() {
+    const url = new URL(window.location.href);
+
+    Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+        const value = field === 'query' ? albumFilters.query.trim() : albumFilters[field];
+
+        if (value && !(field === 'sort' && value === DEFAULT_ALBUM_SORT)) {
+            url.searchParams.set(param, value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+
+    history.replaceState(history.state, '', url);
+}
+
+/**
+ * Get the albums matching the current filters, in the current sort order
+ * @param {Object[]} albums - All loaded albums
+ * @returns {Object[]} Matching albums (a new array)
+ */
+function getFilteredAlbums(albums) {
+    const words = albumFilters.query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return albums
+        .filter(album => matchesSearch(album, words))
+        .filter(album => matchesTerm(album))
+        .sort(ALBUM_SORTS[albumFilters.sort]);
+}
+
+/**
+ * Whether every search word appears in the album name or photographer
+ * @param {Object} album - Album data object
+ * @param {string[]} words - Lowercase search words
+ * @returns {boolean} True if the album matches
+ */
+function matchesSearch(album, words) {
+    const haystack = `${album.name || ''} ${album.photographer || ''}`.toLowerCase();
+    return words.every(word => haystack.includes(word));
+}
+
+/**
+ * Whether the album falls in the selected academic year and semester
+ * @param {Object} album - Album data object
+ * @returns {boolean} True if the album matches (always true when no term filter is set)
+ */
+function matchesTerm(album) {
+    if (!albumFilters.year && !albumFilters.semester) {
+        return true;
+    }
+
+    const term = getAlbumTerm(album);
+
+    if (!term) {
+        return false;
+    }
+
+    return (!albumFilters.year || term.year === albumFilters.year) &&
+           (!albumFilters.semester || term.semester === albumFilters.semester);
+}
+
+/**
+ * Derive the academic year and semester from an album's date (the day shown on the album, see album-dates.js)
+ * @param {Object} album - Album data object with an ISO 8601 date
+ * @returns {{year: string, semester: string}|null} e.g. {year: '2025-26', semester: 'fall'}, or null for a missing/invalid date
+ */
+function getAlbumTerm(album) {
+    const day = getAlbumDay(album.date);
+
+    if (!day) {
+        return null;
+    }
+
+    const month = day.getUTCMonth();
+    const startYear = month >= ACADEMIC_YEAR_START_MONTH ? day.getUTCFullYear() : day.getUTCFullYear() - 1;
+    const semester = Object.keys(SEMESTER_MONTHS).find(name => SEMESTER_MONTHS[name].includes(month));
+
+    return {
+        year: `${startYear}-${String(startYear + 1).slice(-2)}`,
+        semester
+    };
+}
+
+/**
+ * Get the academic years that have albums, newest first
+ * @param {Object[]} albums - All loaded albums
+ * @returns {string[]} Academic years such as '2025-26'
+ */
+function getAcademicYears(albums) {
+    const years = new Set();
+
+    albums.forEach(album => {
+        const term = getAlbumTerm(album);
+        if (term) {
+            years.add(term.year);
+        }
+    });
+
+    return [...years].sort().reverse();
+}
+
+/**
+ * Get an album's date as a timestamp for sorting (albums without a valid date sort as oldest)
+ * @param {Object} album - Album data object
+ * @returns {number} Milliseconds since the epoch
+ */
+function getAlbumTime(album) {
+    const time = new Date(album.date).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Create the note shown when albums exist but the filters match none of them
+ * @returns {HTMLElement} Note with a button that clears the filters
+ */
+function createNoMatchesNote() {
+    const note = document.createElement('div');
+    note.className = 'no-matches';
+
+    const text = document.createElement('p');
+    text.textContent = 'No albums match these filters.';
+
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.className = 'glass-button';
+    clearButton.textContent = 'Clear filters';
+    clearButton.addEventListener('click', clearAlbumFilters);
+
+    note.append(text, clearButton);
+    return note;
+}
@@ -0,0 +1,101 @@
+/**
+ * Tests for the academic year and semester filters (getAlbumTerm and matchesTerm in album-filters.js)
+ * Run with `npm test` (node --test)
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, beforeEach } = require('node:test');
+const vm = require('vm');
+
+// Page scripts share the page's global scope, so they run in this one, in the order index.html loads them
+['album-dates.js', 'album-filters.js'].forEach(file => {
+    const filename = path.join(__dirname, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+});
+
+/**
+ * Set the filter state matchesTerm() reads (albumFilters is a top-level let of album-filters.js)
+ * @param {Object} filters - Filter fields to set
+ */
+function setAlbumFilters(filters) {
+    vm.runInThisContext(`albumFilters = { ...albumFilters, ...${JSON.stringify(filters)} };`);
+}
+
+describe('getAlbumTerm', () => {
+    it('starts the academic year in August with the fall semester', () => {
+        assert.deepEqual(getAlbumTerm({ date: '2025-08-01' }), { year: '2025-26', semester: 'fall' });
+        assert.deepEqual(getAlbumTerm({ date: '2025-12-31T23:00:00' }), { year: '2025-26', semester: 'fall' });
+    });
+
+    it('puts January to May in the spring of the year that started the August before', () => {
+        assert.deepEqual(getAlbumTerm({ date: '2026-01-15T19:00:00-05:00' }), { year: '2025-26', semester: 'spring' });
+        assert.deepEqual(getAlbumTerm({ date: '2026-05-31' }), { year: '2025-26', semester: 'spring' });
+    });
+
+    it('ends the academic year with the summer in June and July', () => {
+        assert.deepEqual(getAlbumTerm({ date: '2026-06-01' }), { year: '2025-26', semester: 'summer' });
+        assert.deepEqual(getAlbumTerm({ date: '2026-07-31' }), { year: '2025-26', semester: 'summer' });
+    });
+
+    it('uses the day written in the date, whatever the offset', () => {
+        // 11:30 PM on July 31 in New York is already August 1 in UTC
+        assert.deepEqual(getAlbumTerm({ date: '2025-07-31T23:30:00-04:00' }), { year: '2024-25', semester: 'summer' });
+        assert.deepEqual(getAlbumTerm({ date: '2025-08-01T00:30:00+09:00' }), { year: '2025-26', semester: 'fall' });
+    });
+
+    it('writes the years of a new century with two digits', () => {
+        assert.deepEqual(getAlbumTerm({ date: '2099-09-01' }), { year: '2099-00', semester: 'fall' });
+    });
+
+    it('has no term for a missing or invalid date', () => {
+        assert.equal(getAlbumTerm({}), null);
+        assert.equal(getAlbumTerm({ date: '' }), null);
+        assert.equal(getAlbumTerm({ date: 'October 2025' }), null);
+        assert.equal(getAlbumTerm({ date: 20251023 }), null);
+    });
+});
+
+describe('matchesTerm', () => {
+    const fall = { date: '2025-10-23T21:14:03' };
+    const spring = { date: '2026-03-07T14:00:00' };
+    const undated = { name: 'No date' };
+
+    beforeEach(() => setAlbumFilters({ year: '', semester: '' }));
+
+    it('matches every album, even undated ones, when no term is selected', () => {
+        assert.equal(matchesTerm(fall), true);
+        assert.equal(matchesTerm(undated), true);
+    });
+
+    it('matches the albums of the selected academic year', () => {
+        setAlbumFilters({ year: '2025-26' });
+
+        assert.equal(matchesTerm(fall), true);
+        assert.equal(matchesTerm(spring), true);
+        assert.equal(matchesTerm({ date: '2025-07-01' }), false);
+    });
+
+    it('matches the selected semester in any year', () => {
+        setAlbumFilters({ semester: 'spring' });
+
+        assert.equal(matchesTerm(spring), true);
+        assert.equal(matchesTerm({ date: '2023-04-01' }), true);
+        assert.equal(matchesTerm(fall), false);
+    });
+
+    it('needs both the year and the semester when both are selected', () => {
+        setAlbumFilters({ year: '2025-26', semester: 'fall' });
+
+        assert.equal(matchesTerm(fall), true);
+        assert.equal(matchesTerm(spring), false);
+        assert.equal(matchesTerm({ date: '2024-10-01' }), false);
+    });
+
+    it('leaves undated albums out once a term is selected', () => {
+        setAlbumFilters({ semester: 'fall' });
+
+        assert.equal(matchesTerm(undated), false);
+    });
+});
@@ -3,8 +3,11 @@
  * Handles loading and displaying album cards on the home page
  */
 
-// Configuration: Photo server URL (nginx server)
-const PHOTO_SERVER_URL = 'https://pikapp-photos.ct-42210.com';
+// WebP size tiers used in cover srcsets (smallest first)
+const SRCSET_TIERS = ['thumb', 'display'];
+
+// Rendered width of an album card, matching the .album-grid columns in index.css
+const ALBUM_CARD_SIZES = '(max-width: 480px) 100vw, (max-width: 1024px) 50vw, 400px';
 
 // Album data cache
 let albumsData = [];
@@ -15,6 +18,14 @@ let albumsData = [];
 async function initAlbumList() {
     try {
         await loadAlbums();
+
+        const photographer = getPhotographerParam();
+        if (photographer) {
+            await renderPhotographerView(photographer, albumsData);
+            return;
+        }
+
+        initAlbumFilters(albumsData);
         renderAlbumGrid();
     } catch (error) {
         displayError(`Failed to load albums: ${error.message}`);
@@ -22,58 +33,63 @@ async function initAlbumList() {
 }
 
 /**
- * Load all albums from the albums.json manifest
- * Firebase Hosting doesn't support directory listing, so we use a manifest file
+ * Re-render the album grid when the service worker (sw.js) finds that albums.json or
+ * album-index.json changed after answering from its cache - e.g. upload.sh added an album
+ * @param {CustomEvent} event - site-data-updated event from offline.js
  */
-async function loadAlbums() {
-    try {
-        // Fetch the albums manifest
-        const response = await fetch('albums.json');
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const manifest = await response.json();
-
-        // Load JSON file for each album in the manifest
-        const albumPromises = manifest.albums.map(async (albumName) => {
-            try {
-                const dataResponse = await fetch(`albums/${albumName}.json`);
-                if (!dataResponse.ok) {
-                    console.warn(`No JSON file found for album: ${albumName}`);
-                    return null;
-                }
+async function refreshAlbumList(event) {
+    if (!['albums.json', 'album-index.json'].includes(event.detail.path) || getPhotographerParam()) {
+        return;
+    }
 
-                const albumData = await dataResponse.json();
+    try {
+        await loadAlbums();
+    } catch (error) {
+        // Keep showing the albums already on the page
+        return;
+    }
 
-                // Add folder name to album data for navigation
-                albumData.folderName = albumName;
+    refreshAlbumFilters(albumsData);
+    renderAlbumGrid();
+}
 
-                return albumData;
-            } catch (error) {
-                console.warn(`Error loading album ${albumName}: ${error.message}`);
-                return null;
-            }
-        });
+/**
+ * Load all albums from the consolidated album index
+ * The index holds a summary of every album so the home page needs a single request.
+ */
+async function loadAlbums() {
+    try {
+        const index = await fetchAlbumIndex();
+        albumsData = index.albums.filter(album => album && album.folderName);
+    } catch (error) {
+        console.error('Error in loadAlbums:', error);
+        throw error;
+    }
+}
 
-        // Wait for all albums to load
-        const results = await Promise.all(albumPromises);
+/**
+ * Fetch the consolidated album index (album-index.json, generated by `node index.js index`)
+ * upload.sh won't deploy without it: `node index.js validate` reports a missing index as an error
+ * @returns {Promise<Object>} Album index
+ */
+async function fetchAlbumIndex() {
+    const response = await fetch('album-index.json');
 
-        // Filter out failed loads and store valid albums
-        albumsData = results.filter(album => album !== null);
+    if (!response.ok) {
+        throw new Error(`HTTP error loading album-index.json! status: ${response.status}`);
+    }
 
-        // Sort by date (newest first)
-        albumsData.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const index = await response.json();
 
-    } catch (error) {
-        console.error('Error in loadAlbums:', error);
-        throw error;
+    if (!Array.isArray(index.albums)) {
+        throw new Error('album-index.json is missing the "albums" array');
     }
+
+    return index;
 }
 
 /**
- * Render the album grid with all loaded albums
+ * Render the album grid with the albums matching the current search and filters
  */
 function renderAlbumGrid() {
     const gridContainer = document.getElementById('album-grid');
@@ -87,8 +103,16 @@ function renderAlbumGrid() {
         return;
     }
 
+    const albums = getFilteredAlbums(albumsData);
+
+    // Albums exist but none match - say so, unlike the plain "no albums" empty state
+    if (albums.length === 0) {
+        gridContainer.appendChild(createNoMatchesNote());
+        return;
+    }
+
     // Create and append album cards
-    albumsData.forEach(album => {
+    albums.forEach(album => {
         const card = createAlbumCard(album);
         gridContainer.appendChild(card);
     });
@@ -96,7 +120,7 @@ function renderAlbumGrid() {
 
 /**
  * Create an album card element
- * @param {Object} album - Album data object with name, coverPhoto, folderName
+ * @param {Object} album - Album data object with name, coverPhoto, folderName and optional coverSizes/coverPlaceholder
  * @returns {HTMLElement} Album card element
  */
 function createAlbumCard(album) {
@@ -110,7 +134,7 @@ function createAlbumCard(album) {
     // Create cover image
     const image = document.createElement('img');
     image.className = 'album-card-image';
-    image.src = `${PHOTO_SERVER_URL}/${album.folderName}/low/${album.coverPhoto}`;
+    setCoverImageSource(image, album);
     image.alt = album.name;
     image.loading = 'lazy'; // Native lazy loading
 
@@ -128,6 +152,9 @@ function createAlbumCard(album) {
     card.appendChild(overlay);
     card.appendChild(title);
 
+    // Blurred preview until the cover loads (ingested albums only)
+    applyImagePlaceholder(card, image, album.coverPlaceholder);
+
     // Add click handler to navigate to album view
     card.addEventListener('click', () => {
         navigateToAlbum(album.folderName);
@@ -144,6 +171,28 @@ function createAlbumCard(album) {
     return card;
 }
 
+/**
+ * Point a cover image at the album's cover photo
+ * Albums with size tiers get a srcset; older albums use the single /low webP
+ * @param {HTMLImageElement} image - Cover image element
+ * @param {Object} album - Album data object with folderName, coverPhoto and optional coverSizes/coverHash
+ */
+function setCoverImageSource(image, album) {
+    const sizes = album.coverSizes;
+    const tiers = sizes ? SRCSET_TIERS.filter(tier => sizes[tier]) : [];
+
+    if (tiers.length === 0) {
+        setPhotoImageSource(image, getPhotoUrl(`${album.folderName}/low/${album.coverPhoto}`, album.coverHash));
+        return;
+    }
+
+    const srcset = tiers
+        .map(tier => `${getPhotoUrl(`${album.folderName}/${tier}/${album.coverPhoto}`, album.coverHash)} ${sizes[tier].width}w`)
+        .join(', ');
+    image.sizes = ALBUM_CARD_SIZES;
+    setPhotoImageSource(image, getPhotoUrl(`${album.folderName}/${tiers[0]}/${album.coverPhoto}`, album.coverHash), srcset);
+}
+
 /**
  * Navigate to the album view page
  * @param {string} albumFolder - Album folder name
@@ -158,11 +207,12 @@ function navigateToAlbum(albumFolder) {
  */
 function displayError(message) {
     const gridContainer = document.getElementById('album-grid');
-    gridContainer.innerHTML = `
-        <div class="error-message">
-            ${message}
-        </div>
-    `;
+
+    // Inserted as text so album data and server responses can't inject markup
+    const errorElement = document.createElement('div');
+    errorElement.className = 'error-message';
+    errorElement.textContent = message;
+    gridContainer.replaceChildren(errorElement);
 }
 
 /**
@@ -177,6 +227,8 @@ function displayLoading() {
     `;
 }
 
+window.addEventListener('site-data-updated', refreshAlbumList);
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initAlbumList);
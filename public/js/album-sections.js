@@ -0,0 +1,256 @@
+/**
+ * Album Sections
+ * Groups a long album into sub-events from the optional "sections" array in the album JSON
+ * ({title, start, end, photos}), renders the section headers and the sticky jump-nav,
+ * and keeps the nav in sync with the section being scrolled through
+ */
+
+// Title of the trailing section holding photos that no section claims
+const UNSECTIONED_TITLE = 'More photos';
+
+// A section counts as current once its header scrolls above this offset from the top of the viewport
+const CURRENT_SECTION_OFFSET = 200;
+
+// Sections of the current album: [{id, title, start, end, startIndex, count}] (empty when the album has none)
+let albumSections = [];
+
+// Pending current-section update (coalesces scroll events)
+let sectionScrollFrame = null;
+
+/**
+ * Reorder the album photos section by section and record the sections
+ * A photo belongs to the first section listing it in "photos", otherwise to the first section
+ * whose time range contains its capture time; photos keep capture-time order within a section
+ * @param {Object[]} sections - "sections" array from the album JSON (may be undefined)
+ * @param {Object[]} photos - Photo objects built by loadPhotos(), in capture-time order
+ * @returns {Object[]} Photos in section order, each with a "section" title when the album has sections
+ */
+function groupPhotosIntoSections(sections, photos) {
+    albumSections = [];
+
+    if (!Array.isArray(sections) || sections.length === 0) {
+        return photos;
+    }
+
+    const definitions = sections.filter(section => section && typeof section.title === 'string' && section.title.trim());
+    const members = definitions.map(() => []);
+    const unsectioned = [];
+
+    photos.forEach(photo => {
+        let sectionIndex = definitions.findIndex(section => listsPhoto(section, photo));
+        if (sectionIndex === -1) {
+            sectionIndex = definitions.findIndex(section => isInTimeRange(section, photo));
+        }
+
+        if (sectionIndex === -1) {
+            unsectioned.push(photo);
+        } else {
+            members[sectionIndex].push(photo);
+        }
+    });
+
+    const groups = definitions.map((section, i) => ({ ...section, title: section.title.trim(), photos: members[i] }));
+    if (unsectioned.length > 0) {
+        groups.push({ title: UNSECTIONED_TITLE, photos: unsectioned });
+    }
+
+    const ordered = [];
+    groups
+        .filter(group => group.photos.length > 0)
+        .forEach(group => {
+            albumSections.push({
+                id: `section-${albumSections.length + 1}`,
+                title: group.title,
+                start: group.start,
+                end: group.end,
+                startIndex: ordered.length,
+                count: group.photos.length
+            });
+
+            group.photos.forEach(photo => {
+                photo.section = group.title;
+                ordered.push(photo);
+            });
+        });
+
+    return ordered;
+}
+
+/**
+ * Whether a section's "photos" list names a photo (by filename, with or without extension)
+ * Sections of the Favorites view also name the album folder, since photos from different
+ * albums can share a filename
+ * @param {Object} section - Section from the album JSON (or favorites-view.js)
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @returns {boolean} True if the section lists the photo
+ */
+function listsPhoto(section, photo) {
+    return Array.isArray(section.photos) &&
+        (!section.albumFolder || section.albumFolder === photo.albumFolder) &&
+        section.photos.some(name => typeof name === 'string' && name.replace(/\.[^.]+$/, '') === photo.id);
+}
+
+/**
+ * Whether a photo was taken within a section's time range (start inclusive, end exclusive)
+ * Either bound may be left out; sections without a range match no photos by time
+ * @param {Object} section - Section from the album JSON
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @returns {boolean} True if the capture time is in range
+ */
+function isInTimeRange(section, photo) {
+    if (!section.start && !section.end) {
+        return false;
+    }
+
+    const takenAt = Date.parse(photo.info.takenAt);
+    if (isNaN(takenAt)) {
+        return false;
+    }
+
+    return (!section.start || takenAt >= Date.parse(section.start)) &&
+           (!section.end || takenAt < Date.parse(section.end));
+}
+
+/**
+ * Create the header shown above a section's photos in the grid
+ * @param {Object} section - Section from albumSections
+ * @returns {HTMLElement} Header element
+ */
+function createSectionHeader(section) {
+    const header = document.createElement('div');
+    header.className = 'photo-section-header';
+    header.id = section.id;
+
+    const title = document.createElement('h2');
+    title.className = 'photo-section-title';
+    title.textContent = section.title;
+
+    const details = document.createElement('p');
+    details.className = 'photo-section-details';
+    const timeRange = formatSectionTimeRange(section);
+    details.textContent = `${section.count} photo${section.count === 1 ? '' : 's'}${timeRange ? ` • ${timeRange}` : ''}`;
+
+    header.append(title, details);
+    return header;
+}
+
+/**
+ * Format a section's time range ("Fri 6:00 PM – 11:30 PM", or with both days when it spans midnight)
+ * @param {Object} section - Section with optional start and end
+ * @returns {string} Formatted range, or an empty string without a complete range
+ */
+function formatSectionTimeRange(section) {
+    const start = new Date(section.start);
+    const end = new Date(section.end);
+
+    if (!section.start || !section.end || isNaN(start) || isNaN(end)) {
+        return '';
+    }
+
+    const dayFormat = { weekday: 'short' };
+    const timeFormat = { hour: 'numeric', minute: '2-digit' };
+    const startDay = start.toLocaleDateString('en-US', dayFormat);
+    const endDay = end.toLocaleDateString('en-US', dayFormat);
+    const startTime = start.toLocaleTimeString('en-US', timeFormat);
+    const endTime = end.toLocaleTimeString('en-US', timeFormat);
+
+    return startDay === endDay
+        ? `${startDay} ${startTime} – ${endTime}`
+        : `${startDay} ${startTime} – ${endDay} ${endTime}`;
+}
+
+/**
+ * Render the sticky jump-nav above the grid (only for albums with two or more sections)
+ * @param {HTMLElement} gridContainer - The #photo-grid element
+ */
+function renderSectionNav(gridContainer) {
+    const existingNav = document.querySelector('.section-nav');
+    if (existingNav) {
+        existingNav.remove();
+    }
+    window.removeEventListener('scroll', scheduleCurrentSectionUpdate);
+
+    const hasNav = albumSections.length >= 2;
+    document.body.classList.toggle('has-section-nav', hasNav);
+
+    if (!hasNav) {
+        return;
+    }
+
+    const nav = document.createElement('nav');
+    nav.className = 'section-nav';
+    nav.setAttribute('aria-label', 'Album sections');
+
+    albumSections.forEach(section => {
+        const link = document.createElement('a');
+        link.className = 'section-nav-link';
+        link.href = `#${section.id}`;
+        link.dataset.section = section.id;
+        link.textContent = section.title;
+
+        // Scroll without putting the section in the URL (the lightbox owns the album URL)
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            const header = document.getElementById(section.id);
+            if (header) {
+                header.scrollIntoView({ behavior: 'smooth' });
+            }
+            // Tabbing into the grid next lands on the section's first photo
+            setGridFocusIndex(section.startIndex);
+        });
+
+        nav.appendChild(link);
+    });
+
+    gridContainer.parentNode.insertBefore(nav, gridContainer);
+
+    window.addEventListener('scroll', scheduleCurrentSectionUpdate, { passive: true });
+    updateCurrentSection();
+}
+
+/**
+ * Update the current section on the next animation frame, coalescing scroll events
+ */
+function scheduleCurrentSectionUpdate() {
+    if (sectionScrollFrame) {
+        return;
+    }
+
+    sectionScrollFrame = requestAnimationFrame(() => {
+        sectionScrollFrame = null;
+        updateCurrentSection();
+    });
+}
+
+/**
+ * Highlight the section being scrolled through in the jump-nav
+ * Headers are looked up each time because the virtual grid rebuilds them on relayout
+ */
+function updateCurrentSection() {
+    const nav = document.querySelector('.section-nav');
+    if (!nav) {
+        return;
+    }
+
+    let currentId = albumSections[0].id;
+    document.querySelectorAll('.photo-section-header').forEach(header => {
+        if (header.getBoundingClientRect().top <= CURRENT_SECTION_OFFSET) {
+            currentId = header.id;
+        }
+    });
+
+    nav.querySelectorAll('.section-nav-link').forEach(link => {
+        const isCurrent = link.dataset.section === currentId;
+        link.classList.toggle('current', isCurrent);
+
+        if (isCurrent) {
+            link.setAttribute('aria-current', 'location');
+            // Keep the current link visible when the nav scrolls sideways on phones
+            if (nav.scrollWidth > nav.clientWidth) {
+                nav.scrollLeft = link.offsetLeft - (nav.clientWidth - link.offsetWidth) / 2;
+            }
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+}
@@ -3,8 +3,14 @@
  * Handles loading and displaying photos for a specific album
  */
 
-// Configuration: Photo server URL (nginx server)
-const PHOTO_SERVER_URL = 'https://pikapp-photos.ct-42210.com';
+// WebP size tiers used in thumbnail srcsets (smallest first)
+const SRCSET_TIERS = ['thumb', 'display'];
+
+// Photo grid layouts selectable with the album JSON "layout" field (the first is the default)
+const ALBUM_LAYOUTS = ['grid', 'justified'];
+
+// Album JSON "order" that keeps the photos as listed (set by the admin page) instead of by capture time
+const MANUAL_PHOTO_ORDER = 'manual';
 
 // Album state
 let currentAlbum = null;
@@ -19,6 +25,12 @@ async function initAlbumView() {
         const urlParams = new URLSearchParams(window.location.search);
         const albumFolder = urlParams.get('album');
 
+        // album.html?favorites shows the hearted photos of every album instead (favorites-view.js)
+        if (urlParams.has(FAVORITES_URL_PARAM)) {
+            await initFavoritesView(urlParams.get(FAVORITES_URL_PARAM));
+            return;
+        }
+
         if (!albumFolder) {
             displayError('No album specified in URL');
             return;
@@ -44,21 +56,36 @@ async function initAlbumView() {
  */
 async function loadAlbum(albumFolder) {
     try {
-        const response = await fetch(`albums/${albumFolder}.json`);
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        currentAlbum = await response.json();
-        currentAlbum.folderName = albumFolder;
-
+        currentAlbum = await fetchAlbum(albumFolder);
     } catch (error) {
         console.error('Error loading album data:', error);
         throw new Error(`Could not load album data: ${error.message}`);
     }
 }
 
+/**
+ * Fetch an album JSON file
+ * @param {string} albumFolder - Album folder name
+ * @returns {Promise<Object>} Album data with folderName set and hidden photos left out
+ */
+async function fetchAlbum(albumFolder) {
+    const response = await fetch(`albums/${encodeURIComponent(albumFolder)}.json`);
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const album = await response.json();
+    album.folderName = albumFolder;
+
+    // Photos hidden with the admin page stay in the JSON but aren't shown or credited
+    if (Array.isArray(album.photos)) {
+        album.photos = album.photos.filter(photo => !(photo && photo.hidden));
+    }
+
+    return album;
+}
+
 /**
  * Load photos from the album data.json
  * @param {string} albumFolder - Album folder name
@@ -70,26 +97,14 @@ async function loadPhotos(albumFolder) {
             throw new Error('No photos found in album data');
         }
 
-        // Handle both old format (strings) and new format (objects with webp and ext)
-        albumPhotos = currentAlbum.photos.map(photo => {
-            // New format: {webp: "photo.webp", ext: "jpg"}
-            if (typeof photo === 'object' && photo.webp) {
-                const baseName = photo.webp.replace('.webp', '');
-                return {
-                    thumbnail: `${PHOTO_SERVER_URL}/${albumFolder}/low/${photo.webp}`,
-                    lightbox: `${PHOTO_SERVER_URL}/${albumFolder}/low/${photo.webp}`,  // Same as thumbnail - just expanded
-                    original: `${PHOTO_SERVER_URL}/${albumFolder}/full/${baseName}.${photo.ext}`  // For downloads
-                };
-            }
-            // Old format: just filename string (backward compatibility)
-            else {
-                return {
-                    thumbnail: `${PHOTO_SERVER_URL}/${albumFolder}/low/${photo}`,
-                    lightbox: `${PHOTO_SERVER_URL}/${albumFolder}/low/${photo}`,
-                    original: `${PHOTO_SERVER_URL}/${albumFolder}/full/${photo}`
-                };
-            }
-        });
+        albumPhotos = currentAlbum.photos.map(photo => createAlbumPhoto(photo, albumFolder, currentAlbum));
+
+        if (currentAlbum.order !== MANUAL_PHOTO_ORDER) {
+            sortPhotosByCaptureTime(albumPhotos);
+        }
+
+        // Optional sub-events ("sections" in the album JSON) reorder the photos section by section
+        albumPhotos = groupPhotosIntoSections(currentAlbum.sections, albumPhotos);
 
     } catch (error) {
         console.error('Error loading photos:', error);
@@ -97,6 +112,261 @@ async function loadPhotos(albumFolder) {
     }
 }
 
+/**
+ * Build the photo object the grid, lightbox and downloads use from an album JSON photo entry
+ * Handles old format (strings), new format (objects with webp and ext), tiered format
+ * (new format plus size tiers) and video clips
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @param {string} albumFolder - Album folder name
+ * @param {Object} album - Album data object the photo belongs to
+ * @returns {Object} Photo object
+ */
+function createAlbumPhoto(photo, albumFolder, album) {
+    return {
+        albumFolder,
+        albumName: album.name,
+        filename: getAlbumPhotoFilename(photo),  // Favorites are keyed by album folder and this filename
+        ...createPhotoSources(photo, albumFolder, album)
+    };
+}
+
+/**
+ * Whether an album was processed with webP size tiers (thumb/ and display/) instead of /low
+ * Decided once for the album: a photo that ingest couldn't read has no "sizes" of its own,
+ * but its webPs are still in the album's tier folders
+ * @param {Object} album - Album data object
+ * @returns {boolean} True if any photo in the album has size tiers
+ */
+function hasSizeTiers(album) {
+    return Array.isArray(album.photos) &&
+        album.photos.some(photo => photo && typeof photo === 'object' && photo.sizes && photo.type !== 'video');
+}
+
+/**
+ * Get the filename of a photo entry in the album JSON
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @returns {string} WebP filename, or the filename string of old-format albums
+ */
+function getAlbumPhotoFilename(photo) {
+    return photo && typeof photo === 'object' ? photo.webp : photo;
+}
+
+/**
+ * Build the URLs, credit and metadata of a photo object
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @param {string} albumFolder - Album folder name
+ * @param {Object} album - Album data object the photo belongs to
+ * @returns {Object} Photo object fields
+ */
+function createPhotoSources(photo, albumFolder, album) {
+    // Old-format entries are filename strings with none of the fields below
+    const entry = typeof photo === 'object' && photo.webp ? photo : {};
+
+    return {
+        ...createPhotoUrls(photo, albumFolder, album),
+        placeholder: entry.placeholder,  // Blurred preview written by `node index.js ingest`
+        photographer: getPhotoPhotographer(photo, album),  // Per-photo credit or the album's
+        caption: getOptionalText(entry.caption),  // Shown under the photo in the lightbox
+        alt: getOptionalText(entry.alt),  // Describes the photo to screen readers
+        info: getPhotoInfo(entry)  // EXIF metadata written by `node index.js ingest`
+    };
+}
+
+/**
+ * Build the id and URLs of a photo object for each album JSON photo format
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @param {string} albumFolder - Album folder name
+ * @param {Object} album - Album data object the photo belongs to
+ * @returns {Object} id, thumbnail, lightbox and original URLs, plus srcset for size tiers and type/poster for video clips
+ */
+function createPhotoUrls(photo, albumFolder, album) {
+    // Old format: just filename string (backward compatibility)
+    if (typeof photo !== 'object' || !photo.webp) {
+        return {
+            id: photo.substring(0, photo.lastIndexOf('.')) || photo,
+            thumbnail: getPhotoUrl(`${albumFolder}/low/${photo}`),
+            lightbox: getPhotoUrl(`${albumFolder}/low/${photo}`),
+            original: getPhotoUrl(`${albumFolder}/full/${photo}`)
+        };
+    }
+
+    const baseName = photo.webp.replace('.webp', '');
+    const getWebpUrl = folder => getPhotoUrl(`${albumFolder}/${folder}/${photo.webp}`, photo.hash);
+    const original = getPhotoUrl(`${albumFolder}/full/${baseName}.${photo.ext}`, photo.hash);  // For downloads
+
+    // Video format: {webp, ext: "mp4", type: "video"} - poster frame in /low, clip in /full
+    if (photo.type === 'video') {
+        return {
+            id: baseName,
+            type: 'video',
+            thumbnail: getWebpUrl('low'),
+            poster: getWebpUrl('low'),
+            lightbox: original,  // Played in the lightbox
+            original  // Downloaded as-is
+        };
+    }
+    // Tiered format: {webp, ext, sizes: {thumb, display, full}} - multi-resolution webPs
+    if (photo.sizes) {
+        const tiers = SRCSET_TIERS.filter(tier => photo.sizes[tier]);
+        return {
+            id: baseName,
+            thumbnail: getWebpUrl(tiers[0]),
+            srcset: buildTierSrcset(albumFolder, photo.webp, photo.sizes, photo.hash),
+            lightbox: getWebpUrl(tiers[tiers.length - 1]),  // Largest webP tier
+            original
+        };
+    }
+    // Tiered album photo without recorded sizes (ingest couldn't read it): thumb/ and display/, no srcset
+    if (hasSizeTiers(album)) {
+        return {
+            id: baseName,
+            thumbnail: getWebpUrl(SRCSET_TIERS[0]),
+            lightbox: getWebpUrl(SRCSET_TIERS[SRCSET_TIERS.length - 1]),
+            original
+        };
+    }
+    // New format: {webp: "photo.webp", ext: "jpg"}
+    return {
+        id: baseName,
+        thumbnail: getWebpUrl('low'),
+        lightbox: getWebpUrl('low'),  // Same as thumbnail - just expanded
+        original
+    };
+}
+
+/**
+ * Read an optional text field (description, caption, alt) from the album JSON
+ * @param {*} value - Field value from the album JSON
+ * @returns {string} Trimmed text, or an empty string when missing
+ */
+function getOptionalText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Get the alt text of a photo: its own alt text, else its caption, else a generic label
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @param {number} index - Photo index in the album
+ * @returns {string} Alt text
+ */
+function getPhotoAltText(photo, index) {
+    return photo.alt || photo.caption ||
+        `${photo.albumName || currentAlbum.name} - ${photo.type === 'video' ? 'Video' : 'Photo'} ${index + 1}`;
+}
+
+/**
+ * Build a srcset listing each webP size tier with its pixel width
+ * @param {string} albumFolder - Album folder name
+ * @param {string} webp - WebP filename
+ * @param {Object} sizes - Size tiers from the album JSON ({thumb: {width, height}, ...})
+ * @param {string} [hash] - Photo content hash from the album JSON (the URL version token)
+ * @returns {string} srcset attribute value
+ */
+function buildTierSrcset(albumFolder, webp, sizes, hash) {
+    return SRCSET_TIERS
+        .filter(tier => sizes[tier])
+        .map(tier => `${getPhotoUrl(`${albumFolder}/${tier}/${webp}`, hash)} ${sizes[tier].width}w`)
+        .join(', ');
+}
+
+/**
+ * Pick the EXIF metadata fields out of an album JSON photo object
+ * Photos from albums that have not been ingested have none of these fields
+ * @param {Object} photo - Photo object from the album JSON
+ * @returns {Object} Metadata with takenAt, camera, lens, exposure, width, height, duration (each optional)
+ */
+function getPhotoInfo(photo) {
+    return {
+        takenAt: photo.takenAt,
+        camera: photo.camera,
+        lens: photo.lens,
+        exposure: photo.exposure,
+        width: photo.width,
+        height: photo.height,
+        duration: photo.duration  // Video clips only (seconds)
+    };
+}
+
+/**
+ * Sort photos by capture time (oldest first), in place
+ * Photos without a capture time keep their album order after the dated photos
+ * @param {Object[]} photos - Photo objects built by loadPhotos()
+ */
+function sortPhotosByCaptureTime(photos) {
+    photos.sort((a, b) => {
+        const timeA = a.info.takenAt ? Date.parse(a.info.takenAt) : NaN;
+        const timeB = b.info.takenAt ? Date.parse(b.info.takenAt) : NaN;
+
+        if (isNaN(timeA) && isNaN(timeB)) {
+            return 0;
+        }
+        if (isNaN(timeA)) {
+            return 1;
+        }
+        if (isNaN(timeB)) {
+            return -1;
+        }
+        return timeA - timeB;
+    });
+}
+
+/**
+ * Find the index of the photo addressed by a ?photo= URL parameter
+ * Accepts a 1-based photo number ("37") or a filename with or without extension
+ * ("wild_wild_west_10232025_37" or "wild_wild_west_10232025_37.webp")
+ * @param {string} photoParam - Value of the photo query parameter
+ * @returns {number} Index into albumPhotos, or -1 if no photo matches
+ */
+function findPhotoIndex(photoParam) {
+    if (!photoParam) {
+        return -1;
+    }
+
+    // Match by filename first so numeric-looking filenames are not misread as positions
+    const id = photoParam.replace(/\.[^.]+$/, '');
+    const filenameIndex = albumPhotos.findIndex(photo => photo.id === id);
+    if (filenameIndex !== -1) {
+        return filenameIndex;
+    }
+
+    if (/^\d+$/.test(photoParam)) {
+        const position = parseInt(photoParam, 10);
+        if (position >= 1 && position <= albumPhotos.length) {
+            return position - 1;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Build the link shared for the album: its share page (public/share/[album-name].html, generated
+ * by `node index.js share`), which gives link previews the album's own title and cover photo
+ * and sends people on to album.html
+ * @param {string} [albumFolder] - Album folder name (defaults to the album being viewed)
+ * @returns {string} Absolute share page URL
+ */
+function getAlbumShareLink(albumFolder = currentAlbum.folderName) {
+    return new URL(`share/${encodeURIComponent(albumFolder)}`, window.location.href).toString();
+}
+
+/**
+ * Build the link that opens a photo in its album, through the album's share page
+ * (photos in the Favorites view link to the album they come from)
+ * @param {number} index - Index into albumPhotos
+ * @returns {string} Absolute share page URL with the photo query parameter
+ */
+function getPhotoLink(index) {
+    const photo = albumPhotos[index];
+    const url = new URL(getAlbumShareLink(photo ? photo.albumFolder : undefined));
+
+    if (photo) {
+        url.searchParams.set('photo', photo.id);
+    }
+
+    return url.toString();
+}
+
 /**
  * Get the original file extension (helper function)
  * Assumes original photos are JPG if not specified
@@ -110,11 +380,12 @@ function getOriginalExtension(filename) {
 }
 
 /**
- * Render the album header with name and info
+ * Render the album header with name, info and the optional description
  */
 function renderAlbumHeader() {
     const nameElement = document.getElementById('album-name');
     const infoElement = document.getElementById('album-info');
+    const descriptionElement = document.getElementById('album-description');
 
     if (!nameElement || !infoElement) {
         console.error('Album header elements not found');
@@ -124,14 +395,144 @@ function renderAlbumHeader() {
     nameElement.textContent = currentAlbum.name;
 
     // Format album info: photographer and date
-    const date = new Date(currentAlbum.date);
-    const formattedDate = date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+    const formattedDate = formatAlbumDate(currentAlbum.date);
+
+    // Everyone credited in the album, most photos first, each linking to their photographer view
+    const photographers = getPhotographerCredits(currentAlbum).map(credit => credit.name);
+
+    infoElement.textContent = '';
+    if (photographers.length > 0) {
+        infoElement.append('Photos by ');
+        appendPhotographerLinks(infoElement, photographers);
+        infoElement.append(' • ');
+    }
+    infoElement.append(formattedDate);
+
+    // Description from the album JSON, inserted as plain text (line breaks are kept by CSS)
+    if (descriptionElement) {
+        const description = getOptionalText(currentAlbum.description);
+        descriptionElement.textContent = description;
+        descriptionElement.hidden = !description;
+    }
+
+    renderAlbumActions();
+}
+
+/**
+ * Render the album action buttons below the header info
+ */
+function renderAlbumActions() {
+    const actionsElement = document.getElementById('album-actions');
+
+    if (!actionsElement) {
+        console.error('Album actions element not found');
+        return;
+    }
+
+    actionsElement.innerHTML = '';
+    actionsElement.appendChild(createSelectModeButton());
+    actionsElement.appendChild(createSlideshowButton());
+    actionsElement.appendChild(createShareAlbumButton());
+
+    if (isOfflineSaveSupported()) {
+        actionsElement.appendChild(createSaveOfflineButton());
+    }
+}
+
+/**
+ * Create the header button that shares the album link (share sheet on phones, clipboard elsewhere)
+ * @param {Function} [getLink] - Returns the link to share (the Favorites view shares its list)
+ * @returns {HTMLElement} Share button element
+ */
+function createShareAlbumButton(getLink = getAlbumShareLink) {
+    const button = document.createElement('button');
+    button.className = 'glass-button share-album-button';
+    button.textContent = 'Share';
+
+    button.addEventListener('click', async () => {
+        const link = getLink();
+
+        try {
+            if (navigator.share && isMobileDevice()) {
+                await navigator.share({ title: currentAlbum.name, url: link });
+                return;
+            }
+
+            await navigator.clipboard.writeText(link);
+            button.textContent = 'Link copied';
+            setTimeout(() => {
+                button.textContent = 'Share';
+            }, 2000);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error(`Could not share ${link}:`, error);
+                // Let the user copy it by hand
+                showToast('Copy this link to share:', 'info', { link });
+            }
+        }
     });
 
-    infoElement.textContent = `Photos by ${currentAlbum.photographer} • ${formattedDate}`;
+    return button;
+}
+
+/**
+ * Create the header button that keeps the album's thumbnails on the device for browsing
+ * without signal (see offline.js), or deletes the offline copy again
+ * @returns {HTMLElement} Save for offline button element
+ */
+function createSaveOfflineButton() {
+    const button = document.createElement('button');
+    const albumFolder = currentAlbum.folderName;
+    let savedInfo = null;
+
+    const showSaved = (info) => {
+        savedInfo = info;
+        button.classList.toggle('saved', Boolean(info));
+
+        if (!info) {
+            button.textContent = 'Save for offline';
+            button.title = 'Keep this album\'s photos on this device to browse without signal';
+        } else if (info.photoCount < info.total) {
+            button.textContent = `Saved ${info.photoCount} of ${info.total} offline`;
+            button.title = `Storage ran out after ${info.photoCount} photos (${formatStorageSize(info.bytes)}) - click to remove`;
+        } else {
+            button.textContent = 'Saved offline';
+            button.title = `${info.photoCount} photos (${formatStorageSize(info.bytes)}) kept on this device - click to remove`;
+        }
+    };
+
+    button.className = 'glass-button save-offline-button';
+    showSaved(null);
+    getSavedAlbumInfo(albumFolder).then(showSaved).catch(error => {
+        console.warn('Could not read the offline copy of the album:', error);
+    });
+
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+
+        try {
+            if (savedInfo) {
+                if (window.confirm('Remove the offline copy of this album from this device?')) {
+                    await removeSavedAlbum(albumFolder);
+                    showSaved(null);
+                }
+                return;
+            }
+
+            const photoUrls = albumPhotos.map(photo => photo.thumbnail);
+            showSaved(await saveAlbumForOffline(albumFolder, photoUrls, (done, total) => {
+                button.textContent = `Saving ${done} of ${total}`;
+            }));
+        } catch (error) {
+            console.error('Error saving album for offline:', error);
+            showSaved(savedInfo);
+            showToast(`Couldn't save the album for offline: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    });
+
+    return button;
 }
 
 /**
@@ -153,11 +554,9 @@ function renderPhotoGrid() {
         return;
     }
 
-    // Create and append photo thumbnails
-    albumPhotos.forEach((photo, index) => {
-        const thumbnail = createPhotoThumbnail(photo, index);
-        gridContainer.appendChild(thumbnail);
-    });
+    // Thumbnails are created chunk by chunk as they near the viewport
+    renderVirtualGrid(gridContainer, getAlbumLayout(), albumSections);
+    renderSectionNav(gridContainer);
 
     // Initialize lightbox after photos are rendered
     if (typeof window.initLightboxWhenReady === 'function') {
@@ -167,36 +566,103 @@ function renderPhotoGrid() {
     }
 }
 
+/**
+ * Get the photo grid layout for the current album
+ * @returns {string} 'grid' (uniform square cells) or 'justified' (equal-height rows, no cropping)
+ */
+function getAlbumLayout() {
+    const layout = currentAlbum.layout || ALBUM_LAYOUTS[0];
+
+    if (!ALBUM_LAYOUTS.includes(layout)) {
+        console.warn(`Unknown album layout "${layout}" - using "${ALBUM_LAYOUTS[0]}"`);
+        return ALBUM_LAYOUTS[0];
+    }
+
+    return layout;
+}
+
 /**
  * Create a photo thumbnail element
- * @param {Object} photo - Photo object with thumbnail and fullsize paths
+ * The cell holds the link that opens the photo and, beside it rather than inside it, the heart
+ * toggle - a button nested in a link is announced unreliably by screen readers
+ * @param {Object} photo - Photo object with id, thumbnail and fullsize paths
  * @param {number} index - Photo index in the album
  * @returns {HTMLElement} Photo thumbnail element
  */
 function createPhotoThumbnail(photo, index) {
     // Create thumbnail container
-    const thumbnailDiv = document.createElement('a');
-    thumbnailDiv.className = 'photo-thumbnail glightbox';
-    thumbnailDiv.href = photo.lightbox;  // /low webp - just expanded in lightbox
-    thumbnailDiv.setAttribute('data-gallery', 'album-gallery');
+    const thumbnailDiv = document.createElement('div');
+    thumbnailDiv.className = 'photo-thumbnail';
+    thumbnailDiv.dataset.index = index;  // Maps clicks to albumPhotos (lightbox and selection mode)
 
-    // Store original URL for downloading
-    if (photo.original) {
-        thumbnailDiv.setAttribute('data-original', photo.original);
-    }
+    // Link to the photo; the virtual grid gives one thumbnail link in the grid a tab stop
+    const link = document.createElement('a');
+    link.className = 'photo-thumbnail-link';
+    link.href = photo.lightbox;  // display webP (or /low webP for older albums)
+    link.tabIndex = -1;
 
     // Create thumbnail image
     const image = document.createElement('img');
-    image.src = photo.thumbnail;
-    image.alt = `${currentAlbum.name} - Photo ${index + 1}`;
+    // Photo server failover; sizes is set by the virtual grid once the cell width is known
+    setPhotoImageSource(image, photo.thumbnail, photo.srcset);
+    image.alt = getPhotoAltText(photo, index);
     image.loading = 'lazy'; // Native lazy loading
+    setImageDimensions(image, photo.info.width, photo.info.height);
 
     // Append image to thumbnail
-    thumbnailDiv.appendChild(image);
+    link.appendChild(image);
+    thumbnailDiv.appendChild(link);
+    syncThumbnailSelection(thumbnailDiv);
+
+    // Video clips show their poster frame with a play badge
+    if (photo.type === 'video') {
+        thumbnailDiv.appendChild(createPlayBadge(photo.info.duration));
+    }
+
+    // Heart toggle in the corner (favorites.js) - keyboard users press F on the thumbnail instead
+    // of tabbing through a heart per photo
+    const favoriteToggle = createFavoriteToggle(photo.albumFolder, photo.filename, 'thumbnail-favorite');
+    favoriteToggle.tabIndex = -1;
+    thumbnailDiv.appendChild(favoriteToggle);
+
+    // Blurred preview until the thumbnail loads (ingested albums only)
+    applyImagePlaceholder(thumbnailDiv, image, photo.placeholder);
 
     return thumbnailDiv;
 }
 
+/**
+ * Create the play badge shown on video thumbnails
+ * @param {number} [duration] - Clip length in seconds, shown beside the icon when known
+ * @returns {HTMLElement} Badge element
+ */
+function createPlayBadge(duration) {
+    const badge = document.createElement('span');
+    badge.className = 'play-badge';
+    badge.setAttribute('aria-hidden', 'true');
+    badge.innerHTML = `
+        <svg class="play-badge-icon" viewBox="0 0 24 24">
+            <polygon points="7 4 20 12 7 20 7 4"></polygon>
+        </svg>
+    `;
+
+    if (duration) {
+        badge.append(formatDuration(duration));
+    }
+
+    return badge;
+}
+
+/**
+ * Format a clip length as minutes and seconds ("0:07", "1:32")
+ * @param {number} seconds - Length in seconds
+ * @returns {string} Formatted length
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
 /**
  * Display an error message to the user
  * @param {string} message - Error message to display
@@ -205,11 +671,11 @@ function displayError(message) {
     const gridContainer = document.getElementById('photo-grid');
 
     if (gridContainer) {
-        gridContainer.innerHTML = `
-            <div class="error-message">
-                ${message}
-            </div>
-        `;
+        // Messages can include album names and server responses, so they go in as text
+        const errorElement = document.createElement('div');
+        errorElement.className = 'error-message';
+        errorElement.textContent = message;
+        gridContainer.replaceChildren(errorElement);
     }
 
     // Also update header with error
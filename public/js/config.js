@@ -0,0 +1,15 @@
+/**
+ * Site Configuration
+ * Settings shared by every page. The local dev server (`node index.js serve`) overrides
+ * them by defining window.SITE_CONFIG_OVERRIDES before this file loads.
+ */
+
+const SITE_CONFIG = {
+    // Photo servers every photo URL is built from, in order of preference. Photos fail over
+    // to the next origin when one is down (add a mirror after the primary nginx server)
+    photoOrigins: [
+        'https://pikapp-photos.ct-42210.com'
+    ],
+
+    ...(window.SITE_CONFIG_OVERRIDES || {})
+};
@@ -0,0 +1,311 @@
+/**
+ * Favorites View
+ * Album page mode (album.html?favorites) showing the photos hearted in every album as one
+ * album, a section per album, with the same lightbox, slideshow and ZIP download.
+ * album.html?favorites=[list] shows a list someone shared as a link (see favorites.js).
+ */
+
+// Favorites view state: whether the list came from a link, the list shown, and the favorites
+// that can't be shown (removed from the gallery, or their album failed to load)
+let favoritesView = null;
+
+/**
+ * Load and render the Favorites view
+ * @param {string} sharedParam - Value of the favorites query parameter (empty for this browser's favorites)
+ */
+async function initFavoritesView(sharedParam) {
+    const shared = Boolean(sharedParam);
+    const list = shared ? parseFavoritesParam(sharedParam) : getFavorites();
+
+    favoritesView = { shared, list, albumCount: 0, removed: [], unavailable: [] };
+    currentAlbum = { name: shared ? 'Shared Favorites' : 'Favorites' };
+    albumPhotos = [];
+    document.title = `${currentAlbum.name} - Pi Kappa Phi`;
+
+    if (list.length > 0) {
+        await loadFavoritePhotos(list);
+    }
+
+    renderFavoritesHeader();
+
+    if (albumPhotos.length === 0) {
+        renderFavoritesEmpty();
+        return;
+    }
+
+    renderPhotoGrid();
+}
+
+/**
+ * Build albumPhotos from a favorites list, a section per album (newest album first)
+ * Favorites whose album or photo is no longer in the gallery are set aside in favoritesView
+ * @param {Object[]} list - Favorites list ([{album, photo}])
+ */
+async function loadFavoritePhotos(list) {
+    const manifest = await fetchAlbumManifest();
+    const albumFolders = Array.from(new Set(list.map(entry => entry.album)));
+
+    const loaded = await Promise.all(albumFolders.map(async (albumFolder) => {
+        const entries = list.filter(entry => entry.album === albumFolder);
+
+        if (manifest && !manifest.has(albumFolder)) {
+            favoritesView.removed.push(...entries);
+            return null;
+        }
+
+        let album;
+        try {
+            album = await fetchAlbum(albumFolder);
+        } catch (error) {
+            console.warn(`Could not load album ${albumFolder} for favorites: ${error.message}`);
+            favoritesView.unavailable.push(...entries);
+            return null;
+        }
+
+        const photos = [];
+        entries.forEach(entry => {
+            const photo = (album.photos || []).find(item => getAlbumPhotoFilename(item) === entry.photo);
+            if (photo) {
+                photos.push(createAlbumPhoto(photo, albumFolder, album));
+            } else {
+                // Deleted, or hidden with the admin page
+                favoritesView.removed.push(entry);
+            }
+        });
+
+        sortPhotosByCaptureTime(photos);
+        return photos.length > 0 ? { album, photos } : null;
+    }));
+
+    const albums = loaded
+        .filter(Boolean)
+        .sort((a, b) => (Date.parse(b.album.date) || 0) - (Date.parse(a.album.date) || 0));
+
+    favoritesView.albumCount = albums.length;
+    currentAlbum.sections = albums.map(({ album, photos }) => ({
+        title: album.name || album.folderName,
+        albumFolder: album.folderName,
+        photos: photos.map(photo => photo.filename)
+    }));
+
+    albumPhotos = groupPhotosIntoSections(currentAlbum.sections, albums.flatMap(({ photos }) => photos));
+}
+
+/**
+ * Read the album folders listed in the albums.json manifest
+ * @returns {Promise<Set<string>|null>} Album folder names, or null if the manifest could not be read
+ */
+async function fetchAlbumManifest() {
+    try {
+        const response = await fetch('albums.json');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        return new Set(Array.isArray(manifest.albums) ? manifest.albums : []);
+    } catch (error) {
+        // Without the manifest, missing albums are reported as unavailable rather than removed
+        console.warn('Could not load albums.json for favorites:', error);
+        return null;
+    }
+}
+
+/**
+ * Render the Favorites view header: photo count, what couldn't be shown, and the actions
+ */
+function renderFavoritesHeader() {
+    const nameElement = document.getElementById('album-name');
+    const infoElement = document.getElementById('album-info');
+    const descriptionElement = document.getElementById('album-description');
+
+    if (!nameElement || !infoElement) {
+        console.error('Album header elements not found');
+        return;
+    }
+
+    const { shared, albumCount, removed, unavailable } = favoritesView;
+    const photoCount = albumPhotos.length;
+
+    nameElement.textContent = currentAlbum.name;
+    infoElement.textContent = photoCount > 0
+        ? `${formatCount(photoCount, 'photo')} from ${formatCount(albumCount, 'album')}${shared ? ' • Shared with you' : ''}`
+        : '';
+
+    // Favorites that can't be shown are kept in the list until removed here, so nothing is lost
+    // when an album is only briefly unreachable
+    if (descriptionElement) {
+        const notes = [];
+        if (removed.length > 0) {
+            notes.push(`${formatCount(removed.length, 'favorite')} ${removed.length === 1 ? 'is' : 'are'} no longer in the gallery - the album or photo was removed.`);
+        }
+        if (unavailable.length > 0) {
+            notes.push(`${formatCount(unavailable.length, 'favorite')} couldn't be loaded right now.`);
+        }
+        descriptionElement.textContent = notes.join('\n');
+        descriptionElement.hidden = notes.length === 0;
+    }
+
+    renderFavoritesActions();
+}
+
+/**
+ * Render the Favorites view action buttons
+ */
+function renderFavoritesActions() {
+    const actionsElement = document.getElementById('album-actions');
+
+    if (!actionsElement) {
+        console.error('Album actions element not found');
+        return;
+    }
+
+    actionsElement.innerHTML = '';
+
+    if (albumPhotos.length > 0) {
+        actionsElement.appendChild(createSelectModeButton());
+        actionsElement.appendChild(createSlideshowButton());
+    }
+
+    if (favoritesView.shared) {
+        actionsElement.appendChild(createAddSharedFavoritesButton());
+        return;
+    }
+
+    if (favoritesView.list.length > 0) {
+        actionsElement.appendChild(createShareAlbumButton(() => buildFavoritesLink(getFavorites())));
+        actionsElement.appendChild(createExportFavoritesButton());
+    }
+
+    actionsElement.appendChild(createImportFavoritesButton());
+
+    if (favoritesView.removed.length > 0) {
+        actionsElement.appendChild(createRemoveMissingFavoritesButton());
+    }
+}
+
+/**
+ * Create the button that adds a shared favorites list to this browser's favorites
+ * @returns {HTMLElement} Button element
+ */
+function createAddSharedFavoritesButton() {
+    const button = document.createElement('button');
+    button.className = 'glass-button';
+    button.textContent = 'Add to my favorites';
+
+    button.addEventListener('click', () => {
+        // Only the photos still in the gallery are worth keeping
+        const missing = new Set(favoritesView.removed.map(entry => getFavoriteKey(entry.album, entry.photo)));
+        const added = addFavorites(favoritesView.list.filter(entry => !missing.has(getFavoriteKey(entry.album, entry.photo))));
+
+        button.textContent = added > 0 ? `Added ${formatCount(added, 'photo')}` : 'Already in your favorites';
+        button.disabled = true;
+    });
+
+    return button;
+}
+
+/**
+ * Create the button that saves the favorites list as a JSON file
+ * @returns {HTMLElement} Button element
+ */
+function createExportFavoritesButton() {
+    const button = document.createElement('button');
+    button.className = 'glass-button';
+    button.textContent = 'Export';
+    button.title = 'Save your favorites as a file to import on another device';
+    button.addEventListener('click', exportFavoritesFile);
+    return button;
+}
+
+/**
+ * Create the button that adds the favorites from an exported JSON file
+ * @returns {HTMLElement} Button element
+ */
+function createImportFavoritesButton() {
+    const button = document.createElement('button');
+    button.className = 'glass-button';
+    button.textContent = 'Import';
+    button.title = 'Add the favorites from a file exported on another device';
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) {
+            return;
+        }
+
+        try {
+            const added = addFavorites(await readFavoritesFile(file));
+            if (added > 0) {
+                // Load the albums the new favorites come from
+                window.location.reload();
+            } else {
+                showToast('Every photo in that file is already in your favorites.');
+            }
+        } catch (error) {
+            console.error('Error importing favorites:', error);
+            showToast(`Couldn't import favorites: ${error.message}`, 'error');
+        }
+    });
+
+    // The file input stays out of the page; the button opens its file picker
+    button.addEventListener('click', () => input.click());
+    return button;
+}
+
+/**
+ * Create the button that drops the favorites no longer in the gallery from the list
+ * @returns {HTMLElement} Button element
+ */
+function createRemoveMissingFavoritesButton() {
+    const button = document.createElement('button');
+    button.className = 'glass-button';
+    button.textContent = `Remove ${formatCount(favoritesView.removed.length, 'missing photo')}`;
+
+    button.addEventListener('click', () => {
+        removeFavorites(favoritesView.removed);
+        favoritesView.list = getFavorites();
+        favoritesView.removed = [];
+        renderFavoritesHeader();
+    });
+
+    return button;
+}
+
+/**
+ * Show what to do when there are no favorites to display
+ */
+function renderFavoritesEmpty() {
+    const gridContainer = document.getElementById('photo-grid');
+    if (!gridContainer) {
+        return;
+    }
+
+    const message = document.createElement('div');
+    message.className = 'favorites-empty';
+
+    if (favoritesView.shared) {
+        message.textContent = 'None of the photos in this link are in the gallery any more.';
+    } else if (favoritesView.list.length === 0) {
+        message.textContent = 'No favorites yet. Tap the heart on any photo to collect it here.';
+    } else {
+        message.textContent = 'None of your favorites can be shown right now.';
+    }
+
+    gridContainer.replaceChildren(message);
+}
+
+/**
+ * Format a count with its noun ("1 photo", "12 photos")
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} Count with the noun
+ */
+function formatCount(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
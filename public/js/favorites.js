@@ -0,0 +1,321 @@
+/**
+ * Favorites
+ * Photos hearted across albums, kept in this browser's localStorage by album folder and
+ * photo filename, the heart toggles shown on thumbnails and in the lightbox, and export/import
+ * of the list as a JSON file or a link to the Favorites view (see favorites-view.js)
+ */
+
+// localStorage key holding the favorites list
+const FAVORITES_STORAGE_KEY = 'pikapp-favorites';
+
+// Query parameter that opens the Favorites view on the album page: album.html?favorites for
+// this browser's favorites, album.html?favorites=[list] for a list shared as a link
+const FAVORITES_URL_PARAM = 'favorites';
+
+// "version" of exported favorites files
+const FAVORITES_FILE_VERSION = 1;
+
+// Filename of exported favorites files
+const FAVORITES_FILE_NAME = 'pikapp-favorites.json';
+
+// Favorites in the order they were added: [{album, photo, addedAt}]
+let favorites = loadFavorites();
+
+/**
+ * Read the favorites list from localStorage
+ * @returns {Object[]} Favorites, or an empty list when none are stored or storage is blocked
+ */
+function loadFavorites() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FAVORITES_STORAGE_KEY) || '[]');
+        return normalizeFavorites(stored);
+    } catch (error) {
+        console.warn('Could not read favorites:', error);
+        return [];
+    }
+}
+
+/**
+ * Write the favorites list to localStorage
+ * The list still works for this visit when storage is full or blocked (private browsing)
+ */
+function saveFavorites() {
+    try {
+        localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(favorites));
+    } catch (error) {
+        console.warn('Could not save favorites:', error);
+    }
+}
+
+/**
+ * Keep the well-formed entries of a favorites list, each photo once
+ * Used for the stored list and for imported files and links, which may be hand-edited
+ * @param {*} list - Favorites list ([{album, photo, addedAt}])
+ * @returns {Object[]} Cleaned favorites list
+ */
+function normalizeFavorites(list) {
+    if (!Array.isArray(list)) {
+        return [];
+    }
+
+    const seen = new Set();
+    return list
+        .filter(entry => entry && isFavoritePart(entry.album) && isFavoritePart(entry.photo))
+        .filter(entry => {
+            const key = getFavoriteKey(entry.album, entry.photo);
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .map(entry => ({
+            album: entry.album,
+            photo: entry.photo,
+            addedAt: typeof entry.addedAt === 'string' ? entry.addedAt : new Date().toISOString()
+        }));
+}
+
+/**
+ * Whether a value can be an album folder or photo filename in a favorite
+ * @param {*} value - Album folder or photo filename
+ * @returns {boolean} True for a non-empty string without path separators
+ */
+function isFavoritePart(value) {
+    return typeof value === 'string' && value.trim() !== '' && !/[/\\]/.test(value);
+}
+
+/**
+ * Get the key a favorite is stored under
+ * @param {string} albumFolder - Album folder name
+ * @param {string} filename - Photo filename (the webP filename in the album JSON)
+ * @returns {string} Favorite key ("album/photo.webp")
+ */
+function getFavoriteKey(albumFolder, filename) {
+    return `${albumFolder}/${filename}`;
+}
+
+/**
+ * Get a copy of the favorites list
+ * @returns {Object[]} Favorites in the order they were added
+ */
+function getFavorites() {
+    return favorites.slice();
+}
+
+/**
+ * Whether a photo is a favorite
+ * @param {string} albumFolder - Album folder name
+ * @param {string} filename - Photo filename
+ * @returns {boolean} True if the photo is in the favorites list
+ */
+function isFavorite(albumFolder, filename) {
+    const key = getFavoriteKey(albumFolder, filename);
+    return favorites.some(entry => getFavoriteKey(entry.album, entry.photo) === key);
+}
+
+/**
+ * Add a photo to the favorites or remove it
+ * @param {string} albumFolder - Album folder name
+ * @param {string} filename - Photo filename
+ * @param {boolean} favorite - True to add, false to remove
+ */
+function setFavorite(albumFolder, filename, favorite) {
+    if (favorite === isFavorite(albumFolder, filename)) {
+        return;
+    }
+
+    if (favorite) {
+        favorites.push({ album: albumFolder, photo: filename, addedAt: new Date().toISOString() });
+    } else {
+        const key = getFavoriteKey(albumFolder, filename);
+        favorites = favorites.filter(entry => getFavoriteKey(entry.album, entry.photo) !== key);
+    }
+
+    handleFavoritesChanged();
+}
+
+/**
+ * Add every photo of a list that isn't a favorite yet (importing a file or a shared link)
+ * @param {Object[]} list - Favorites list
+ * @returns {number} Number of photos added
+ */
+function addFavorites(list) {
+    const added = normalizeFavorites(list).filter(entry => !isFavorite(entry.album, entry.photo));
+
+    if (added.length > 0) {
+        favorites = favorites.concat(added);
+        handleFavoritesChanged();
+    }
+
+    return added.length;
+}
+
+/**
+ * Remove photos from the favorites
+ * @param {Object[]} list - Favorites to remove ([{album, photo}])
+ */
+function removeFavorites(list) {
+    const keys = new Set(list.map(entry => getFavoriteKey(entry.album, entry.photo)));
+    favorites = favorites.filter(entry => !keys.has(getFavoriteKey(entry.album, entry.photo)));
+    handleFavoritesChanged();
+}
+
+/**
+ * Store the changed list, update the heart toggles on the page and tell the Favorites view
+ */
+function handleFavoritesChanged() {
+    saveFavorites();
+    syncFavoriteToggles();
+    window.dispatchEvent(new CustomEvent('favorites-changed'));
+}
+
+/**
+ * Create a heart button that adds a photo to the favorites or removes it
+ * @param {string} albumFolder - Album folder name
+ * @param {string} filename - Photo filename
+ * @param {string} className - Extra class for where the toggle is shown
+ * @returns {HTMLElement} Favorite toggle button
+ */
+function createFavoriteToggle(albumFolder, filename, className) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `favorite-toggle ${className}`;
+    button.dataset.favoriteKey = getFavoriteKey(albumFolder, filename);
+    button.innerHTML = `
+        <svg class="favorite-icon" viewBox="0 0 24 24" aria-hidden="true">
+            <path d="M20.8 4.6a5.5 5.5 0 0 0-7.8 0L12 5.7l-1-1.1a5.5 5.5 0 0 0-7.8 7.8l1 1.1L12 21l7.8-7.5 1-1.1a5.5 5.5 0 0 0 0-7.8z"></path>
+        </svg>
+    `;
+    updateFavoriteToggle(button, isFavorite(albumFolder, filename));
+
+    button.addEventListener('click', (e) => {
+        // Don't open the lightbox (thumbnails) or close it (lightbox controls)
+        e.preventDefault();
+        e.stopPropagation();
+        setFavorite(albumFolder, filename, !isFavorite(albumFolder, filename));
+    });
+
+    return button;
+}
+
+/**
+ * Show whether a heart toggle's photo is a favorite
+ * @param {HTMLElement} button - Favorite toggle button
+ * @param {boolean} favorite - True if the photo is a favorite
+ */
+function updateFavoriteToggle(button, favorite) {
+    const label = favorite ? 'Remove from favorites' : 'Add to favorites';
+    button.setAttribute('aria-pressed', String(favorite));
+    button.setAttribute('aria-label', label);
+    button.title = label;
+}
+
+/**
+ * Update every heart toggle on the page after the favorites changed
+ */
+function syncFavoriteToggles() {
+    const keys = new Set(favorites.map(entry => getFavoriteKey(entry.album, entry.photo)));
+
+    document.querySelectorAll('.favorite-toggle').forEach(button => {
+        updateFavoriteToggle(button, keys.has(button.dataset.favoriteKey));
+    });
+}
+
+/**
+ * Save the favorites list as a JSON file
+ */
+function exportFavoritesFile() {
+    const file = { version: FAVORITES_FILE_VERSION, exportedAt: new Date().toISOString(), favorites };
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = FAVORITES_FILE_NAME;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read a favorites file saved by exportFavoritesFile()
+ * A bare [{album, photo}] list is accepted too
+ * @param {File} file - Chosen JSON file
+ * @returns {Promise<Object[]>} Favorites list from the file
+ */
+async function readFavoritesFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error(`${file.name} is not a JSON file`);
+    }
+
+    const list = normalizeFavorites(Array.isArray(data) ? data : data && data.favorites);
+    if (list.length === 0) {
+        throw new Error(`${file.name} has no favorites in it`);
+    }
+
+    return list;
+}
+
+/**
+ * Build a link that opens a favorites list in the Favorites view
+ * The list is written as "album:photo,photo;album:photo" with each name URI-encoded
+ * @param {Object[]} list - Favorites list
+ * @returns {string} Absolute album.html?favorites=... URL
+ */
+function buildFavoritesLink(list) {
+    const photosByAlbum = new Map();
+    list.forEach(entry => {
+        const photos = photosByAlbum.get(entry.album) || [];
+        photos.push(encodeURIComponent(entry.photo));
+        photosByAlbum.set(entry.album, photos);
+    });
+
+    const value = Array.from(photosByAlbum, ([album, photos]) => `${encodeURIComponent(album)}:${photos.join(',')}`)
+        .join(';');
+
+    const url = new URL('album.html', window.location.href);
+    url.searchParams.set(FAVORITES_URL_PARAM, value);
+    return url.toString();
+}
+
+/**
+ * Read the favorites list from a link built by buildFavoritesLink()
+ * @param {string} value - Value of the favorites query parameter
+ * @returns {Object[]} Favorites list (entries that can't be read are left out)
+ */
+function parseFavoritesParam(value) {
+    const list = [];
+
+    value.split(';').forEach(group => {
+        const [album, photos] = group.split(':');
+        if (!album || !photos) {
+            return;
+        }
+
+        photos.split(',').forEach(photo => {
+            try {
+                list.push({ album: decodeURIComponent(album), photo: decodeURIComponent(photo) });
+            } catch (error) {
+                console.warn(`Skipping unreadable favorite "${album}:${photo}"`);
+            }
+        });
+    });
+
+    return normalizeFavorites(list);
+}
+
+// Favorites changed in another tab
+window.addEventListener('storage', (event) => {
+    if (event.key === FAVORITES_STORAGE_KEY) {
+        favorites = loadFavorites();
+        syncFavoriteToggles();
+        window.dispatchEvent(new CustomEvent('favorites-changed'));
+    }
+});
@@ -0,0 +1,54 @@
+/**
+ * Image Placeholders
+ * Shows a blurred preview behind an image until the real image has loaded
+ * Used by both the album cards (album-list.js) and photo thumbnails (album-view.js)
+ */
+
+/**
+ * Paint a blurred placeholder inside an image's container until the image loads
+ * Does nothing when there is no placeholder, so older album files behave as before
+ * @param {HTMLElement} container - Element wrapping the image (positioned, overflow hidden)
+ * @param {HTMLImageElement} image - The real image
+ * @param {string} [placeholder] - Placeholder data URI from the album JSON
+ */
+function applyImagePlaceholder(container, image, placeholder) {
+    // Only inline image data URIs are accepted, since the value is placed in a CSS url()
+    if (!placeholder || !/^data:image\/[a-z+]+;base64,[A-Za-z0-9+/=]+$/.test(placeholder)) {
+        return;
+    }
+
+    const preview = document.createElement('div');
+    preview.className = 'image-placeholder';
+    preview.setAttribute('aria-hidden', 'true');
+    preview.style.backgroundImage = `url("${placeholder}")`;
+
+    container.classList.add('has-placeholder');
+    container.insertBefore(preview, container.firstChild);
+
+    // Fade the real image in once it is decoded, then drop the preview
+    const reveal = () => {
+        container.classList.add('image-loaded');
+        setTimeout(() => preview.remove(), 400);
+    };
+
+    if (image.complete && image.naturalWidth > 0) {
+        reveal();
+    } else {
+        image.addEventListener('load', () => {
+            image.decode().catch(() => {}).then(reveal);
+        }, { once: true });
+    }
+}
+
+/**
+ * Set an image's intrinsic size so the browser can reserve its aspect ratio before it loads
+ * @param {HTMLImageElement} image - Image element
+ * @param {number} [width] - Pixel width
+ * @param {number} [height] - Pixel height
+ */
+function setImageDimensions(image, width, height) {
+    if (width > 0 && height > 0) {
+        image.width = width;
+        image.height = height;
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Justified Rows Layout
+ * Packs photos into rows of equal height using each photo's aspect ratio,
+ * so nothing is cropped (like Flickr or Google Photos)
+ */
+
+// Target row height in pixels (rows are stretched or shrunk slightly to fill the width)
+const JUSTIFIED_ROW_HEIGHT = 240;
+const JUSTIFIED_ROW_HEIGHT_MOBILE = 150;
+
+/**
+ * Get the target row height for the current screen size
+ * @returns {number} Row height in pixels
+ */
+function getJustifiedRowHeight() {
+    return window.matchMedia('(max-width: 768px)').matches
+        ? JUSTIFIED_ROW_HEIGHT_MOBILE
+        : JUSTIFIED_ROW_HEIGHT;
+}
+
+/**
+ * Split photos into rows that each exactly fill the container width
+ * The last row keeps the target height instead of stretching across the container; a row ends with
+ * the photo that reaches the width, so a photo wider than the container shrinks its row to fit
+ * @param {number[]} aspectRatios - Width / height of each photo, in album order
+ * @param {number} containerWidth - Available width in pixels
+ * @param {number} gap - Space between photos in pixels
+ * @param {number} targetHeight - Preferred row height in pixels
+ * @returns {Array<{height: number, items: Array<{index: number, width: number, height: number}>}>} Rows
+ */
+function computeJustifiedRows(aspectRatios, containerWidth, gap, targetHeight) {
+    const rows = [];
+    let row = [];
+    let rowAspectSum = 0;
+
+    aspectRatios.forEach((value, index) => {
+        // A missing or zero ratio is laid out square rather than leaving a gap or breaking the sums
+        const aspectRatio = value > 0 && Number.isFinite(value) ? value : 1;
+        row.push({ index, aspectRatio });
+        rowAspectSum += aspectRatio;
+
+        const rowWidthAtTarget = rowAspectSum * targetHeight + gap * (row.length - 1);
+        if (rowWidthAtTarget >= containerWidth) {
+            // Scale the row so it fills the width exactly
+            const rowHeight = (containerWidth - gap * (row.length - 1)) / rowAspectSum;
+            rows.push(sizeJustifiedRow(row, rowHeight));
+            row = [];
+            rowAspectSum = 0;
+        }
+    });
+
+    if (row.length > 0) {
+        rows.push(sizeJustifiedRow(row, targetHeight));
+    }
+
+    return rows;
+}
+
+/**
+ * Size each photo in a row to the row height
+ * Widths are floored to hundredths of a pixel so rounding never wraps a row early
+ * @param {Array<{index: number, aspectRatio: number}>} row - Photos in the row
+ * @param {number} rowHeight - Height in pixels
+ * @returns {{height: number, items: Array<{index: number, width: number, height: number}>}} Sized row
+ */
+function sizeJustifiedRow(row, rowHeight) {
+    const height = Math.floor(rowHeight * 100) / 100;
+
+    return {
+        height,
+        items: row.map(({ index, aspectRatio }) => ({
+            index,
+            width: Math.floor(aspectRatio * rowHeight * 100) / 100,
+            height
+        }))
+    };
+}
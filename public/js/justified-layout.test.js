@@ -0,0 +1,100 @@
+/**
+ * Tests for the justified rows photo grid layout (computeJustifiedRows in justified-layout.js)
+ * Run with `npm test` (node --test)
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const vm = require('vm');
+
+// Page scripts share the page's global scope, so this one runs in the test's
+const filename = path.join(__dirname, 'justified-layout.js');
+vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+
+/**
+ * Get the width a row takes up: its photos plus the gaps between them
+ * @param {Object} row - Row from computeJustifiedRows()
+ * @param {number} gap - Space between photos in pixels
+ * @returns {number} Width in pixels
+ */
+function getRowWidth(row, gap) {
+    return row.items.reduce((total, item) => total + item.width, 0) + gap * (row.items.length - 1);
+}
+
+describe('computeJustifiedRows', () => {
+    it('fills each full row to the container width, never past it', () => {
+        const gap = 4;
+        const rows = computeJustifiedRows([1.5, 0.67, 1, 1.33, 1.5, 0.75, 1], 800, gap, 240);
+
+        rows.slice(0, -1).forEach(row => {
+            const width = getRowWidth(row, gap);
+            assert.ok(width <= 800, `row is ${width}px wide`);
+            assert.ok(width > 800 - 0.01 * row.items.length, `row is ${width}px wide`);
+            row.items.forEach(item => assert.equal(item.height, row.height));
+        });
+    });
+
+    it('keeps every photo once, in album order', () => {
+        const rows = computeJustifiedRows([1, 2, 0.5, 1, 1, 3, 1], 600, 4, 200);
+        const indexes = rows.flatMap(row => row.items.map(item => item.index));
+
+        assert.deepEqual(indexes, [0, 1, 2, 3, 4, 5, 6]);
+    });
+
+    it('scales a full row to fit and leaves the last row at the target height', () => {
+        const rows = computeJustifiedRows([1, 1, 1, 1], 500, 0, 240);
+
+        assert.deepEqual(rows, [
+            {
+                height: 166.66,
+                items: [
+                    { index: 0, width: 166.66, height: 166.66 },
+                    { index: 1, width: 166.66, height: 166.66 },
+                    { index: 2, width: 166.66, height: 166.66 }
+                ]
+            },
+            { height: 240, items: [{ index: 3, width: 240, height: 240 }] }
+        ]);
+    });
+
+    it('ends a row that exactly reaches the width at the target height', () => {
+        const rows = computeJustifiedRows([1, 1], 480, 0, 240);
+
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].height, 240);
+        assert.equal(getRowWidth(rows[0], 0), 480);
+    });
+
+    it('ends the row with a photo wider than the container, shrinking the row to fit', () => {
+        const rows = computeJustifiedRows([1, 4, 1], 500, 10, 240);
+
+        assert.deepEqual(rows.map(row => row.items.map(item => item.index)), [[0, 1], [2]]);
+        assert.ok(getRowWidth(rows[0], 10) <= 500);
+
+        const panorama = computeJustifiedRows([4], 500, 10, 240);
+        assert.deepEqual(panorama, [{ height: 125, items: [{ index: 0, width: 500, height: 125 }] }]);
+    });
+
+    it('puts one photo per row when the container is narrower than a photo', () => {
+        const rows = computeJustifiedRows([1, 0.5, 2], 100, 4, 240);
+
+        assert.deepEqual(rows.map(row => row.items.length), [1, 1, 1]);
+        rows.forEach(row => assert.equal(row.items[0].width, 100));
+        assert.equal(rows[1].height, 200);
+        assert.equal(rows[2].height, 50);
+    });
+
+    it('lays out photos with a missing or zero aspect ratio as squares', () => {
+        const rows = computeJustifiedRows([undefined, 0, NaN, -1], 500, 0, 240);
+
+        assert.equal(rows[0].height, 166.66);
+        assert.deepEqual(rows[0].items.map(item => item.width), [166.66, 166.66, 166.66]);
+        assert.deepEqual(rows[1], { height: 240, items: [{ index: 3, width: 240, height: 240 }] });
+    });
+
+    it('returns no rows for no photos', () => {
+        assert.deepEqual(computeJustifiedRows([], 800, 4, 240), []);
+    });
+});
@@ -1,11 +1,34 @@
 /**
  * Lightbox Integration
- * Handles GLightbox initialization and download/share functionality
+ * Handles GLightbox initialization, download/share functionality, and the lightbox as an
+ * accessible modal dialog (focus kept inside, the page behind made inert, slide announcements)
  */
 
 // GLightbox instance
 let lightbox = null;
 
+// URL query parameter that addresses a single photo (album.html?album=x&photo=y)
+const PHOTO_URL_PARAM = 'photo';
+
+// True while the open lightbox owns a history entry that the back button should pop
+let lightboxHistoryEntry = false;
+
+// Whether the photo info panel is shown (stays open while moving between slides)
+let infoPanelOpen = false;
+
+// Where focus goes when the lightbox closes: {index} for a thumbnail, {element} for anything else
+let lightboxReturnFocus = null;
+
+// Page elements made inert while the lightbox is open
+let lightboxInertElements = [];
+
+// Lightbox keyboard shortcuts (also shown in the button tooltips)
+const DOWNLOAD_SHORTCUT = 'd';
+const SHARE_SHORTCUT = 's';
+
+// Elements that can take keyboard focus, for keeping focus inside the lightbox
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), select:not([disabled]), input:not([disabled]), textarea:not([disabled]), video[controls], [tabindex]:not([tabindex="-1"])';
+
 /**
  * Initialize GLightbox with custom configuration
  */
@@ -16,11 +39,9 @@ function initLightbox() {
         return;
     }
 
-    // Check if there are any elements to attach to
-    const elements = document.querySelectorAll('.glightbox');
-
-    if (elements.length === 0) {
-        console.warn('No .glightbox elements found - cannot initialize');
+    // Check if there are any photos to show
+    if (albumPhotos.length === 0) {
+        console.warn('No photos in album - cannot initialize lightbox');
         return;
     }
 
@@ -33,8 +54,17 @@ function initLightbox() {
         }
     }
 
-    // Initialize GLightbox
+    // Initialize GLightbox from album data - the virtual grid only keeps nearby thumbnails
+    // in the DOM, so the slides can't be scraped from the page
     lightbox = GLightbox({
+        // GLightbox inserts titles and descriptions as HTML, so album text is escaped first
+        elements: albumPhotos.map((photo, index) => ({
+            href: resolvePhotoUrl(photo.lightbox),
+            type: photo.type === 'video' ? 'video' : 'image',  // MP4 clips play in GLightbox's video slide
+            title: photo.section ? escapeHtml(photo.section) : '',  // Caption with the photo's section
+            description: photo.caption ? escapeHtml(photo.caption) : '',  // Photo caption from the album JSON
+            alt: getPhotoAltText(photo, index)
+        })),
         touchNavigation: true,
         loop: true,
         closeOnOutsideClick: true,
@@ -43,6 +73,16 @@ function initLightbox() {
 
     // Add custom buttons after slide opens
     lightbox.on('slide_changed', ({ prev, current }) => {
+        updatePhotoUrl(current.index);
+        handleSlideshowSlideChange(current.index);
+        announceSlide(current.index);
+
+        // Fail over to another photo origin if the slide image can't be loaded
+        const slideImage = current.slideNode ? current.slideNode.querySelector('.gslide-image img') : null;
+        if (slideImage) {
+            watchPhotoImage(slideImage);
+        }
+
         // Give the slide a moment to fully render
         requestAnimationFrame(() => {
             requestAnimationFrame(() => {
@@ -51,11 +91,19 @@ function initLightbox() {
         });
     });
 
-    lightbox.on('open', () => {
-        // Remove focus from trigger element to fix aria-hidden warning
-        if (document.activeElement) {
-            document.activeElement.blur();
+    // GLightbox's local video slides have no poster, so show the clip's poster frame until it plays
+    lightbox.on('slide_after_load', ({ index }) => {
+        const photo = albumPhotos[index];
+        const player = lightbox.getSlidePlayerInstance(index);
+
+        if (photo && photo.poster && player) {
+            player.poster = resolvePhotoUrl(photo.poster);
         }
+    });
+
+    lightbox.on('open', () => {
+        openLightboxDialog();
+        pushLightboxHistoryEntry();
 
         const currentSlide = lightbox.getActiveSlide();
         addDownloadShareButtons(currentSlide);
@@ -67,7 +115,331 @@ function initLightbox() {
         if (existingControls) {
             existingControls.remove();
         }
+
+        removeInfoPanel();
+        stopSlideshow();
+        clearFinishedPhotoDownload();
+        closeLightboxDialog();
+        popLightboxHistoryEntry();
     });
+
+    // Passing elements turns off GLightbox's own click binding, so open slides from thumbnail clicks
+    const gridContainer = document.getElementById('photo-grid');
+    if (gridContainer) {
+        gridContainer.addEventListener('click', handleThumbnailClick);
+    }
+
+    // Read the kiosk flags before the deep link opens the lightbox, so its history entry gets them
+    const slideshowLinked = readSlideshowParams();
+    openLinkedPhoto();
+    if (slideshowLinked) {
+        startSlideshow();
+    }
+}
+
+/**
+ * Open the lightbox on the clicked thumbnail
+ * Selection mode stops thumbnail clicks before they reach this handler
+ * @param {MouseEvent} e - Click event on the photo grid
+ */
+function handleThumbnailClick(e) {
+    const thumbnail = e.target.closest('.photo-thumbnail');
+
+    // Leave modified clicks to the browser (open the photo in a new tab)
+    if (!thumbnail || !lightbox || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) {
+        return;
+    }
+
+    e.preventDefault();
+    openLightboxAt(Number(thumbnail.dataset.index));
+}
+
+/**
+ * Open the lightbox on a photo, returning focus to its thumbnail when it closes
+ * @param {number} index - Index into albumPhotos
+ */
+function openLightboxAt(index) {
+    lightboxReturnFocus = { index };
+    lightbox.openAt(index);
+}
+
+/**
+ * Get the GLightbox container, which holds the slides, the lightbox buttons and panels
+ * @returns {HTMLElement} Lightbox container (document.body before GLightbox has built it)
+ */
+function getLightboxDialog() {
+    return document.querySelector('.glightbox-container') || document.body;
+}
+
+/**
+ * Turn the opened lightbox into a modal dialog: label it, move focus into it, make the page
+ * behind it inert and keep Tab inside it
+ */
+function openLightboxDialog() {
+    const dialog = getLightboxDialog();
+
+    // Opened without a thumbnail (the slideshow button): return to whatever opened it
+    if (!lightboxReturnFocus) {
+        lightboxReturnFocus = { element: document.activeElement };
+    }
+
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', `${currentAlbum.name} - photo viewer`);
+    dialog.tabIndex = -1;
+
+    // Focus moves in before the page is made inert, so it is never left on a hidden thumbnail
+    dialog.focus({ preventScroll: true });
+
+    // Toasts (toast.js) stay readable and dismissable over the lightbox
+    lightboxInertElements = Array.from(document.body.children)
+        .filter(element => element !== dialog && !element.inert && element.tagName !== 'SCRIPT' &&
+            !element.classList.contains('toast-region'));
+    lightboxInertElements.forEach(element => {
+        element.inert = true;
+    });
+
+    window.addEventListener('keydown', handleLightboxKeydown, true);
+}
+
+/**
+ * Undo openLightboxDialog() and put focus back on the thumbnail (or button) that opened the lightbox
+ */
+function closeLightboxDialog() {
+    window.removeEventListener('keydown', handleLightboxKeydown, true);
+
+    lightboxInertElements.forEach(element => {
+        element.inert = false;
+    });
+    lightboxInertElements = [];
+
+    const returnFocus = lightboxReturnFocus;
+    lightboxReturnFocus = null;
+
+    if (returnFocus && returnFocus.index !== undefined) {
+        focusPhotoThumbnail(returnFocus.index);
+    } else if (returnFocus && returnFocus.element && returnFocus.element.isConnected && returnFocus.element !== document.body) {
+        returnFocus.element.focus();
+    }
+}
+
+/**
+ * Keyboard handling while the lightbox is open (runs before GLightbox's own handler):
+ * Tab and Shift+Tab cycle through the lightbox controls only, D downloads the photo and
+ * S shares it (arrows and Esc stay GLightbox's)
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleLightboxKeydown(e) {
+    if (e.key === 'Tab') {
+        e.preventDefault();
+        e.stopPropagation();
+        moveLightboxFocus(e.shiftKey ? -1 : 1);
+        return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest('select, input, textarea')) {
+        return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === DOWNLOAD_SHORTCUT) {
+        e.preventDefault();
+        downloadCurrentPhoto();
+    } else if (key === SHARE_SHORTCUT) {
+        e.preventDefault();
+        shareCurrentPhoto();
+    }
+}
+
+/**
+ * Move focus to the next or previous control in the lightbox, wrapping around at the ends
+ * @param {number} direction - 1 for forward, -1 for backward
+ */
+function moveLightboxFocus(direction) {
+    const dialog = getLightboxDialog();
+    const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR)).filter(element =>
+        // Visible, and not part of the slides either side of the current one
+        element.getClientRects().length > 0 &&
+        getComputedStyle(element).visibility !== 'hidden' &&
+        !element.closest('.gslide:not(.current)'));
+
+    if (focusable.length === 0) {
+        dialog.focus();
+        return;
+    }
+
+    const current = focusable.indexOf(document.activeElement);
+    const next = current === -1
+        ? (direction === 1 ? 0 : focusable.length - 1)
+        : (current + direction + focusable.length) % focusable.length;
+
+    focusable[next].focus();
+}
+
+/**
+ * Tell screen reader users which photo the lightbox moved to ("Photo 12 of 57")
+ * @param {number} index - Index of the current slide
+ */
+function announceSlide(index) {
+    const photo = albumPhotos[index];
+    if (!photo) {
+        return;
+    }
+
+    const position = `${photo.type === 'video' ? 'Video' : 'Photo'} ${index + 1} of ${albumPhotos.length}`;
+    const description = photo.alt || photo.caption;
+    announceInLightbox(description ? `${position}: ${description}` : position);
+}
+
+/**
+ * Read a message out through the lightbox's live region
+ * @param {string} message - Message for screen readers
+ */
+function announceInLightbox(message) {
+    const dialog = getLightboxDialog();
+    let status = dialog.querySelector('.lightbox-status');
+
+    if (!status) {
+        status = document.createElement('div');
+        status.className = 'lightbox-status visually-hidden';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        dialog.appendChild(status);
+    }
+
+    // Cleared first and filled a moment later, so a new live region and a repeated
+    // message are both read out
+    status.textContent = '';
+    setTimeout(() => {
+        status.textContent = message;
+    }, 100);
+}
+
+/**
+ * Download the original of the photo shown in the lightbox (D key)
+ */
+function downloadCurrentPhoto() {
+    const photo = albumPhotos[lightbox.index];
+    if (photo) {
+        downloadImage(photo);
+    }
+}
+
+/**
+ * Share the photo shown in the lightbox (S key): the share sheet where the Share button is
+ * shown, otherwise its link is copied
+ */
+async function shareCurrentPhoto() {
+    const shareButton = document.querySelector('.download-share-controls .share-button');
+    if (shareButton) {
+        // Pressing S again while the photo downloads leaves it downloading (the button cancels)
+        if (!getPhotoDownload(albumPhotos[lightbox.index])) {
+            shareButton.click();
+        }
+        return;
+    }
+
+    const link = getPhotoLink(lightbox.index);
+    try {
+        await navigator.clipboard.writeText(link);
+        announceInLightbox('Link to this photo copied');
+    } catch (error) {
+        console.error(`Could not copy ${link}:`, error);
+        showToast('Copy this link to share the photo:', 'info', { link });
+    }
+}
+
+/**
+ * Open the lightbox on the photo named by the ?photo= URL parameter, if any
+ */
+function openLinkedPhoto() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const photoParam = urlParams.get(PHOTO_URL_PARAM);
+
+    if (!photoParam) {
+        return;
+    }
+
+    const index = findPhotoIndex(photoParam);
+
+    if (index === -1) {
+        console.warn(`Photo "${photoParam}" not found in album - opening album grid instead`);
+        replacePhotoParam(null);
+        return;
+    }
+
+    // Drop the photo from the base history entry so the back button lands on the album grid
+    replacePhotoParam(null);
+    openLightboxAt(index);
+}
+
+/**
+ * Replace the current URL's photo parameter without adding a history entry
+ * @param {string|null} photoId - Photo id to set, or null to remove the parameter
+ */
+function replacePhotoParam(photoId) {
+    const url = new URL(window.location.href);
+
+    if (photoId) {
+        url.searchParams.set(PHOTO_URL_PARAM, photoId);
+    } else {
+        url.searchParams.delete(PHOTO_URL_PARAM);
+    }
+
+    history.replaceState(history.state, '', url);
+}
+
+/**
+ * Sync the URL with the photo currently shown in the lightbox
+ * @param {number} index - Index of the current slide
+ */
+function updatePhotoUrl(index) {
+    if (!albumPhotos[index]) {
+        return;
+    }
+
+    replacePhotoParam(albumPhotos[index].id);
+}
+
+/**
+ * Add a history entry when the lightbox opens so the back button closes it
+ */
+function pushLightboxHistoryEntry() {
+    if (lightboxHistoryEntry) {
+        return;
+    }
+
+    history.pushState({ lightbox: true }, '', window.location.href);
+    lightboxHistoryEntry = true;
+}
+
+/**
+ * Remove the lightbox history entry after the lightbox was closed by other means
+ * (X button, ESC key, or clicking outside the photo)
+ */
+function popLightboxHistoryEntry() {
+    if (!lightboxHistoryEntry) {
+        return;
+    }
+
+    lightboxHistoryEntry = false;
+    history.back();
+}
+
+/**
+ * Close the lightbox when the back button pops its history entry
+ */
+function handleLightboxPopState() {
+    if (!lightboxHistoryEntry) {
+        return;
+    }
+
+    // The browser already restored the album URL, so don't navigate back again on close
+    lightboxHistoryEntry = false;
+
+    if (lightbox) {
+        lightbox.close();
+    }
 }
 
 /**
@@ -86,29 +458,14 @@ function addDownloadShareButtons(slide) {
         return;
     }
 
-    // Remove any existing buttons first (they're in document.body, not slideElement)
+    // Remove any existing buttons first (they're in the lightbox container, not slideElement)
     const existingControls = document.querySelector('.download-share-controls');
     if (existingControls) {
         existingControls.remove();
     }
 
-    // Get the original image URL for downloading
-    // Use slide index to look up the correct gallery element
-    let originalUrl = null;
-    if (typeof slide.index !== 'undefined') {
-        const galleryElements = document.querySelectorAll('.glightbox[data-gallery="album-gallery"]');
-        if (galleryElements[slide.index]) {
-            originalUrl = galleryElements[slide.index].getAttribute('data-original');
-        }
-    }
-
-    // Fallback: try from slide.trigger
-    if (!originalUrl && slide.trigger) {
-        originalUrl = slide.trigger.getAttribute('data-original');
-    }
-
-    const displayUrl = slide.slideConfig ? slide.slideConfig.href : '';
-    const downloadUrl = originalUrl || displayUrl;
+    const photo = albumPhotos[slide.index];
+    const photoLink = getPhotoLink(slide.index);
 
     // Create button container
     const controlsDiv = document.createElement('div');
@@ -118,6 +475,7 @@ function addDownloadShareButtons(slide) {
         bottom: 80px;
         right: 20px;
         display: flex;
+        align-items: center;
         gap: 12px;
         z-index: 9999999;
     `;
@@ -125,54 +483,224 @@ function addDownloadShareButtons(slide) {
     // Check if Web Share API is available (primarily mobile)
     const canShare = navigator.share && isMobileDevice();
 
-    if (canShare) {
-        // Show share button on mobile (use original file)
-        const shareButton = createShareButton(downloadUrl);
+    if (photo && canShare) {
+        // Show share button on mobile (use original file and a link to this photo)
+        const shareButton = createShareButton(photo, photoLink);
         controlsDiv.appendChild(shareButton);
-    } else {
+    } else if (photo) {
         // Show download button on desktop (use original file)
-        const downloadButton = createDownloadButton(downloadUrl);
+        const downloadButton = createDownloadButton(photo);
         controlsDiv.appendChild(downloadButton);
     }
 
-    // Append controls to document.body so they stay visible during slide transitions
-    document.body.appendChild(controlsDiv);
+    // Info button toggles the EXIF details panel for this slide
+    controlsDiv.appendChild(createInfoButton(slide.index));
+
+    // Heart toggle for this photo, in sync with its thumbnail (favorites.js)
+    if (photo) {
+        controlsDiv.appendChild(createFavoriteToggle(photo.albumFolder, photo.filename, 'lightbox-favorite'));
+    }
+
+    // Credit the photographer of this photo (per-photo credit or the album's)
+    if (photo && photo.photographer) {
+        controlsDiv.prepend(createPhotoCredit(photo.photographer));
+    }
+
+    // Append controls to the lightbox container (not the slide) so they stay visible during
+    // slide transitions and inside the dialog for keyboard and screen reader users
+    getLightboxDialog().appendChild(controlsDiv);
+
+    renderInfoPanel(slide.index);
 }
 
 /**
- * Create a download button for desktop
- * @param {string} imageUrl - URL of the fullsize image
- * @returns {HTMLElement} Download button element
+ * Create the photographer credit shown beside the lightbox buttons
+ * @param {string} name - Photographer name
+ * @returns {HTMLElement} Credit element linking to the photographer view
  */
-function createDownloadButton(imageUrl) {
+function createPhotoCredit(name) {
+    const credit = document.createElement('span');
+    credit.className = 'photo-credit';
+    credit.append('Photo by ');
+    appendPhotographerLinks(credit, [name]);
+
+    // Follow the link without the click also closing the lightbox
+    credit.addEventListener('click', (e) => e.stopPropagation());
+
+    return credit;
+}
+
+/**
+ * Create the info button that toggles the photo details panel
+ * @param {number} index - Index of the current slide
+ * @returns {HTMLElement} Info button element
+ */
+function createInfoButton(index) {
     const button = document.createElement('button');
-    button.className = 'download-button';
+    button.className = 'info-button';
+    button.setAttribute('aria-pressed', String(infoPanelOpen));
     button.innerHTML = `
         <svg class="button-icon" viewBox="0 0 24 24">
-            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-            <polyline points="7 10 12 15 17 10"></polyline>
-            <line x1="12" x2="12" y1="15" y2="3"></line>
+            <circle cx="12" cy="12" r="10"></circle>
+            <path d="M12 16v-4"></path>
+            <path d="M12 8h.01"></path>
         </svg>
-        Download
+        Info
     `;
 
     button.addEventListener('click', (e) => {
         e.stopPropagation();
-        downloadImage(imageUrl);
+        infoPanelOpen = !infoPanelOpen;
+        button.setAttribute('aria-pressed', String(infoPanelOpen));
+        renderInfoPanel(index);
     });
 
     return button;
 }
 
+/**
+ * Show the details panel for a slide, or remove it if the panel is toggled off
+ * @param {number} index - Index of the current slide
+ */
+function renderInfoPanel(index) {
+    removeInfoPanel();
+
+    if (!infoPanelOpen || !albumPhotos[index]) {
+        return;
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'photo-info-panel';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', 'Photo details');
+
+    const rows = getInfoPanelRows(albumPhotos[index].info);
+
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'photo-info-empty';
+        empty.textContent = 'No camera details were recorded for this photo';
+        panel.appendChild(empty);
+    } else {
+        const list = document.createElement('dl');
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            list.appendChild(term);
+            list.appendChild(detail);
+        });
+        panel.appendChild(list);
+    }
+
+    // Keep clicks inside the panel from closing the lightbox
+    panel.addEventListener('click', (e) => e.stopPropagation());
+
+    getLightboxDialog().appendChild(panel);
+}
+
+/**
+ * Build the label/value rows shown in the info panel, skipping fields that weren't recorded
+ * @param {Object} info - Photo metadata (takenAt, camera, lens, exposure, width, height, duration)
+ * @returns {Array<[string, string]>} Label/value pairs
+ */
+function getInfoPanelRows(info) {
+    const rows = [];
+
+    if (info.takenAt) {
+        const takenAt = new Date(info.takenAt);
+        rows.push(['Taken', takenAt.toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        })]);
+    }
+    if (info.camera) {
+        rows.push(['Camera', info.camera]);
+    }
+    if (info.lens) {
+        rows.push(['Lens', info.lens]);
+    }
+    if (info.exposure) {
+        const exposure = formatExposure(info.exposure);
+        if (exposure) {
+            rows.push(['Exposure', exposure]);
+        }
+    }
+    if (info.width && info.height) {
+        rows.push(['Dimensions', `${info.width} × ${info.height}`]);
+    }
+    if (info.duration) {
+        rows.push(['Length', formatDuration(info.duration)]);
+    }
+
+    return rows;
+}
+
+/**
+ * Format exposure settings as a single line ("1/250s · f/2.8 · ISO 1600 · 35mm")
+ * @param {Object} exposure - Exposure settings from the album JSON
+ * @returns {string} Formatted exposure
+ */
+function formatExposure(exposure) {
+    const parts = [];
+
+    if (exposure.shutterSpeed) {
+        parts.push(`${exposure.shutterSpeed}s`);
+    }
+    if (exposure.aperture) {
+        parts.push(`f/${exposure.aperture}`);
+    }
+    if (exposure.iso) {
+        parts.push(`ISO ${exposure.iso}`);
+    }
+    if (exposure.focalLength) {
+        parts.push(`${exposure.focalLength}mm`);
+    }
+
+    return parts.join(' · ');
+}
+
+/**
+ * Remove the photo details panel if it is shown
+ */
+function removeInfoPanel() {
+    const existingPanel = document.querySelector('.photo-info-panel');
+    if (existingPanel) {
+        existingPanel.remove();
+    }
+}
+
+/**
+ * Create a download button for desktop
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @returns {HTMLElement} Download button element
+ */
+function createDownloadButton(photo) {
+    const button = createPhotoFileButton('download-button', 'Download', `
+        <svg class="button-icon" viewBox="0 0 24 24">
+            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+            <polyline points="7 10 12 15 17 10"></polyline>
+            <line x1="12" x2="12" y1="15" y2="3"></line>
+        </svg>
+    `, photo, () => downloadImage(photo));
+
+    button.title = `Download (${DOWNLOAD_SHORTCUT.toUpperCase()})`;
+    button.setAttribute('aria-keyshortcuts', DOWNLOAD_SHORTCUT.toUpperCase());
+    return button;
+}
+
 /**
  * Create a share button for mobile
- * @param {string} imageUrl - URL of the fullsize image
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @param {string} photoLink - Deep link to the photo on album.html
  * @returns {HTMLElement} Share button element
  */
-function createShareButton(imageUrl) {
-    const button = document.createElement('button');
-    button.className = 'share-button';
-    button.innerHTML = `
+function createShareButton(photo, photoLink) {
+    const button = createPhotoFileButton('share-button', 'Share', `
         <svg class="button-icon" viewBox="0 0 24 24">
             <circle cx="18" cy="5" r="3"></circle>
             <circle cx="6" cy="12" r="3"></circle>
@@ -180,93 +708,150 @@ function createShareButton(imageUrl) {
             <line x1="8.59" x2="15.42" y1="13.51" y2="17.49"></line>
             <line x1="15.41" x2="8.59" y1="6.51" y2="10.49"></line>
         </svg>
-        Share
-    `;
-
-    button.addEventListener('click', (e) => {
-        e.stopPropagation();
-        shareImage(imageUrl);
-    });
+    `, photo, () => shareImage(photo, photoLink));
 
+    button.title = `Share (${SHARE_SHORTCUT.toUpperCase()})`;
+    button.setAttribute('aria-keyshortcuts', SHARE_SHORTCUT.toUpperCase());
     return button;
 }
 
 /**
- * Download an image to the user's device
- * @param {string} imageUrl - URL of the image to download
+ * Create a button that fetches a photo's original (Download or Share)
+ * While the original downloads the button fills up with its progress and a click cancels it
+ * @param {string} className - Button class
+ * @param {string} label - Button label
+ * @param {string} icon - Icon SVG markup
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @param {Function} action - Starts the download (or share)
+ * @returns {HTMLElement} Button element
  */
-async function downloadImage(imageUrl) {
-    try {
-        // Fetch the image as a blob
-        const response = await fetch(imageUrl);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch image: ${response.statusText}`);
+function createPhotoFileButton(className, label, icon, photo, action) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.innerHTML = icon;
+
+    const labelText = document.createElement('span');
+    labelText.className = 'button-label';
+    labelText.textContent = label;
+    button.appendChild(labelText);
+
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (getPhotoDownload(photo)) {
+            cancelPhotoDownload(photo);
+        } else {
+            action();
         }
+    });
 
-        const blob = await response.blob();
+    // Follows downloads started here, by the keyboard shortcut or on an earlier visit to the slide
+    watchPhotoDownload(photo, button, (download) => {
+        button.classList.toggle('downloading', Boolean(download));
 
-        // Extract filename from URL
-        const filename = imageUrl.substring(imageUrl.lastIndexOf('/') + 1);
+        if (!download) {
+            labelText.textContent = label;
+            button.style.removeProperty('--download-progress');
+            button.classList.remove('download-size-unknown');
+            button.removeAttribute('aria-label');
+            return;
+        }
 
-        // Create a temporary download link
-        const downloadLink = document.createElement('a');
-        downloadLink.href = URL.createObjectURL(blob);
-        downloadLink.download = filename;
-        document.body.appendChild(downloadLink);
-        downloadLink.click();
-        document.body.removeChild(downloadLink);
+        const progress = download.total || !download.loaded
+            ? `${download.total ? Math.min(100, Math.round(download.loaded / download.total * 100)) : 0}%`
+            : formatStorageSize(download.loaded);
+
+        labelText.textContent = progress;
+        button.style.setProperty('--download-progress', download.total ? progress : '100%');
+        button.classList.toggle('download-size-unknown', !download.total);
+        button.setAttribute('aria-label', `Cancel ${label.toLowerCase()} (${progress} downloaded)`);
+    });
 
-        // Clean up the object URL
-        URL.revokeObjectURL(downloadLink.href);
+    return button;
+}
+
+/**
+ * Download a photo's original to the user's device
+ * Asking again while it downloads does nothing: the download in progress is saved once
+ * @param {Object} photo - Photo object built by loadPhotos()
+ */
+async function downloadImage(photo) {
+    if (getPhotoDownload(photo)) {
+        return;
+    }
 
+    try {
+        const file = await downloadPhotoFile(photo);
+        saveBlob(file, file.name);
     } catch (error) {
+        if (error.name === 'AbortError') {
+            showToast('Download cancelled');
+            return;
+        }
         console.error('Error downloading image:', error);
-        alert(`Failed to download image: ${error.message}`);
+        showToast(`Couldn't download the photo: ${error.message}`, 'error');
     }
 }
 
 /**
- * Share an image using the Web Share API
- * @param {string} imageUrl - URL of the image to share
+ * Share a photo using the Web Share API
+ * The share sheet offers both the original file and a deep link to the photo
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @param {string} photoLink - Deep link to the photo on album.html
  */
-async function shareImage(imageUrl) {
+async function shareImage(photo, photoLink) {
+    if (getPhotoDownload(photo)) {
+        return;
+    }
+
+    let file;
     try {
-        // Fetch the image as a blob
-        const response = await fetch(imageUrl);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch image: ${response.statusText}`);
+        file = await downloadPhotoFile(photo);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            showToast('Share cancelled');
+            return;
         }
+        console.error('Error sharing image:', error);
+        showToast(`Couldn't get the photo to share: ${error.message}`, 'error');
+        return;
+    }
 
-        const blob = await response.blob();
-
-        // Extract filename from URL
-        const filename = imageUrl.substring(imageUrl.lastIndexOf('/') + 1);
-
-        // Create a File object from the blob
-        const file = new File([blob], filename, { type: blob.type });
-
-        // Check if we can share files
-        if (navigator.canShare && navigator.canShare({ files: [file] })) {
-            await navigator.share({
-                files: [file],
-                title: currentAlbum ? currentAlbum.name : 'Photo',
-                text: 'Check out this photo from Pi Kappa Phi'
-            });
-        } else {
-            // Fallback to download if sharing is not supported
-            downloadImage(imageUrl);
-        }
+    // Fallback to download if sharing files is not supported
+    if (!navigator.canShare || !navigator.canShare({ files: [file] })) {
+        saveBlob(file, file.name);
+        return;
+    }
 
+    try {
+        await navigator.share({
+            files: [file],
+            title: currentAlbum ? currentAlbum.name : 'Photo',
+            text: 'Check out this photo from Pi Kappa Phi',
+            url: photoLink
+        });
     } catch (error) {
-        // User cancelled the share or error occurred
-        if (error.name !== 'AbortError') {
+        if (error.name === 'NotAllowedError') {
+            // The download outlasted the tap that started it; the file is kept for the next tap
+            showToast('The photo is ready - tap Share again to share it');
+        } else if (error.name !== 'AbortError') {
+            // AbortError here is the user closing the share sheet
             console.error('Error sharing image:', error);
-            // Fallback to download
-            downloadImage(imageUrl);
+            saveBlob(file, file.name);
         }
     }
 }
 
+/**
+ * Escape text for GLightbox captions, which are inserted as HTML
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+    const element = document.createElement('div');
+    element.textContent = text;
+    return element.innerHTML;
+}
+
 /**
  * Detect if the user is on a mobile device
  * @returns {boolean} True if mobile device
@@ -293,5 +878,8 @@ function initLightboxWhenReady() {
     });
 }
 
+// Close the lightbox when the user navigates back
+window.addEventListener('popstate', handleLightboxPopState);
+
 // Export for use by album-view.js
 window.initLightboxWhenReady = initLightboxWhenReady;
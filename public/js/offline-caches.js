@@ -0,0 +1,84 @@
+/**
+ * Offline Caches
+ * Cache names and cache keys shared by the service worker (sw.js loads this file with
+ * importScripts) and the page code that saves albums for offline (offline.js), so both
+ * sides read and write the same entries, plus the path of downloads the service worker
+ * streams for the page (zip-download.js). No DOM or window use - it runs in both.
+ */
+
+// Bump when the layout of the caches changes; the service worker deletes caches of other versions
+const OFFLINE_CACHE_VERSION = 'v1';
+
+// Prefix of every cache the site creates
+const OFFLINE_CACHE_PREFIX = 'pikapp-';
+
+// Caches managed by the service worker
+const OFFLINE_CACHES = {
+    shell: `${OFFLINE_CACHE_PREFIX}shell-${OFFLINE_CACHE_VERSION}`,    // Pages, CSS, JS and icons (network first)
+    data: `${OFFLINE_CACHE_PREFIX}data-${OFFLINE_CACHE_VERSION}`,      // albums.json, album-index.json, albums/*.json (stale-while-revalidate)
+    photos: `${OFFLINE_CACHE_PREFIX}photos-${OFFLINE_CACHE_VERSION}`   // Thumbnails already viewed (cache first)
+};
+
+// Every album saved with "Save for offline" gets a cache of its own: this prefix + the album folder name
+const SAVED_ALBUM_CACHE_PREFIX = `${OFFLINE_CACHE_PREFIX}saved-${OFFLINE_CACHE_VERSION}-`;
+
+// Photo server tiers kept offline: grid thumbnails, and the /low webPs of albums without size tiers
+const OFFLINE_PHOTO_TIERS = ['thumb', 'low'];
+
+// Downloads the service worker streams from a page are served at [scope][path][id]/[filename]
+const STREAM_DOWNLOAD_PATH = 'stream-download/';
+
+// Photo server paths: /[album-name]/[tier]/[photo].webp
+const PHOTO_PATH_PATTERN = /^\/([^/]+)\/([a-z]+)\/([^/]+\.webp)$/;
+
+/**
+ * Get the cache an album saved for offline is kept in
+ * @param {string} albumFolder - Album folder name
+ * @returns {string} Cache name
+ */
+function getSavedAlbumCacheName(albumFolder) {
+    return `${SAVED_ALBUM_CACHE_PREFIX}${albumFolder}`;
+}
+
+/**
+ * Split a photo server URL into album, tier, file and ?v= version token
+ * @param {string} url - Photo URL on any photo origin
+ * @returns {{album: string, tier: string, file: string, version: string}|null} Photo path parts, or null for other URLs
+ */
+function parsePhotoPath(url) {
+    const { pathname, searchParams } = new URL(url);
+    const match = pathname.match(PHOTO_PATH_PATTERN);
+
+    if (!match) {
+        return null;
+    }
+
+    try {
+        return {
+            album: decodeURIComponent(match[1]),
+            tier: match[2],
+            file: decodeURIComponent(match[3]),
+            version: searchParams.get('v') || ''
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the cache key of a photo
+ * Keys are built from the photo path and version alone, so a photo cached from one photo origin
+ * is found again after failover to a mirror, and a reprocessed photo (new version) is not
+ * @param {{album: string, tier: string, file: string, version: string}} photo - Photo path parts from parsePhotoPath()
+ * @param {string} base - Site URL the key is resolved against
+ * @returns {string} Cache key URL
+ */
+function getPhotoCacheKey(photo, base) {
+    const path = [photo.album, photo.tier, photo.file].map(encodeURIComponent).join('/');
+    const key = new URL(`photo-cache/${path}`, base);
+
+    if (photo.version) {
+        key.searchParams.set('v', photo.version);
+    }
+    return key.toString();
+}
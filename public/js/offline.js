@@ -0,0 +1,197 @@
+/**
+ * Offline Support
+ * Registers the service worker (sw.js), passes its "data updated" messages on to the page as
+ * a site-data-updated event, and saves albums for offline: an album's thumbnails are copied into
+ * a cache of their own, within a storage budget, so the album can be browsed without signal.
+ */
+
+// Most space all albums saved for offline may use together (bytes)
+const SAVED_ALBUMS_BUDGET = 250 * 1024 * 1024;
+
+// Share of the browser's remaining storage that saving an album may fill
+const SAVED_ALBUMS_QUOTA_SHARE = 0.5;
+
+// Cache entry holding a saved album's photo count and size
+const SAVED_ALBUM_INFO_KEY = 'saved-album.json';
+
+/**
+ * Check whether this browser can save albums for offline
+ * @returns {boolean} True when service workers and the Cache API are available
+ */
+function isOfflineSaveSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window;
+}
+
+/**
+ * Register the service worker once the page has loaded
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
+
+    // The service worker found newer albums.json, album-index.json or album JSON than it answered with
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'data-updated') {
+            window.dispatchEvent(new CustomEvent('site-data-updated', { detail: { path: event.data.path } }));
+        }
+    });
+}
+
+/**
+ * Read what was saved of an album for offline
+ * @param {string} albumFolder - Album folder name
+ * @returns {Promise<{photoCount: number, total: number, bytes: number, savedAt: string}|null>} Saved album info, or null if not saved
+ */
+async function getSavedAlbumInfo(albumFolder) {
+    if (!isOfflineSaveSupported() || !(await caches.has(getSavedAlbumCacheName(albumFolder)))) {
+        return null;
+    }
+
+    const cache = await caches.open(getSavedAlbumCacheName(albumFolder));
+    const response = await cache.match(SAVED_ALBUM_INFO_KEY);
+    return response ? response.json() : null;
+}
+
+/**
+ * Add up the size of every album saved for offline
+ * @param {string} [exceptFolder] - Album folder name to leave out
+ * @returns {Promise<number>} Size in bytes
+ */
+async function getSavedAlbumsSize(exceptFolder) {
+    const names = (await caches.keys())
+        .filter(name => name.startsWith(SAVED_ALBUM_CACHE_PREFIX))
+        .map(name => name.slice(SAVED_ALBUM_CACHE_PREFIX.length))
+        .filter(name => name !== exceptFolder);
+
+    let bytes = 0;
+    for (const name of names) {
+        const info = await getSavedAlbumInfo(name);
+        bytes += info ? info.bytes : 0;
+    }
+    return bytes;
+}
+
+/**
+ * Work out how much an album may take up when saved for offline
+ * @param {string} albumFolder - Album folder name
+ * @returns {Promise<number>} Budget in bytes
+ */
+async function getSaveBudget(albumFolder) {
+    let budget = SAVED_ALBUMS_BUDGET - await getSavedAlbumsSize(albumFolder);
+
+    if (navigator.storage && navigator.storage.estimate) {
+        const { usage, quota } = await navigator.storage.estimate();
+        if (quota) {
+            budget = Math.min(budget, (quota - usage) * SAVED_ALBUMS_QUOTA_SHARE);
+        }
+    }
+
+    return Math.max(0, budget);
+}
+
+/**
+ * Save an album's JSON and thumbnails for offline, stopping when the storage budget is used up
+ * Thumbnails already saved are kept; ones that fail to download are skipped.
+ * @param {string} albumFolder - Album folder name
+ * @param {string[]} photoUrls - Thumbnail URLs (/thumb or /low webPs)
+ * @param {Function} [onProgress] - Called with (done, total) after each thumbnail
+ * @returns {Promise<{photoCount: number, total: number, bytes: number, savedAt: string}>} Saved album info (photoCount < total when the budget ran out)
+ */
+async function saveAlbumForOffline(albumFolder, photoUrls, onProgress) {
+    const budget = await getSaveBudget(albumFolder);
+
+    // Ask the browser not to evict saved albums when storage runs low
+    if (navigator.storage && navigator.storage.persist) {
+        await navigator.storage.persist();
+    }
+
+    // The album page reads its JSON through the service worker's data cache
+    const dataCache = await caches.open(OFFLINE_CACHES.data);
+    await dataCache.add(`albums/${encodeURIComponent(albumFolder)}.json`);
+
+    const cache = await caches.open(getSavedAlbumCacheName(albumFolder));
+    const photoCache = await caches.open(OFFLINE_CACHES.photos);
+    let photoCount = 0;
+    let bytes = 0;
+    let outOfSpace = false;
+
+    for (let i = 0; i < photoUrls.length; i++) {
+        const photo = parsePhotoPath(photoUrls[i]);
+        const key = photo ? getPhotoCacheKey(photo, document.baseURI) : null;
+
+        try {
+            if (!key) {
+                throw new Error('not a photo server URL');
+            }
+
+            // Thumbnails saved earlier are kept; ones already viewed come from the service worker's
+            // cache, and only the rest are downloaded
+            const saved = await cache.match(key);
+            const response = saved || await photoCache.match(key) ||
+                await fetchPhoto(photoUrls[i], { mode: 'cors', credentials: 'omit' });
+            const blob = await response.blob();
+
+            if (bytes + blob.size > budget) {
+                outOfSpace = true;
+                break;
+            }
+
+            if (!saved) {
+                await cache.put(key, new Response(blob, { headers: { 'Content-Type': blob.type || 'image/webp' } }));
+                // The saved copy replaces the one kept for viewing
+                await photoCache.delete(key);
+            }
+
+            photoCount++;
+            bytes += blob.size;
+        } catch (error) {
+            console.warn(`Could not save ${photoUrls[i]} for offline: ${error.message}`);
+        }
+
+        if (onProgress) {
+            onProgress(i + 1, photoUrls.length);
+        }
+    }
+
+    if (photoCount === 0) {
+        await caches.delete(getSavedAlbumCacheName(albumFolder));
+        throw new Error(outOfSpace
+            ? 'There isn\'t enough storage space left on this device'
+            : 'None of the photos could be downloaded');
+    }
+
+    const info = { photoCount, total: photoUrls.length, bytes, savedAt: new Date().toISOString() };
+    await cache.put(SAVED_ALBUM_INFO_KEY, new Response(JSON.stringify(info), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+
+    return info;
+}
+
+/**
+ * Delete an album's offline copy
+ * @param {string} albumFolder - Album folder name
+ */
+async function removeSavedAlbum(albumFolder) {
+    await caches.delete(getSavedAlbumCacheName(albumFolder));
+}
+
+/**
+ * Format a size for display ("12.4 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatStorageSize(bytes) {
+    return bytes >= 1024 * 1024
+        ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+        : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+registerServiceWorker();
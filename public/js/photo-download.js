@@ -0,0 +1,209 @@
+/**
+ * Photo Downloads
+ * Fetches a photo's original for the lightbox Download and Share buttons: streamed so the
+ * buttons can show progress, cancellable, only one request per photo however often it is
+ * asked for, and named after the album ("Wild-Wild-West-2025-10-23_037.jpg")
+ */
+
+// Downloads in progress by original URL: {promise, controller, loaded, total}
+const photoDownloads = new Map();
+
+// Elements following the downloads of a photo: {url, element, update}
+const photoDownloadWatchers = new Set();
+
+// The last finished download, kept so a second tap on Share opens the share sheet at once
+// (browsers only allow it right after a tap, which a long download can outlast): {url, file, timer}
+let finishedPhotoDownload = null;
+
+// How long the last finished download is kept for that second tap (milliseconds)
+const FINISHED_DOWNLOAD_LIFETIME = 60000;
+
+// Album names that end with their date ("Wild Wild West 10-23-2025")
+const ALBUM_NAME_DATE_PATTERN = /^(.*?)[\s_-]*(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+
+/**
+ * Build the filename a photo's original is saved under: album name, date and photo number
+ * ("Wild Wild West 10-23-2025", wild_wild_west_10232025_37.jpg -> "Wild-Wild-West-2025-10-23_037.jpg")
+ * The date comes from the album name, else from the capture time; the number from the end of
+ * the photo filename, else the filename itself is kept
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @returns {string} Download filename
+ */
+function getPhotoDownloadName(photo) {
+    const serverName = getPhotoFilename(photo.original);
+    const extension = serverName.includes('.') ? serverName.substring(serverName.lastIndexOf('.')).toLowerCase() : '';
+
+    let name = photo.albumName || '';
+    let date = '';
+    const dated = name.match(ALBUM_NAME_DATE_PATTERN);
+    if (dated) {
+        name = dated[1];
+        date = `${dated[4]}-${dated[2].padStart(2, '0')}-${dated[3].padStart(2, '0')}`;
+    } else if (photo.info && photo.info.takenAt && !isNaN(Date.parse(photo.info.takenAt))) {
+        const takenAt = new Date(photo.info.takenAt);
+        date = [
+            takenAt.getFullYear(),
+            String(takenAt.getMonth() + 1).padStart(2, '0'),
+            String(takenAt.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    const number = (photo.id || '').match(/(\d+)$/);
+    const photoPart = number ? number[1].padStart(3, '0') : toFilenamePart(photo.id || '');
+    const albumPart = [toFilenamePart(name), date].filter(Boolean).join('-');
+
+    if (!albumPart || !photoPart) {
+        return serverName;
+    }
+    return `${albumPart}_${photoPart}${extension}`;
+}
+
+/**
+ * Make text safe for a filename: letters and digits, runs of anything else as one hyphen
+ * @param {string} text - Text
+ * @returns {string} Filename part (may be empty)
+ */
+function toFilenamePart(text) {
+    return text.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get the download in progress for a photo, if any
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @returns {Object|null} Download state, or null when the photo isn't downloading
+ */
+function getPhotoDownload(photo) {
+    return photoDownloads.get(photo.original) || null;
+}
+
+/**
+ * Download a photo's original as a File, or join the download already in progress
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @returns {Promise<File>} Original file with its download filename (rejects with an AbortError when cancelled)
+ */
+function downloadPhotoFile(photo) {
+    if (finishedPhotoDownload && finishedPhotoDownload.url === photo.original) {
+        return Promise.resolve(finishedPhotoDownload.file);
+    }
+
+    const existing = getPhotoDownload(photo);
+    if (existing) {
+        return existing.promise;
+    }
+
+    const download = { controller: new AbortController(), loaded: 0, total: 0 };
+    photoDownloads.set(photo.original, download);
+    notifyPhotoDownloadWatchers(photo.original);
+
+    download.promise = readPhotoFile(photo, download)
+        .then(file => {
+            clearFinishedPhotoDownload();
+            finishedPhotoDownload = {
+                url: photo.original,
+                file,
+                timer: setTimeout(clearFinishedPhotoDownload, FINISHED_DOWNLOAD_LIFETIME)
+            };
+            return file;
+        })
+        .finally(() => {
+            photoDownloads.delete(photo.original);
+            notifyPhotoDownloadWatchers(photo.original);
+        });
+
+    return download.promise;
+}
+
+/**
+ * Let go of the last finished download (originals can be tens of megabytes)
+ */
+function clearFinishedPhotoDownload() {
+    if (finishedPhotoDownload) {
+        clearTimeout(finishedPhotoDownload.timer);
+        finishedPhotoDownload = null;
+    }
+}
+
+/**
+ * Fetch an original and read it chunk by chunk, reporting progress to the watchers
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @param {Object} download - Download state from downloadPhotoFile()
+ * @returns {Promise<File>} Original file
+ */
+async function readPhotoFile(photo, download) {
+    const response = await fetchPhoto(photo.original, { signal: download.controller.signal });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+
+    const chunks = [];
+
+    // 0 when the server doesn't say (progress is then shown as the size so far)
+    download.total = Number(response.headers.get('Content-Length')) || 0;
+
+    if (response.body) {
+        const reader = response.body.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            chunks.push(value);
+            download.loaded += value.length;
+            notifyPhotoDownloadWatchers(photo.original);
+        }
+    } else {
+        chunks.push(await response.blob());
+    }
+
+    return new File(chunks, getPhotoDownloadName(photo), { type: response.headers.get('Content-Type') || '' });
+}
+
+/**
+ * Cancel a photo's download in progress
+ * @param {Object} photo - Photo object built by loadPhotos()
+ */
+function cancelPhotoDownload(photo) {
+    const download = getPhotoDownload(photo);
+    if (download) {
+        download.controller.abort();
+    }
+}
+
+/**
+ * Follow a photo's downloads: update is called when one starts, as data arrives and when it ends
+ * Watchers are dropped once their element leaves the page (the lightbox rebuilds its buttons per slide)
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @param {HTMLElement} element - Element showing the progress
+ * @param {Function} update - Called with the download state, or null when the photo isn't downloading
+ */
+function watchPhotoDownload(photo, element, update) {
+    pruneDownloadWatchers();
+    photoDownloadWatchers.add({ url: photo.original, element, update });
+    update(getPhotoDownload(photo));
+}
+
+/**
+ * Tell the watchers of a photo about its download
+ * @param {string} url - Original URL of the photo
+ */
+function notifyPhotoDownloadWatchers(url) {
+    pruneDownloadWatchers();
+    const download = photoDownloads.get(url) || null;
+
+    photoDownloadWatchers.forEach(watcher => {
+        if (watcher.url === url) {
+            watcher.update(download);
+        }
+    });
+}
+
+/**
+ * Drop the watchers whose element is no longer on the page
+ */
+function pruneDownloadWatchers() {
+    photoDownloadWatchers.forEach(watcher => {
+        if (!watcher.element.isConnected) {
+            photoDownloadWatchers.delete(watcher);
+        }
+    });
+}
@@ -0,0 +1,101 @@
+/**
+ * Tests for the filenames photos are downloaded under (getPhotoDownloadName in photo-download.js)
+ * Run with `npm test` (node --test)
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const vm = require('vm');
+
+// Page scripts share the page's global scope, so they run in this one, in the order album.html loads them
+global.window = global;
+['config.js', 'photo-origins.js', 'photo-download.js'].forEach(file => {
+    const filename = path.join(__dirname, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+});
+
+const ORIGINALS = 'https://pikapp-photos.ct-42210.com/wild_wild_west_10232025/full';
+
+describe('getPhotoDownloadName', () => {
+    it('names the photo after the album name and the date at its end', () => {
+        const photo = {
+            albumName: 'Wild Wild West 10-23-2025',
+            id: 'wild_wild_west_10232025_37',
+            original: `${ORIGINALS}/wild_wild_west_10232025_37.jpg`
+        };
+
+        assert.equal(getPhotoDownloadName(photo), 'Wild-Wild-West-2025-10-23_037.jpg');
+    });
+
+    it('pads single-digit months and days and accepts / and . between them', () => {
+        assert.equal(getPhotoDownloadName({
+            albumName: 'Spring Formal 4/5/2024',
+            id: 'spring_formal_2024_3',
+            original: `${ORIGINALS}/spring_formal_2024_3.png`
+        }), 'Spring-Formal-2024-04-05_003.png');
+
+        assert.equal(getPhotoDownloadName({
+            albumName: 'Rush_9.1.2025',
+            id: 'rush_1200',
+            original: `${ORIGINALS}/rush_1200.jpg`
+        }), 'Rush-2025-09-01_1200.jpg');
+    });
+
+    it('takes the date from the capture time when the album name has none', () => {
+        const photo = {
+            albumName: 'Bike-a-thon',
+            id: 'bike_a_thon_1',
+            original: `${ORIGINALS}/bike_a_thon_1.jpg`,
+            info: { takenAt: '2025-04-12T09:30:00' }
+        };
+
+        assert.equal(getPhotoDownloadName(photo), 'Bike-a-thon-2025-04-12_001.jpg');
+    });
+
+    it('leaves the date out when there is neither, or the capture time is invalid', () => {
+        const photo = {
+            albumName: 'Bike-a-thon',
+            id: 'bike_a_thon_1',
+            original: `${ORIGINALS}/bike_a_thon_1.jpg`
+        };
+
+        assert.equal(getPhotoDownloadName(photo), 'Bike-a-thon_001.jpg');
+        assert.equal(getPhotoDownloadName({ ...photo, info: { takenAt: 'yesterday' } }), 'Bike-a-thon_001.jpg');
+    });
+
+    it('keeps the photo id when it does not end in a number', () => {
+        const photo = {
+            albumName: 'Formal 2024',
+            id: 'group photo (final)',
+            original: `${ORIGINALS}/group_photo.jpg`
+        };
+
+        assert.equal(getPhotoDownloadName(photo), 'Formal-2024_group-photo-final.jpg');
+    });
+
+    it('lowercases the extension and ignores the ?v= version token', () => {
+        const photo = {
+            albumName: 'Formal 2024',
+            id: 'formal_2024_7',
+            original: `${ORIGINALS}/formal_2024_7.JPG?v=0123abcd`
+        };
+
+        assert.equal(getPhotoDownloadName(photo), 'Formal-2024_007.jpg');
+    });
+
+    it('falls back to the server filename when there is no album name or photo id to use', () => {
+        assert.equal(getPhotoDownloadName({
+            albumName: '!!!',
+            id: 'photo_9',
+            original: `${ORIGINALS}/photo%209.jpg`
+        }), 'photo 9.jpg');
+
+        assert.equal(getPhotoDownloadName({
+            albumName: 'Formal 2024',
+            id: '',
+            original: `${ORIGINALS}/clip.mp4`
+        }), 'clip.mp4');
+    });
+});
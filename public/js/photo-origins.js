@@ -0,0 +1,335 @@
+/**
+ * Photo Origins
+ * Builds photo URLs from the ordered list of photo servers in config.js and keeps
+ * photos loading when one of them is down: failed images move on to the next origin,
+ * whole rounds are retried with backoff, photos that never load get a broken-image
+ * tile, and a banner tells the user when the photo server looks unreachable.
+ */
+
+// Photo servers in order of preference (primary nginx first, then mirrors)
+const PHOTO_ORIGINS = SITE_CONFIG.photoOrigins;
+
+// Delay before each retry round once every origin has failed for a photo (milliseconds)
+const PHOTO_RETRY_DELAYS = [1000, 3000, 8000];
+
+// Consecutive failures after which an origin is treated as down
+const ORIGIN_FAILURE_THRESHOLD = 3;
+
+// Origin new photo URLs are built with (moves down the list when the current one is down)
+let preferredOriginIndex = 0;
+
+// Consecutive failures per origin (reset by any successful load)
+const originFailures = PHOTO_ORIGINS.map(() => 0);
+
+// Set once the user closes the unreachable banner so it doesn't keep coming back
+let unreachableBannerDismissed = false;
+
+/**
+ * Build the URL of a file on the photo server
+ * The photo server caches photos as immutable for a year, so photos carrying a content hash
+ * (the album JSON "hash", written by `node index.js ingest`) get it as a ?v= token: the URL
+ * changes whenever reprocessing an album changes the files behind the same filenames
+ * @param {string} path - Path on the photo server ("[album-name]/thumb/[photo].webp")
+ * @param {string} [version] - Photo content hash (omitted for albums that haven't been ingested)
+ * @returns {string} Absolute URL on the preferred origin
+ */
+function getPhotoUrl(path, version) {
+    const url = `${PHOTO_ORIGINS[preferredOriginIndex]}/${path}`;
+    return version ? `${url}?v=${encodeURIComponent(version)}` : url;
+}
+
+/**
+ * Get the filename at the end of a photo URL (without the ?v= token)
+ * @param {string} url - Photo URL
+ * @returns {string} Decoded filename
+ */
+function getPhotoFilename(url) {
+    const { pathname } = new URL(url);
+    return decodeURIComponent(pathname.substring(pathname.lastIndexOf('/') + 1));
+}
+
+/**
+ * Find which origin a photo URL points at
+ * @param {string} url - Photo URL
+ * @returns {number} Index into PHOTO_ORIGINS, or -1 for other URLs
+ */
+function findOriginIndex(url) {
+    return PHOTO_ORIGINS.findIndex(origin => url.startsWith(`${origin}/`));
+}
+
+/**
+ * Point a photo URL (or every URL in a srcset) at another origin
+ * @param {string} value - URL or srcset
+ * @param {number} originIndex - Index into PHOTO_ORIGINS
+ * @returns {string} The value with every known origin replaced
+ */
+function withOrigin(value, originIndex) {
+    return PHOTO_ORIGINS.reduce(
+        (result, origin) => result.split(`${origin}/`).join(`${PHOTO_ORIGINS[originIndex]}/`),
+        value
+    );
+}
+
+/**
+ * Get a photo URL on the currently preferred origin
+ * @param {string} url - Photo URL built earlier (possibly on an origin that has since gone down)
+ * @returns {string} URL on the preferred origin
+ */
+function resolvePhotoUrl(url) {
+    return findOriginIndex(url) === -1 ? url : withOrigin(url, preferredOriginIndex);
+}
+
+/**
+ * Set an image's source on the preferred origin and keep it loading through origin failures
+ * @param {HTMLImageElement} image - Image element
+ * @param {string} src - Photo URL
+ * @param {string} [srcset] - Optional srcset of photo URLs
+ */
+function setPhotoImageSource(image, src, srcset) {
+    if (srcset) {
+        image.srcset = resolvePhotoUrl(srcset);
+    }
+    image.src = resolvePhotoUrl(src);
+    watchPhotoImage(image);
+}
+
+/**
+ * Retry an image on the other origins when it fails to load
+ * Safe to call for images that have already started (or finished) loading
+ * @param {HTMLImageElement} image - Image element whose src is a photo URL
+ */
+function watchPhotoImage(image) {
+    if (image.dataset.originWatched) {
+        return;
+    }
+    image.dataset.originWatched = 'true';
+
+    // Origins tried in the current round and the number of retry rounds used
+    const attempt = { tried: 1, round: 0 };
+
+    image.addEventListener('load', () => {
+        recordOriginSuccess(findOriginIndex(image.currentSrc || image.src));
+    });
+
+    image.addEventListener('error', () => handlePhotoImageError(image, attempt));
+
+    // The image may have failed before we started listening
+    if (image.complete && image.naturalWidth === 0 && image.getAttribute('src')) {
+        handlePhotoImageError(image, attempt);
+    }
+}
+
+/**
+ * Move a failed image to the next origin, retry with backoff, or give up
+ * @param {HTMLImageElement} image - Image that failed to load
+ * @param {{tried: number, round: number}} attempt - Failover progress for this image
+ */
+function handlePhotoImageError(image, attempt) {
+    const failedIndex = findOriginIndex(image.currentSrc || image.src);
+
+    if (failedIndex === -1) {
+        showBrokenPhoto(image);
+        return;
+    }
+
+    recordOriginFailure(failedIndex);
+
+    // Try the next origin right away
+    if (attempt.tried < PHOTO_ORIGINS.length) {
+        attempt.tried++;
+        retargetImage(image, (failedIndex + 1) % PHOTO_ORIGINS.length);
+        return;
+    }
+
+    // Every origin failed - wait and start another round from the preferred origin
+    if (attempt.round < PHOTO_RETRY_DELAYS.length) {
+        const delay = PHOTO_RETRY_DELAYS[attempt.round++];
+        attempt.tried = 1;
+
+        setTimeout(() => {
+            // Thumbnails unmounted by the virtual grid get a fresh image when they come back
+            if (image.isConnected) {
+                retargetImage(image, preferredOriginIndex);
+            }
+        }, delay);
+        return;
+    }
+
+    showBrokenPhoto(image);
+}
+
+/**
+ * Point an image's src and srcset at an origin, which restarts the load
+ * @param {HTMLImageElement} image - Image element
+ * @param {number} originIndex - Index into PHOTO_ORIGINS
+ */
+function retargetImage(image, originIndex) {
+    if (image.srcset) {
+        image.srcset = withOrigin(image.srcset, originIndex);
+    }
+    image.src = withOrigin(image.src, originIndex);
+}
+
+/**
+ * Fetch a file from the photo server, trying each origin and retrying with backoff
+ * Used for downloads and shares; a 404 moves on to the next origin but isn't retried
+ * @param {string} url - Photo URL
+ * @param {Object} [options] - fetch() options (e.g. an abort signal)
+ * @returns {Promise<Response>} Successful response
+ */
+async function fetchPhoto(url, options = {}) {
+    if (findOriginIndex(url) === -1) {
+        return fetch(url, options);
+    }
+
+    let lastError = null;
+
+    for (let round = 0; round <= PHOTO_RETRY_DELAYS.length; round++) {
+        // Only network errors and server errors are worth retrying
+        let retryable = false;
+
+        for (let i = 0; i < PHOTO_ORIGINS.length; i++) {
+            const originIndex = (preferredOriginIndex + i) % PHOTO_ORIGINS.length;
+
+            try {
+                const response = await fetch(withOrigin(url, originIndex), options);
+
+                if (response.ok) {
+                    recordOriginSuccess(originIndex);
+                    return response;
+                }
+
+                lastError = new Error(`HTTP ${response.status} ${response.statusText} from ${PHOTO_ORIGINS[originIndex]}`);
+
+                // The server answered, so it isn't down - a missing file won't appear on retry
+                if (response.status < 500) {
+                    recordOriginSuccess(originIndex);
+                    continue;
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                lastError = new Error(`${PHOTO_ORIGINS[originIndex]} is unreachable (${error.message})`);
+            }
+
+            retryable = true;
+            recordOriginFailure(originIndex);
+        }
+
+        if (!retryable) {
+            break;
+        }
+
+        if (round < PHOTO_RETRY_DELAYS.length) {
+            await waitForRetry(PHOTO_RETRY_DELAYS[round], options.signal);
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Wait before retrying, stopping early if the request is aborted
+ * @param {number} delay - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Abort signal of the request
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, delay);
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Download cancelled', 'AbortError'));
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * Note a successful load from an origin
+ * @param {number} originIndex - Index into PHOTO_ORIGINS (-1 is ignored)
+ */
+function recordOriginSuccess(originIndex) {
+    if (originIndex === -1) {
+        return;
+    }
+
+    originFailures[originIndex] = 0;
+    hideUnreachableBanner();
+}
+
+/**
+ * Note a failed load from an origin, moving new photo URLs to the next origin if it looks down
+ * @param {number} originIndex - Index into PHOTO_ORIGINS
+ */
+function recordOriginFailure(originIndex) {
+    originFailures[originIndex]++;
+
+    if (originIndex === preferredOriginIndex &&
+        originFailures[originIndex] >= ORIGIN_FAILURE_THRESHOLD &&
+        PHOTO_ORIGINS.length > 1) {
+        preferredOriginIndex = (originIndex + 1) % PHOTO_ORIGINS.length;
+        console.warn(`Photo origin ${PHOTO_ORIGINS[originIndex]} looks down - switching to ${PHOTO_ORIGINS[preferredOriginIndex]}`);
+    }
+
+    if (originFailures.every(failures => failures >= ORIGIN_FAILURE_THRESHOLD)) {
+        showUnreachableBanner();
+    }
+}
+
+/**
+ * Replace a photo that couldn't be loaded from any origin with the broken-image tile
+ * @param {HTMLImageElement} image - Image that failed
+ */
+function showBrokenPhoto(image) {
+    console.error(`Could not load photo from any origin: ${image.src}`);
+
+    const container = image.closest('.photo-thumbnail, .album-card, .photographer-photo') || image.parentElement;
+    if (container) {
+        container.classList.add('photo-broken');
+        container.setAttribute('title', 'Photo unavailable');
+    }
+}
+
+/**
+ * Show the banner explaining that the photo server isn't responding
+ * The page stays usable; the banner goes away once any photo loads again
+ */
+function showUnreachableBanner() {
+    if (unreachableBannerDismissed || document.querySelector('.photo-origin-banner')) {
+        return;
+    }
+
+    const banner = document.createElement('div');
+    banner.className = 'photo-origin-banner';
+    banner.setAttribute('role', 'status');
+
+    const message = document.createElement('span');
+    message.textContent = 'The photo server isn\'t responding right now, so some photos may not load. We\'ll keep retrying.';
+
+    const dismissButton = document.createElement('button');
+    dismissButton.type = 'button';
+    dismissButton.className = 'photo-origin-banner-dismiss';
+    dismissButton.setAttribute('aria-label', 'Dismiss');
+    dismissButton.textContent = '×';
+    dismissButton.addEventListener('click', () => {
+        unreachableBannerDismissed = true;
+        banner.remove();
+    });
+
+    banner.append(message, dismissButton);
+    document.body.appendChild(banner);
+}
+
+/**
+ * Remove the unreachable banner if it is shown
+ */
+function hideUnreachableBanner() {
+    const banner = document.querySelector('.photo-origin-banner');
+    if (banner) {
+        banner.remove();
+    }
+}
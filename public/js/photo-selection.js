@@ -0,0 +1,296 @@
+/**
+ * Photo Selection Mode
+ * Lets users pick photos in the album grid and download their originals as a ZIP
+ */
+
+// Selection state
+let selectionMode = false;
+let selectedPhotos = new Set();  // Indices into albumPhotos
+let lastSelectedIndex = null;    // Anchor for shift-click range selection
+
+// Cancels the ZIP download in progress, if any
+let zipAbortController = null;
+
+/**
+ * Create the header button that toggles selection mode
+ * @returns {HTMLElement} Select button element
+ */
+function createSelectModeButton() {
+    const button = document.createElement('button');
+    button.className = 'glass-button select-mode-button';
+    button.textContent = 'Select';
+    button.setAttribute('aria-pressed', 'false');
+
+    button.addEventListener('click', () => {
+        if (selectionMode) {
+            exitSelectionMode();
+        } else {
+            enterSelectionMode();
+        }
+    });
+
+    return button;
+}
+
+/**
+ * Turn on selection mode: show the toolbar and checkboxes, and stop thumbnail clicks
+ * from opening the lightbox
+ */
+function enterSelectionMode() {
+    const gridContainer = document.getElementById('photo-grid');
+    if (!gridContainer) {
+        return;
+    }
+
+    selectionMode = true;
+    document.body.classList.add('selection-mode');
+
+    // Capture phase runs before GLightbox's click handler on document
+    gridContainer.addEventListener('click', handleSelectionClick, true);
+
+    gridContainer.parentNode.insertBefore(createSelectionToolbar(), gridContainer);
+    updateSelectionUI();
+}
+
+/**
+ * Turn off selection mode and clear the selection
+ */
+function exitSelectionMode() {
+    const gridContainer = document.getElementById('photo-grid');
+    if (gridContainer) {
+        gridContainer.removeEventListener('click', handleSelectionClick, true);
+    }
+
+    if (zipAbortController) {
+        zipAbortController.abort();
+    }
+
+    selectionMode = false;
+    selectedPhotos.clear();
+    lastSelectedIndex = null;
+    document.body.classList.remove('selection-mode');
+
+    const toolbar = document.querySelector('.selection-toolbar');
+    if (toolbar) {
+        toolbar.remove();
+    }
+
+    updateSelectionUI();
+}
+
+/**
+ * Create the toolbar shown above the grid in selection mode
+ * @returns {HTMLElement} Toolbar element
+ */
+function createSelectionToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'selection-toolbar';
+
+    const count = document.createElement('span');
+    count.className = 'selection-count';
+    count.setAttribute('aria-live', 'polite');
+
+    const selectAllButton = createToolbarButton('Select all', 'select-all-button', selectAllPhotos);
+    const clearButton = createToolbarButton('Clear', 'clear-selection-button', clearSelection);
+    const downloadButton = createToolbarButton('Download selected', 'download-selected-button', downloadSelectedPhotos);
+    const cancelButton = createToolbarButton('Cancel download', 'cancel-download-button', cancelZipDownload);
+    cancelButton.hidden = true;
+
+    const progress = document.createElement('span');
+    progress.className = 'selection-progress';
+    progress.setAttribute('aria-live', 'polite');
+
+    toolbar.append(count, selectAllButton, clearButton, downloadButton, cancelButton, progress);
+    return toolbar;
+}
+
+/**
+ * Create a toolbar button
+ * @param {string} label - Button text
+ * @param {string} className - Class identifying the button
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement} Button element
+ */
+function createToolbarButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.className = `glass-button ${className}`;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Toggle the clicked thumbnail's selection instead of opening the lightbox
+ * Shift-click selects every photo between the last clicked photo and this one
+ * @param {MouseEvent} e - Click event on the photo grid
+ */
+function handleSelectionClick(e) {
+    const thumbnail = e.target.closest('.photo-thumbnail');
+    if (!thumbnail) {
+        return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const index = Number(thumbnail.dataset.index);
+
+    if (e.shiftKey && lastSelectedIndex !== null) {
+        selectRange(lastSelectedIndex, index);
+    } else if (selectedPhotos.has(index)) {
+        selectedPhotos.delete(index);
+    } else {
+        selectedPhotos.add(index);
+    }
+
+    lastSelectedIndex = index;
+    updateSelectionUI();
+}
+
+/**
+ * Select every photo between two indices (inclusive)
+ * @param {number} fromIndex - First index
+ * @param {number} toIndex - Last index
+ */
+function selectRange(fromIndex, toIndex) {
+    const start = Math.min(fromIndex, toIndex);
+    const end = Math.max(fromIndex, toIndex);
+
+    for (let i = start; i <= end; i++) {
+        selectedPhotos.add(i);
+    }
+}
+
+/**
+ * Select every photo in the album
+ */
+function selectAllPhotos() {
+    albumPhotos.forEach((photo, index) => selectedPhotos.add(index));
+    updateSelectionUI();
+}
+
+/**
+ * Deselect every photo
+ */
+function clearSelection() {
+    selectedPhotos.clear();
+    lastSelectedIndex = null;
+    updateSelectionUI();
+}
+
+/**
+ * Reflect the selection state on one thumbnail
+ * Also called for thumbnails the virtual grid mounts while selection mode is active
+ * @param {HTMLElement} thumbnail - Photo thumbnail element
+ */
+function syncThumbnailSelection(thumbnail) {
+    const selected = selectionMode && selectedPhotos.has(Number(thumbnail.dataset.index));
+    const link = thumbnail.querySelector('.photo-thumbnail-link');
+    thumbnail.classList.toggle('selected', selected);
+
+    // While selecting, the thumbnail link acts as a toggle button
+    if (selectionMode) {
+        link.setAttribute('role', 'button');
+        link.setAttribute('aria-pressed', String(selected));
+    } else {
+        link.removeAttribute('role');
+        link.removeAttribute('aria-pressed');
+    }
+}
+
+/**
+ * Sync thumbnails, the header button and the toolbar with the selection state
+ */
+function updateSelectionUI() {
+    document.querySelectorAll('#photo-grid .photo-thumbnail').forEach(syncThumbnailSelection);
+
+    const modeButton = document.querySelector('.select-mode-button');
+    if (modeButton) {
+        modeButton.textContent = selectionMode ? 'Done' : 'Select';
+        modeButton.setAttribute('aria-pressed', String(selectionMode));
+    }
+
+    const count = document.querySelector('.selection-count');
+    if (count) {
+        count.textContent = `${selectedPhotos.size} of ${albumPhotos.length} selected`;
+    }
+
+    const downloading = zipAbortController !== null;
+    setToolbarButtonState('.select-all-button', downloading || selectedPhotos.size === albumPhotos.length);
+    setToolbarButtonState('.clear-selection-button', downloading || selectedPhotos.size === 0);
+    setToolbarButtonState('.download-selected-button', downloading || selectedPhotos.size === 0);
+
+    const cancelButton = document.querySelector('.cancel-download-button');
+    if (cancelButton) {
+        cancelButton.hidden = !downloading;
+    }
+}
+
+/**
+ * Enable or disable a toolbar button
+ * @param {string} selector - Button selector
+ * @param {boolean} disabled - Whether the button should be disabled
+ */
+function setToolbarButtonState(selector, disabled) {
+    const button = document.querySelector(selector);
+    if (button) {
+        button.disabled = disabled;
+    }
+}
+
+/**
+ * Show download progress in the toolbar
+ * @param {string} message - Progress text (empty to clear)
+ */
+function setSelectionProgress(message) {
+    const progress = document.querySelector('.selection-progress');
+    if (progress) {
+        progress.textContent = message;
+    }
+}
+
+/**
+ * Download the selected photos' originals as a ZIP, in album order
+ */
+async function downloadSelectedPhotos() {
+    if (selectedPhotos.size === 0 || zipAbortController) {
+        return;
+    }
+
+    const photos = [...selectedPhotos].sort((a, b) => a - b).map(index => albumPhotos[index]);
+
+    zipAbortController = new AbortController();
+    updateSelectionUI();
+
+    try {
+        const saved = await downloadPhotosAsZip(photos, currentAlbum.name, {
+            signal: zipAbortController.signal,
+            onProgress: (completed, total) => {
+                setSelectionProgress(completed < total ? `Zipping photo ${completed + 1} of ${total}` : `Saved ${total} photos`);
+            }
+        });
+
+        if (!saved) {
+            setSelectionProgress('');
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            setSelectionProgress('Download cancelled');
+        } else {
+            console.error('Error downloading ZIP:', error);
+            setSelectionProgress(`Download failed: ${error.message}`);
+        }
+    } finally {
+        zipAbortController = null;
+        updateSelectionUI();
+    }
+}
+
+/**
+ * Cancel the ZIP download in progress
+ */
+function cancelZipDownload() {
+    if (zipAbortController) {
+        zipAbortController.abort();
+    }
+}
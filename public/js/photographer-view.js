@@ -0,0 +1,152 @@
+/**
+ * Photographer View
+ * Home page mode (index.html?photographer=...) listing every album and photo
+ * credited to one photographer
+ */
+
+/**
+ * Get the photographer requested in the page URL
+ * @returns {string|null} Photographer name, or null for the normal album list
+ */
+function getPhotographerParam() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const name = urlParams.get(PHOTOGRAPHER_URL_PARAM);
+    return name && name.trim() ? name.trim() : null;
+}
+
+/**
+ * Render the photographer view: a header, their album cards and a grid of their photos
+ * @param {string} name - Photographer name from the URL
+ * @param {Object[]} albums - All loaded albums
+ */
+async function renderPhotographerView(name, albums) {
+    const credited = albums
+        .map(album => ({ album, credit: getAlbumCredits(album).find(credit => isSamePhotographer(credit.name, name)) }))
+        .filter(({ credit }) => credit)
+        .sort((a, b) => new Date(b.album.date) - new Date(a.album.date));
+
+    // Show the name as the albums spell it
+    const displayName = credited.length > 0 ? credited[0].credit.name : name;
+    const photoCount = credited.reduce((total, { credit }) => total + credit.photoCount, 0);
+
+    renderPhotographerHeader(displayName, photoCount, credited.length);
+
+    const gridContainer = document.getElementById('album-grid');
+    gridContainer.innerHTML = '';
+    credited.forEach(({ album }) => gridContainer.appendChild(createAlbumCard(album)));
+
+    if (credited.length > 0) {
+        await renderPhotographerPhotos(displayName, credited.map(({ album }) => album));
+    }
+}
+
+/**
+ * Get the photographer credits of an album summary
+ * Indexes generated before per-photo credits only have the album-level photographer
+ * @param {Object} album - Album data object
+ * @returns {Array<{name: string, photoCount: number}>} Photographer credits
+ */
+function getAlbumCredits(album) {
+    if (Array.isArray(album.photographers)) {
+        return album.photographers;
+    }
+    return album.photographer ? [{ name: album.photographer, photoCount: album.photoCount || 0 }] : [];
+}
+
+/**
+ * Fill in the photographer view header
+ * @param {string} name - Photographer name
+ * @param {number} photoCount - Photos credited to them
+ * @param {number} albumCount - Albums containing those photos
+ */
+function renderPhotographerHeader(name, photoCount, albumCount) {
+    const header = document.getElementById('photographer-header');
+
+    document.getElementById('photographer-name').textContent = `Photos by ${name}`;
+    document.getElementById('photographer-summary').textContent = albumCount > 0
+        ? `${photoCount} photo${photoCount === 1 ? '' : 's'} in ${albumCount} album${albumCount === 1 ? '' : 's'}`
+        : `No albums credit ${name}`;
+
+    document.title = `Photos by ${name} - Pi Kappa Phi Photo Gallery`;
+    header.hidden = false;
+}
+
+/**
+ * Load the credited albums and render every photo by the photographer, newest album first
+ * @param {string} name - Photographer name
+ * @param {Object[]} albums - Albums that credit the photographer
+ */
+async function renderPhotographerPhotos(name, albums) {
+    const section = document.getElementById('photographer-photos');
+    const grid = document.createElement('div');
+    grid.className = 'photographer-photo-grid';
+
+    const results = await Promise.all(albums.map(album => fetchAlbumData(album.folderName)));
+
+    results.forEach((albumData, i) => {
+        if (!albumData) {
+            return;
+        }
+
+        albumData.photos
+            .filter(photo => typeof photo === 'string' || (photo && photo.webp))
+            .filter(photo => isSamePhotographer(getPhotoPhotographer(photo, albumData), name))
+            .forEach(photo => grid.appendChild(createPhotographerPhoto(albums[i], photo)));
+    });
+
+    const heading = document.createElement('h2');
+    heading.className = 'photographer-photos-title';
+    heading.textContent = 'Photos';
+
+    section.replaceChildren(heading, grid);
+    section.hidden = false;
+}
+
+/**
+ * Fetch an album's full JSON file
+ * @param {string} albumFolder - Album folder name
+ * @returns {Promise<Object|null>} Album data, or null if it could not be loaded
+ */
+async function fetchAlbumData(albumFolder) {
+    try {
+        const response = await fetch(`albums/${albumFolder}.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const albumData = await response.json();
+        // Photos hidden with the admin page aren't shown anywhere
+        albumData.photos = (Array.isArray(albumData.photos) ? albumData.photos : []).filter(photo => !(photo && photo.hidden));
+        return albumData;
+    } catch (error) {
+        console.warn(`Error loading album ${albumFolder}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Create a photo tile that deep links to the photo in its album
+ * @param {Object} album - Album summary with folderName and name
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @returns {HTMLElement} Photo link element
+ */
+function createPhotographerPhoto(album, photo) {
+    const isObject = typeof photo === 'object' && photo !== null;
+    const webp = isObject ? photo.webp : photo;
+    const id = webp.substring(0, webp.lastIndexOf('.')) || webp;
+    const tier = isObject && photo.sizes && photo.sizes.thumb ? 'thumb' : 'low';
+
+    const link = document.createElement('a');
+    link.className = 'photographer-photo';
+    link.href = `album.html?album=${encodeURIComponent(album.folderName)}&photo=${encodeURIComponent(id)}`;
+
+    const image = document.createElement('img');
+    setPhotoImageSource(image, getPhotoUrl(`${album.folderName}/${tier}/${webp}`, isObject ? photo.hash : undefined));
+    image.alt = (isObject && (photo.alt || photo.caption)) || `${album.name} - ${id}`;
+    image.loading = 'lazy';
+
+    link.appendChild(image);
+    applyImagePlaceholder(link, image, isObject ? photo.placeholder : undefined);
+
+    return link;
+}
@@ -0,0 +1,92 @@
+/**
+ * Photographer Credits
+ * Shared by the home page and the album page: who is credited for which photos,
+ * and links to the photographer view (index.html?photographer=...)
+ */
+
+// Query parameter that opens the photographer view on the home page
+const PHOTOGRAPHER_URL_PARAM = 'photographer';
+
+/**
+ * Get the photographer credited for a photo
+ * A photo's own "photographer" field overrides the album-level photographer
+ * @param {string|Object} photo - Photo entry from the album JSON
+ * @param {Object} album - Album data object
+ * @returns {string} Photographer name (empty if the album has none)
+ */
+function getPhotoPhotographer(photo, album) {
+    if (photo && typeof photo === 'object' && typeof photo.photographer === 'string' && photo.photographer.trim()) {
+        return photo.photographer.trim();
+    }
+    return album.photographer || '';
+}
+
+/**
+ * Count the photos credited to each photographer in an album, most photos first
+ * Matches the "photographers" lib/album-index.js writes for each album in album-index.json
+ * @param {Object} album - Album data object with photos
+ * @returns {Array<{name: string, photoCount: number}>} Photographer credits
+ */
+function getPhotographerCredits(album) {
+    const credits = new Map();
+
+    (album.photos || []).forEach(photo => {
+        const name = getPhotoPhotographer(photo, album);
+        if (!name) {
+            return;
+        }
+
+        const key = normalizePhotographerName(name);
+        const credit = credits.get(key) || { name, photoCount: 0 };
+        credit.photoCount++;
+        credits.set(key, credit);
+    });
+
+    return [...credits.values()].sort((a, b) => b.photoCount - a.photoCount);
+}
+
+/**
+ * Normalize a photographer name for comparison (case and spacing don't matter)
+ * @param {string} name - Photographer name
+ * @returns {string} Normalized name
+ */
+function normalizePhotographerName(name) {
+    return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Whether two names refer to the same photographer
+ * @param {string} a - Photographer name
+ * @param {string} b - Photographer name
+ * @returns {boolean} True if the names match
+ */
+function isSamePhotographer(a, b) {
+    return normalizePhotographerName(a) === normalizePhotographerName(b);
+}
+
+/**
+ * Create a link to a photographer's view
+ * @param {string} name - Photographer name
+ * @returns {HTMLAnchorElement} Link element
+ */
+function createPhotographerLink(name) {
+    const link = document.createElement('a');
+    link.className = 'photographer-link';
+    link.href = `index.html?${PHOTOGRAPHER_URL_PARAM}=${encodeURIComponent(name)}`;
+    link.textContent = name;
+    return link;
+}
+
+/**
+ * Append "A", "A and B" or "A, B and C" to an element, with each name linked to its photographer view
+ * @param {HTMLElement} element - Element to append to
+ * @param {string[]} names - Photographer names
+ */
+function appendPhotographerLinks(element, names) {
+    names.forEach((name, i) => {
+        if (i > 0) {
+            element.append(i === names.length - 1 ? ' and ' : ', ');
+        }
+        element.appendChild(createPhotographerLink(name));
+    });
+}
@@ -0,0 +1,476 @@
+/**
+ * Slideshow Mode
+ * Plays the album in the lightbox for projectors and kiosks: autoplay with a configurable
+ * interval, shuffle, a fullscreen toggle, and preloading of the next few photos so a slide
+ * is never shown before its image is ready
+ */
+
+// URL parameters that start the slideshow on page load (album.html?album=x&slideshow=1&interval=8&shuffle=1)
+const SLIDESHOW_PARAMS = {
+    play: 'slideshow',
+    interval: 'interval',
+    shuffle: 'shuffle'
+};
+
+// Seconds each photo stays on screen (choices offered in the controls)
+const SLIDESHOW_INTERVALS = [3, 5, 8, 10, 15, 30];
+const DEFAULT_SLIDESHOW_INTERVAL = 5;
+
+// Number of upcoming photos kept loaded ahead of the current slide
+const SLIDESHOW_PRELOAD_COUNT = 3;
+
+// Hide the controls and cursor after this long without mouse or keyboard activity (milliseconds)
+const SLIDESHOW_IDLE_DELAY = 3000;
+
+// Slideshow state
+let slideshowActive = false;
+let slideshowPlaying = false;
+let slideshowInterval = DEFAULT_SLIDESHOW_INTERVAL;
+let slideshowShuffle = false;
+let slideshowOrder = [];       // Indices into albumPhotos in play order
+let slideshowTimer = null;     // Advances to the next slide
+let slideshowIdleTimer = null; // Hides the controls while nobody is touching anything
+
+// Images loaded ahead of the current slide, keyed by index into albumPhotos
+const preloadedSlides = new Map();
+
+/**
+ * Create the header button that starts the slideshow
+ * @returns {HTMLElement} Slideshow button element
+ */
+function createSlideshowButton() {
+    const button = document.createElement('button');
+    button.className = 'glass-button slideshow-button';
+    button.textContent = 'Slideshow';
+    button.addEventListener('click', () => startSlideshow());
+    return button;
+}
+
+/**
+ * Start the slideshow in the lightbox
+ * @param {number} [startIndex] - Photo to start on (defaults to the open slide, or the first photo in play order)
+ */
+function startSlideshow(startIndex) {
+    if (!lightbox || albumPhotos.length === 0) {
+        return;
+    }
+
+    const openIndex = lightbox.lightboxOpen ? lightbox.index : null;
+    const firstIndex = startIndex !== undefined ? startIndex : openIndex;
+
+    slideshowOrder = buildSlideshowOrder(firstIndex);
+    slideshowActive = true;
+    slideshowPlaying = true;
+    document.body.classList.add('slideshow-mode');
+
+    document.addEventListener('keydown', handleSlideshowKeydown);
+    document.addEventListener('mousemove', wakeSlideshowControls);
+    document.addEventListener('fullscreenchange', updateSlideshowControls);
+    document.addEventListener('webkitfullscreenchange', updateSlideshowControls);
+
+    if (lightbox.lightboxOpen) {
+        if (slideshowOrder[0] !== openIndex) {
+            lightbox.goToSlide(slideshowOrder[0]);
+        } else {
+            handleSlideshowSlideChange(openIndex);
+        }
+    } else {
+        // Opening the lightbox reports the first slide through handleSlideshowSlideChange()
+        lightbox.openAt(slideshowOrder[0]);
+    }
+
+    renderSlideshowControls();
+    writeSlideshowParams(true);
+    wakeSlideshowControls();
+}
+
+/**
+ * Stop the slideshow, leaving the lightbox open on the current photo
+ * Also called by lightbox.js when the lightbox closes
+ */
+function stopSlideshow() {
+    if (!slideshowActive) {
+        return;
+    }
+
+    slideshowActive = false;
+    slideshowPlaying = false;
+    clearTimeout(slideshowTimer);
+    clearTimeout(slideshowIdleTimer);
+    preloadedSlides.clear();
+
+    document.body.classList.remove('slideshow-mode', 'slideshow-idle');
+    document.removeEventListener('keydown', handleSlideshowKeydown);
+    document.removeEventListener('mousemove', wakeSlideshowControls);
+    document.removeEventListener('fullscreenchange', updateSlideshowControls);
+    document.removeEventListener('webkitfullscreenchange', updateSlideshowControls);
+
+    const controls = document.querySelector('.slideshow-controls');
+    if (controls) {
+        controls.remove();
+    }
+
+    if (getFullscreenElement()) {
+        exitFullscreen();
+    }
+
+    writeSlideshowParams(false);
+}
+
+/**
+ * Read the slideshow flags from the page URL (kiosk links) and remove them from the album's
+ * own history entry - startSlideshow() writes them back to the lightbox entry
+ * @returns {boolean} True if the URL asks for the slideshow to start
+ */
+function readSlideshowParams() {
+    const urlParams = new URLSearchParams(window.location.search);
+
+    if (!urlParams.has(SLIDESHOW_PARAMS.play) || urlParams.get(SLIDESHOW_PARAMS.play) === '0') {
+        return false;
+    }
+
+    const interval = Number(urlParams.get(SLIDESHOW_PARAMS.interval));
+    if (interval > 0) {
+        slideshowInterval = interval;
+    }
+    slideshowShuffle = urlParams.get(SLIDESHOW_PARAMS.shuffle) === '1';
+
+    writeSlideshowParams(false);
+    return true;
+}
+
+/**
+ * Keep the slideshow flags in the URL while it runs, so reloading a kiosk resumes it
+ * @param {boolean} active - Whether to set or remove the flags
+ */
+function writeSlideshowParams(active) {
+    const url = new URL(window.location.href);
+
+    if (active) {
+        url.searchParams.set(SLIDESHOW_PARAMS.play, '1');
+        url.searchParams.set(SLIDESHOW_PARAMS.interval, String(slideshowInterval));
+        if (slideshowShuffle) {
+            url.searchParams.set(SLIDESHOW_PARAMS.shuffle, '1');
+        } else {
+            url.searchParams.delete(SLIDESHOW_PARAMS.shuffle);
+        }
+    } else {
+        Object.values(SLIDESHOW_PARAMS).forEach(param => url.searchParams.delete(param));
+    }
+
+    history.replaceState(history.state, '', url);
+}
+
+/**
+ * Build the order photos are played in
+ * @param {number|null} firstIndex - Photo to play first, or null for the album's first photo
+ * @returns {number[]} Indices into albumPhotos
+ */
+function buildSlideshowOrder(firstIndex) {
+    const order = albumPhotos.map((photo, i) => i);
+
+    if (slideshowShuffle) {
+        // Fisher-Yates shuffle
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+    }
+
+    if (firstIndex === null || firstIndex === undefined) {
+        return order;
+    }
+
+    // Rotate (in order) or swap (shuffled) so the requested photo comes first
+    if (slideshowShuffle) {
+        const position = order.indexOf(firstIndex);
+        [order[0], order[position]] = [order[position], order[0]];
+        return order;
+    }
+    return order.slice(firstIndex).concat(order.slice(0, firstIndex));
+}
+
+/**
+ * Get the photo played after another one
+ * @param {number} index - Index into albumPhotos
+ * @param {number} [steps=1] - How many photos ahead
+ * @returns {number} Index into albumPhotos
+ */
+function getUpcomingSlideIndex(index, steps = 1) {
+    const position = slideshowOrder.indexOf(index);
+    return slideshowOrder[(Math.max(position, 0) + steps) % slideshowOrder.length];
+}
+
+/**
+ * Restart the timer and preload ahead whenever a new slide is shown
+ * Called by lightbox.js for every slide change, including manual navigation
+ * @param {number} index - Index of the slide now shown
+ */
+function handleSlideshowSlideChange(index) {
+    if (!slideshowActive) {
+        return;
+    }
+
+    // Reshuffle after the last photo so every loop plays in a new order
+    if (slideshowShuffle && slideshowOrder.indexOf(index) === slideshowOrder.length - 1) {
+        const order = buildSlideshowOrder(null).filter(i => i !== index);
+        slideshowOrder = [index, ...order];
+    }
+
+    preloadUpcomingSlides(index);
+    scheduleNextSlide();
+}
+
+/**
+ * Load the next few photos so they are ready before their slide is shown
+ * @param {number} index - Index of the current slide
+ */
+function preloadUpcomingSlides(index) {
+    const upcoming = [];
+    for (let step = 1; step <= Math.min(SLIDESHOW_PRELOAD_COUNT, albumPhotos.length - 1); step++) {
+        upcoming.push(getUpcomingSlideIndex(index, step));
+    }
+
+    // Forget photos that are no longer ahead (the browser cache still has them)
+    [...preloadedSlides.keys()]
+        .filter(i => !upcoming.includes(i))
+        .forEach(i => preloadedSlides.delete(i));
+
+    upcoming.forEach(preloadSlide);
+}
+
+/**
+ * Load a slide's image ahead of time
+ * @param {number} index - Index into albumPhotos
+ * @returns {Promise<void>} Resolves once the image has loaded and decoded (or failed)
+ */
+function preloadSlide(index) {
+    if (!preloadedSlides.has(index)) {
+        // Video slides show their poster frame first
+        const photo = albumPhotos[index];
+        const image = new Image();
+        image.src = resolvePhotoUrl(photo.type === 'video' ? photo.poster : photo.lightbox);
+
+        // A failed photo shouldn't stall the slideshow - GLightbox shows whatever it can
+        preloadedSlides.set(index, image.decode().catch(() => {}));
+    }
+    return preloadedSlides.get(index);
+}
+
+/**
+ * Restart the countdown to the next slide
+ */
+function scheduleNextSlide() {
+    clearTimeout(slideshowTimer);
+
+    if (slideshowPlaying && slideshowOrder.length > 1) {
+        // Let video clips play to the end before moving on
+        const photo = albumPhotos[lightbox.index];
+        const seconds = photo && photo.info.duration ? Math.max(slideshowInterval, photo.info.duration) : slideshowInterval;
+        slideshowTimer = setTimeout(advanceSlideshow, seconds * 1000);
+    }
+}
+
+/**
+ * Move to the next photo once its image is ready
+ */
+async function advanceSlideshow() {
+    const currentIndex = lightbox.index;
+    const nextIndex = getUpcomingSlideIndex(currentIndex);
+
+    await preloadSlide(nextIndex);
+
+    // Skip if the slideshow was paused or the user navigated while the image loaded
+    if (slideshowPlaying && lightbox.lightboxOpen && lightbox.index === currentIndex) {
+        lightbox.goToSlide(nextIndex);
+    }
+}
+
+/**
+ * Pause or resume autoplay
+ */
+function toggleSlideshowPlaying() {
+    slideshowPlaying = !slideshowPlaying;
+    scheduleNextSlide();
+    updateSlideshowControls();
+}
+
+/**
+ * Change how long each photo stays on screen
+ * @param {number} seconds - New interval
+ */
+function setSlideshowInterval(seconds) {
+    slideshowInterval = seconds;
+    scheduleNextSlide();
+    writeSlideshowParams(true);
+}
+
+/**
+ * Turn shuffle on or off, keeping the current photo on screen
+ */
+function toggleSlideshowShuffle() {
+    slideshowShuffle = !slideshowShuffle;
+    slideshowOrder = buildSlideshowOrder(lightbox.index);
+    preloadUpcomingSlides(lightbox.index);
+    writeSlideshowParams(true);
+    updateSlideshowControls();
+}
+
+/**
+ * Space pauses/resumes and F toggles fullscreen (arrows and Esc are GLightbox's)
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleSlideshowKeydown(e) {
+    wakeSlideshowControls();
+
+    if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest('button, select, input, textarea')) {
+        return;
+    }
+
+    if (e.key === ' ') {
+        e.preventDefault();
+        toggleSlideshowPlaying();
+    } else if (e.key === 'f' || e.key === 'F') {
+        toggleFullscreen();
+    }
+}
+
+/**
+ * Show the controls and cursor, hiding them again after a few idle seconds
+ */
+function wakeSlideshowControls() {
+    document.body.classList.remove('slideshow-idle');
+    clearTimeout(slideshowIdleTimer);
+
+    slideshowIdleTimer = setTimeout(() => {
+        if (slideshowActive && slideshowPlaying) {
+            document.body.classList.add('slideshow-idle');
+        }
+    }, SLIDESHOW_IDLE_DELAY);
+}
+
+/**
+ * Render the slideshow control bar shown over the lightbox
+ */
+function renderSlideshowControls() {
+    const existingControls = document.querySelector('.slideshow-controls');
+    if (existingControls) {
+        existingControls.remove();
+    }
+
+    const controls = document.createElement('div');
+    controls.className = 'slideshow-controls';
+    controls.setAttribute('role', 'toolbar');
+    controls.setAttribute('aria-label', 'Slideshow');
+
+    const playButton = createSlideshowControl('slideshow-play-button', toggleSlideshowPlaying);
+
+    const intervalSelect = document.createElement('select');
+    intervalSelect.className = 'slideshow-interval';
+    intervalSelect.setAttribute('aria-label', 'Seconds per photo');
+    const intervals = SLIDESHOW_INTERVALS.includes(slideshowInterval)
+        ? SLIDESHOW_INTERVALS
+        : [...SLIDESHOW_INTERVALS, slideshowInterval].sort((a, b) => a - b);
+    intervals.forEach(seconds => {
+        const option = document.createElement('option');
+        option.value = String(seconds);
+        option.textContent = `${seconds}s`;
+        intervalSelect.appendChild(option);
+    });
+    intervalSelect.value = String(slideshowInterval);
+    intervalSelect.addEventListener('change', () => setSlideshowInterval(Number(intervalSelect.value)));
+
+    const shuffleButton = createSlideshowControl('slideshow-shuffle-button', toggleSlideshowShuffle);
+    shuffleButton.textContent = 'Shuffle';
+
+    const fullscreenButton = createSlideshowControl('slideshow-fullscreen-button', toggleFullscreen);
+    fullscreenButton.hidden = !isFullscreenSupported();
+
+    const stopButton = createSlideshowControl('slideshow-stop-button', stopSlideshow);
+    stopButton.textContent = 'Exit slideshow';
+
+    controls.append(playButton, intervalSelect, shuffleButton, fullscreenButton, stopButton);
+
+    // Keep clicks on the controls from closing the lightbox
+    controls.addEventListener('click', (e) => e.stopPropagation());
+
+    // Inside the lightbox dialog, where keyboard focus is kept
+    getLightboxDialog().appendChild(controls);
+    updateSlideshowControls();
+}
+
+/**
+ * Create a slideshow control button
+ * @param {string} className - Class identifying the button
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement} Button element
+ */
+function createSlideshowControl(className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `slideshow-control ${className}`;
+    button.addEventListener('click', () => onClick());
+    return button;
+}
+
+/**
+ * Sync the control labels with the play, shuffle and fullscreen state
+ */
+function updateSlideshowControls() {
+    const controls = document.querySelector('.slideshow-controls');
+    if (!controls) {
+        return;
+    }
+
+    controls.querySelector('.slideshow-play-button').textContent = slideshowPlaying ? 'Pause' : 'Play';
+    controls.querySelector('.slideshow-shuffle-button').setAttribute('aria-pressed', String(slideshowShuffle));
+    controls.querySelector('.slideshow-fullscreen-button').textContent = getFullscreenElement() ? 'Exit fullscreen' : 'Fullscreen';
+}
+
+/**
+ * Whether the browser lets the page go fullscreen (iPhone Safari doesn't)
+ * @returns {boolean} True if fullscreen is available
+ */
+function isFullscreenSupported() {
+    return Boolean(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+}
+
+/**
+ * Get the element currently shown fullscreen
+ * @returns {Element|null} Fullscreen element, or null
+ */
+function getFullscreenElement() {
+    return document.fullscreenElement || document.webkitFullscreenElement || null;
+}
+
+/**
+ * Leave fullscreen
+ */
+function exitFullscreen() {
+    const exit = document.exitFullscreen || document.webkitExitFullscreen;
+    Promise.resolve(exit.call(document)).catch(error => {
+        console.warn('Could not exit fullscreen:', error);
+    });
+}
+
+/**
+ * Enter or leave fullscreen (the whole page, so the lightbox and controls come along)
+ */
+function toggleFullscreen() {
+    if (getFullscreenElement()) {
+        exitFullscreen();
+        return;
+    }
+
+    const root = document.documentElement;
+    const request = root.requestFullscreen || root.webkitRequestFullscreen;
+
+    if (!request) {
+        return;
+    }
+
+    // Browsers refuse fullscreen without a click or key press (e.g. when a kiosk link autostarts)
+    Promise.resolve(request.call(root)).catch(error => {
+        console.warn('Could not enter fullscreen:', error);
+    });
+}
@@ -0,0 +1,81 @@
+/**
+ * Toasts
+ * Short messages shown at the bottom of the page without blocking it (errors and the results
+ * of actions), in place of alert(); each one goes away on its own or when dismissed
+ */
+
+// How long a toast stays up (milliseconds)
+const TOAST_DURATION = 6000;
+
+/**
+ * Show a toast
+ * @param {string} message - Message text
+ * @param {string} [type] - 'info' or 'error' (errors are announced to screen readers at once)
+ * @param {Object} [options] - Toast options
+ * @param {string} [options.link] - Link shown selected for copying by hand (the toast then stays until dismissed)
+ */
+function showToast(message, type = 'info', { link } = {}) {
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    if (type === 'error') {
+        toast.setAttribute('role', 'alert');
+    }
+
+    const text = document.createElement('span');
+    text.className = 'toast-message';
+    text.textContent = message;
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'toast-dismiss';
+    dismiss.setAttribute('aria-label', 'Dismiss');
+    dismiss.textContent = '×';
+
+    toast.append(text);
+
+    let linkField = null;
+    if (link) {
+        linkField = document.createElement('input');
+        linkField.className = 'toast-link';
+        linkField.type = 'text';
+        linkField.readOnly = true;
+        linkField.value = link;
+        linkField.setAttribute('aria-label', 'Link');
+        linkField.addEventListener('focus', () => linkField.select());
+        toast.append(linkField);
+    }
+
+    toast.append(dismiss);
+    getToastRegion().appendChild(toast);
+
+    if (linkField) {
+        linkField.focus();
+    }
+
+    const timer = link ? null : setTimeout(() => toast.remove(), TOAST_DURATION);
+
+    // Keep the click from closing the lightbox behind the toast
+    toast.addEventListener('click', (e) => e.stopPropagation());
+    dismiss.addEventListener('click', () => {
+        clearTimeout(timer);
+        toast.remove();
+    });
+}
+
+/**
+ * Get the live region toasts are shown in, creating it on first use
+ * It stays usable while the lightbox makes the rest of the page inert (see lightbox.js)
+ * @returns {HTMLElement} Toast region element
+ */
+function getToastRegion() {
+    let region = document.querySelector('.toast-region');
+
+    if (!region) {
+        region = document.createElement('div');
+        region.className = 'toast-region';
+        region.setAttribute('aria-live', 'polite');
+        document.body.appendChild(region);
+    }
+
+    return region;
+}
@@ -0,0 +1,480 @@
+/**
+ * Virtualized Photo Grid
+ * Lays the album out as rows computed from photo data, groups the rows into chunks,
+ * and only mounts the thumbnails of chunks near the viewport. Unmounted chunks keep
+ * their exact height, so scrolling never jumps and albums with hundreds of photos
+ * stay responsive on phones. Albums with sections get a header before each section's
+ * rows, and rows never span two sections. The grid is one tab stop: arrow keys move
+ * between thumbnails (roving tabindex), mounting chunks as needed.
+ */
+
+// Rows of thumbnails per chunk (the unit that is mounted and unmounted)
+const ROWS_PER_CHUNK = 5;
+
+// Chunks within this distance of the viewport stay mounted
+const CHUNK_ROOT_MARGIN = '1500px 0px';
+
+// Aspect ratio used for photos whose dimensions weren't recorded
+const DEFAULT_ASPECT_RATIO = 1;
+
+// Virtual grid state: {container, layout, sections, width, chunks: [{element, rows, mounted}],
+// focusIndex: photo whose thumbnail holds the grid's tab stop}
+let virtualGrid = null;
+
+// Observers and pending relayout
+let chunkObserver = null;
+let gridResizeObserver = null;
+let relayoutFrame = null;
+
+/**
+ * Render the album photos into the grid container as virtualized chunks
+ * @param {HTMLElement} gridContainer - The #photo-grid element
+ * @param {string} layout - 'grid' or 'justified'
+ * @param {Object[]} [sections] - Album sections ({id, title, startIndex, count}); none renders one untitled run of photos
+ */
+function renderVirtualGrid(gridContainer, layout, sections = []) {
+    if (chunkObserver) {
+        chunkObserver.disconnect();
+    }
+    if (gridResizeObserver) {
+        gridResizeObserver.disconnect();
+    }
+
+    virtualGrid = { container: gridContainer, layout, sections, width: 0, chunks: [], focusIndex: 0 };
+    gridContainer.classList.toggle('justified', layout === 'justified');
+
+    // Same listener functions each time, so rendering again doesn't add them twice
+    gridContainer.addEventListener('keydown', handleGridKeydown);
+    gridContainer.addEventListener('focusin', handleGridFocus);
+
+    chunkObserver = new IntersectionObserver(handleChunkIntersection, { rootMargin: CHUNK_ROOT_MARGIN });
+
+    // Re-flow whenever the grid's width changes (window resize, orientation change)
+    gridResizeObserver = new ResizeObserver(() => {
+        if (gridContainer.clientWidth !== virtualGrid.width) {
+            scheduleVirtualGridRelayout();
+        }
+    });
+
+    buildChunks();
+    gridResizeObserver.observe(gridContainer);
+}
+
+/**
+ * Recompute the layout and replace every chunk, keeping the photo at the top of the
+ * viewport in place
+ */
+function buildChunks() {
+    const { container } = virtualGrid;
+    const anchor = getScrollAnchor();
+    const gap = getGridGap(container);
+
+    virtualGrid.width = container.clientWidth;
+
+    chunkObserver.disconnect();
+    container.replaceChildren();
+    virtualGrid.chunks = [];
+
+    const sections = virtualGrid.sections.length > 0
+        ? virtualGrid.sections
+        : [{ startIndex: 0, count: albumPhotos.length }];
+
+    sections.forEach(section => {
+        if (section.title) {
+            container.appendChild(createSectionHeader(section));
+        }
+
+        const rows = computeLayoutRows(section.startIndex, section.count, virtualGrid.width, gap);
+
+        for (let i = 0; i < rows.length; i += ROWS_PER_CHUNK) {
+            const chunkRows = rows.slice(i, i + ROWS_PER_CHUNK);
+            const element = document.createElement('div');
+            element.className = 'photo-chunk';
+            element.dataset.chunk = virtualGrid.chunks.length;
+            element.style.height = `${getChunkHeight(chunkRows, gap)}px`;
+
+            virtualGrid.chunks.push({ element, rows: chunkRows, mounted: false });
+            container.appendChild(element);
+            chunkObserver.observe(element);
+        }
+    });
+
+    restoreScrollAnchor(anchor);
+}
+
+/**
+ * Compute the rows of the current layout for a run of photos
+ * @param {number} start - Index into albumPhotos of the first photo
+ * @param {number} count - Number of photos
+ * @param {number} width - Grid width in pixels
+ * @param {number} gap - Space between photos in pixels
+ * @returns {Array<{height: number, items: Array<{index: number, width: number, height: number}>}>} Rows
+ */
+function computeLayoutRows(start, count, width, gap) {
+    if (virtualGrid.layout === 'justified') {
+        const aspectRatios = albumPhotos.slice(start, start + count).map(getPhotoAspectRatio);
+        const rows = computeJustifiedRows(aspectRatios, width, gap, getJustifiedRowHeight());
+
+        // computeJustifiedRows numbers the photos it was given from 0
+        rows.forEach(row => row.items.forEach(item => {
+            item.index += start;
+        }));
+        return rows;
+    }
+
+    return computeGridRows(start, count, width, gap);
+}
+
+/**
+ * Split a run of photos into rows of equal square cells
+ * Column sizing comes from the --grid-min-cell and --grid-columns properties in album.css
+ * @param {number} first - Index into albumPhotos of the first photo
+ * @param {number} count - Number of photos
+ * @param {number} width - Grid width in pixels
+ * @param {number} gap - Space between photos in pixels
+ * @returns {Array<{height: number, items: Array<{index: number, width: number, height: number}>}>} Rows
+ */
+function computeGridRows(first, count, width, gap) {
+    const styles = getComputedStyle(virtualGrid.container);
+    const minCell = parseFloat(styles.getPropertyValue('--grid-min-cell')) || 250;
+    const fixedColumns = parseInt(styles.getPropertyValue('--grid-columns'), 10) || 0;
+
+    const columns = fixedColumns || Math.max(1, Math.floor((width + gap) / (minCell + gap)));
+    const cellSize = Math.floor((width - gap * (columns - 1)) / columns * 100) / 100;
+
+    const end = first + count;
+    const rows = [];
+    for (let start = first; start < end; start += columns) {
+        const items = [];
+        for (let index = start; index < Math.min(start + columns, end); index++) {
+            items.push({ index, width: cellSize, height: cellSize });
+        }
+        rows.push({ height: cellSize, items });
+    }
+
+    return rows;
+}
+
+/**
+ * Get a photo's aspect ratio from its recorded dimensions
+ * @param {Object} photo - Photo object built by loadPhotos()
+ * @returns {number} Width / height
+ */
+function getPhotoAspectRatio(photo) {
+    const { width, height } = photo.info;
+    return width > 0 && height > 0 ? width / height : DEFAULT_ASPECT_RATIO;
+}
+
+/**
+ * Get the gap between photos from the grid's CSS
+ * @param {HTMLElement} container - The #photo-grid element
+ * @returns {number} Gap in pixels
+ */
+function getGridGap(container) {
+    return parseFloat(getComputedStyle(container).rowGap) || 0;
+}
+
+/**
+ * Get the total height of a chunk's rows including the gaps between them
+ * @param {Array<{height: number}>} rows - Rows in the chunk
+ * @param {number} gap - Space between rows in pixels
+ * @returns {number} Height in pixels
+ */
+function getChunkHeight(rows, gap) {
+    return rows.reduce((total, row) => total + row.height, 0) + gap * (rows.length - 1);
+}
+
+/**
+ * Mount chunks that come near the viewport and unmount chunks that leave it
+ * @param {IntersectionObserverEntry[]} entries - Observed chunk changes
+ */
+function handleChunkIntersection(entries) {
+    entries.forEach(entry => {
+        const chunk = virtualGrid.chunks[Number(entry.target.dataset.chunk)];
+
+        if (!chunk || chunk.element !== entry.target) {
+            return;
+        }
+
+        if (entry.isIntersecting && !chunk.mounted) {
+            mountChunk(chunk);
+        } else if (!entry.isIntersecting && chunk.mounted) {
+            unmountChunk(chunk);
+        }
+    });
+}
+
+/**
+ * Create the thumbnails for a chunk
+ * @param {Object} chunk - Chunk state
+ */
+function mountChunk(chunk) {
+    const fragment = document.createDocumentFragment();
+
+    chunk.rows.forEach(row => {
+        row.items.forEach(item => {
+            const photo = albumPhotos[item.index];
+            const thumbnail = createPhotoThumbnail(photo, item.index);
+            thumbnail.style.width = `${item.width}px`;
+            thumbnail.style.height = `${item.height}px`;
+
+            // Let the browser pick the right srcset tier for the thumbnail's actual size
+            const image = thumbnail.querySelector('img');
+            if (image.srcset) {
+                image.sizes = `${Math.ceil(item.width)}px`;
+            }
+
+            if (virtualGrid.layout === 'justified') {
+                watchForMissingDimensions(image, photo);
+            }
+
+            fragment.appendChild(thumbnail);
+        });
+    });
+
+    chunk.element.appendChild(fragment);
+    chunk.mounted = true;
+    updateGridTabStop();
+}
+
+/**
+ * Remove a chunk's thumbnails, leaving the sized chunk element as a spacer
+ * @param {Object} chunk - Chunk state
+ */
+function unmountChunk(chunk) {
+    chunk.element.replaceChildren();
+    chunk.mounted = false;
+    updateGridTabStop();
+}
+
+/**
+ * Learn a photo's dimensions when it loads if the album JSON didn't record them,
+ * then re-flow the justified rows with the real aspect ratio
+ * @param {HTMLImageElement} image - Thumbnail image
+ * @param {Object} photo - Photo object built by loadPhotos()
+ */
+function watchForMissingDimensions(image, photo) {
+    if (photo.info.width && photo.info.height) {
+        return;
+    }
+
+    image.addEventListener('load', () => {
+        photo.info.width = image.naturalWidth;
+        photo.info.height = image.naturalHeight;
+        scheduleVirtualGridRelayout();
+    }, { once: true });
+}
+
+/**
+ * Rebuild the layout on the next animation frame, coalescing repeated requests
+ */
+function scheduleVirtualGridRelayout() {
+    if (relayoutFrame) {
+        return;
+    }
+
+    relayoutFrame = requestAnimationFrame(() => {
+        relayoutFrame = null;
+        buildChunks();
+    });
+}
+
+/**
+ * Find the first chunk at or below the top of the viewport
+ * @returns {{index: number, top: number}|null} Its first photo index and viewport offset
+ */
+function getScrollAnchor() {
+    for (const chunk of virtualGrid.chunks) {
+        const rect = chunk.element.getBoundingClientRect();
+        if (rect.bottom > 0) {
+            return { index: chunk.rows[0].items[0].index, top: rect.top };
+        }
+    }
+    return null;
+}
+
+/**
+ * Scroll so the chunk holding the anchor photo sits where the old chunk was
+ * @param {{index: number, top: number}|null} anchor - Anchor from getScrollAnchor()
+ */
+function restoreScrollAnchor(anchor) {
+    if (!anchor) {
+        return;
+    }
+
+    const chunk = virtualGrid.chunks.find(candidate => {
+        const lastRow = candidate.rows[candidate.rows.length - 1];
+        return anchor.index <= lastRow.items[lastRow.items.length - 1].index;
+    });
+
+    if (chunk) {
+        window.scrollBy(0, chunk.element.getBoundingClientRect().top - anchor.top);
+    }
+}
+
+/**
+ * Give the grid's single tab stop to the focused photo's thumbnail, or to the first mounted
+ * thumbnail while that one is scrolled far away and unmounted
+ */
+function updateGridTabStop() {
+    const links = Array.from(virtualGrid.container.querySelectorAll('.photo-thumbnail-link'));
+    const focused = links.find(link => getThumbnailIndex(link) === virtualGrid.focusIndex) || links[0];
+
+    links.forEach(link => {
+        link.tabIndex = link === focused ? 0 : -1;
+    });
+}
+
+/**
+ * Get the photo index of a thumbnail link
+ * @param {HTMLElement} link - Thumbnail link
+ * @returns {number} Index into albumPhotos
+ */
+function getThumbnailIndex(link) {
+    return Number(link.closest('.photo-thumbnail').dataset.index);
+}
+
+/**
+ * Move the grid's tab stop to a photo without focusing it (e.g. after jumping to a section)
+ * @param {number} index - Index into albumPhotos
+ */
+function setGridFocusIndex(index) {
+    if (!virtualGrid) {
+        return;
+    }
+
+    virtualGrid.focusIndex = index;
+    updateGridTabStop();
+}
+
+/**
+ * Scroll a photo's thumbnail into view and focus it, mounting its chunk first if needed
+ * @param {number} index - Index into albumPhotos
+ */
+function focusPhotoThumbnail(index) {
+    if (!virtualGrid || !albumPhotos[index]) {
+        return;
+    }
+
+    const chunk = virtualGrid.chunks.find(candidate =>
+        candidate.rows.some(row => row.items.some(item => item.index === index)));
+    if (chunk && !chunk.mounted) {
+        mountChunk(chunk);
+    }
+
+    virtualGrid.focusIndex = index;
+    updateGridTabStop();
+
+    const thumbnail = virtualGrid.container.querySelector(`.photo-thumbnail[data-index="${index}"]`);
+    if (thumbnail) {
+        thumbnail.scrollIntoView({ block: 'nearest' });
+        thumbnail.querySelector('.photo-thumbnail-link').focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Keep the tab stop on the thumbnail focused by clicking or tabbing
+ * @param {FocusEvent} e - focusin event on the photo grid
+ */
+function handleGridFocus(e) {
+    if (e.target.classList.contains('photo-thumbnail-link')) {
+        setGridFocusIndex(getThumbnailIndex(e.target));
+    }
+}
+
+/**
+ * Keyboard use of the grid: arrow keys move between thumbnails, Home/End to the start and end
+ * of the row (with Ctrl, of the album), Space opens the photo like Enter, and F toggles the
+ * photo's favorite heart
+ * @param {KeyboardEvent} e - Key event on the photo grid
+ */
+function handleGridKeydown(e) {
+    if (!e.target.classList.contains('photo-thumbnail-link') || e.altKey || e.metaKey) {
+        return;
+    }
+
+    const index = getThumbnailIndex(e.target);
+
+    if (e.key === ' ') {
+        e.preventDefault();
+        e.target.click();
+        return;
+    }
+
+    if ((e.key === 'f' || e.key === 'F') && !e.ctrlKey) {
+        const toggle = e.target.closest('.photo-thumbnail').querySelector('.favorite-toggle');
+        if (toggle) {
+            toggle.click();
+        }
+        return;
+    }
+
+    const target = getKeyboardTarget(index, e.key, e.ctrlKey);
+    if (target === null) {
+        return;
+    }
+
+    e.preventDefault();
+    focusPhotoThumbnail(target);
+}
+
+/**
+ * Work out which photo a navigation key moves to from a photo
+ * Up and down go to the horizontally nearest photo in the row above or below, across sections
+ * @param {number} index - Index into albumPhotos of the focused photo
+ * @param {string} key - KeyboardEvent key
+ * @param {boolean} ctrlKey - Whether Ctrl is held (Home/End go to the album's first/last photo)
+ * @returns {number|null} Index to move to, or null for keys the grid doesn't handle
+ */
+function getKeyboardTarget(index, key, ctrlKey) {
+    const lastIndex = albumPhotos.length - 1;
+    const rows = virtualGrid.chunks.flatMap(chunk => chunk.rows);
+    const rowIndex = rows.findIndex(row => row.items.some(item => item.index === index));
+    const row = rows[rowIndex];
+
+    switch (key) {
+        case 'ArrowLeft':
+            return Math.max(0, index - 1);
+        case 'ArrowRight':
+            return Math.min(lastIndex, index + 1);
+        case 'Home':
+            return ctrlKey || !row ? 0 : row.items[0].index;
+        case 'End':
+            return ctrlKey || !row ? lastIndex : row.items[row.items.length - 1].index;
+        case 'ArrowUp':
+        case 'ArrowDown': {
+            const nextRow = rows[rowIndex + (key === 'ArrowUp' ? -1 : 1)];
+            if (!row || !nextRow) {
+                return index;
+            }
+
+            const center = getItemCenter(row, index);
+            return nextRow.items.reduce((nearest, item) =>
+                Math.abs(getItemCenter(nextRow, item.index) - center) < Math.abs(getItemCenter(nextRow, nearest) - center)
+                    ? item.index
+                    : nearest,
+            nextRow.items[0].index);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the horizontal center of a photo within its row
+ * @param {{items: Array<{index: number, width: number}>}} row - Layout row
+ * @param {number} index - Index into albumPhotos of a photo in the row
+ * @returns {number} Offset of the photo's center from the row start in pixels
+ */
+function getItemCenter(row, index) {
+    const gap = getGridGap(virtualGrid.container);
+    let left = 0;
+
+    for (const item of row.items) {
+        if (item.index === index) {
+            return left + item.width / 2;
+        }
+        left += item.width + gap;
+    }
+    return left;
+}
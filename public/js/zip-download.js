@@ -0,0 +1,333 @@
+/**
+ * ZIP Download
+ * Streams original photos from the photo server into a ZIP archive in the browser
+ */
+
+// client-zip is an ES module, so it is loaded on demand with a dynamic import
+const CLIENT_ZIP_URL = 'https://cdn.jsdelivr.net/npm/client-zip@2.5.1/index.js';
+
+// Cached client-zip module after the first download
+let clientZipModule = null;
+
+// How long the service worker gets to take over a streamed download before ZIP parts are used instead (milliseconds)
+const STREAM_DOWNLOAD_TIMEOUT = 3000;
+
+// Largest ZIP part built in memory where the archive can't be streamed to disk (bytes)
+const ZIP_PART_MAX_BYTES = 200 * 1024 * 1024;
+
+// How long a saved Blob's URL is kept before it is revoked, so the browser has started reading it (milliseconds)
+const BLOB_URL_LIFETIME = 10000;
+
+/**
+ * Load the client-zip library from the CDN
+ * @returns {Promise<Object>} client-zip module
+ */
+async function loadClientZip() {
+    if (!clientZipModule) {
+        try {
+            clientZipModule = await import(CLIENT_ZIP_URL);
+        } catch (error) {
+            throw new Error(`Could not load ZIP library from ${CLIENT_ZIP_URL}: ${error.message}`);
+        }
+    }
+    return clientZipModule;
+}
+
+/**
+ * Build a ZIP filename from an album name ("Wild Wild West 10-23-2025" -> "Wild-Wild-West-10-23-2025.zip")
+ * @param {string} albumName - Display name of the album
+ * @returns {string} Archive filename
+ */
+function getArchiveName(albumName) {
+    const slug = (albumName || '')
+        .replace(/[^A-Za-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    return `${slug || 'photos'}.zip`;
+}
+
+/**
+ * Give a ZIP entry a name no other entry of the archive has, so extractors don't overwrite one photo
+ * with another: photos whose ids end in the same number (e.g. from two albums of the same name in
+ * the Favorites view) get "-2", "-3", ... before the extension
+ * @param {string} filename - Download filename of the photo
+ * @param {Set<string>} usedNames - Names already in the archive (lowercase); the new name is added
+ * @returns {string} Unique entry name
+ */
+function getUniqueEntryName(filename, usedNames) {
+    const dot = filename.lastIndexOf('.');
+    const base = dot > 0 ? filename.substring(0, dot) : filename;
+    const extension = dot > 0 ? filename.substring(dot) : '';
+
+    let name = filename;
+    for (let copy = 2; usedNames.has(name.toLowerCase()); copy++) {
+        name = `${base}-${copy}${extension}`;
+    }
+
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
+/**
+ * Fetch originals one at a time as the ZIP stream asks for them
+ * Only the file currently being zipped is in flight, so memory use stays flat
+ * regardless of how many photos are selected
+ * @param {Object[]} photos - Photo objects with an original URL
+ * @param {AbortSignal} signal - Cancels the in-flight fetch
+ * @param {Function} onProgress - Called with (completedCount, totalCount)
+ */
+async function* fetchZipEntries(photos, signal, onProgress) {
+    const usedNames = new Set();
+
+    for (let i = 0; i < photos.length; i++) {
+        signal.throwIfAborted();
+        onProgress(i, photos.length);
+
+        const filename = getUniqueEntryName(getPhotoDownloadName(photos[i]), usedNames);
+        const response = await fetchPhoto(photos[i].original, { signal });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${filename}: HTTP ${response.status} ${response.statusText}`);
+        }
+
+        yield { name: filename, input: response };
+    }
+}
+
+/**
+ * Ask the user where to save the archive (File System Access API, Chromium browsers)
+ * Must be called before any other await so the click still counts as user activation
+ * @param {string} archiveName - Suggested filename
+ * @returns {Promise<FileSystemFileHandle|null>} File handle, null if the picker is unsupported
+ */
+async function pickArchiveFile(archiveName) {
+    if (typeof window.showSaveFilePicker !== 'function') {
+        return null;
+    }
+
+    return window.showSaveFilePicker({
+        suggestedName: archiveName,
+        types: [{
+            description: 'ZIP archive',
+            accept: { 'application/zip': ['.zip'] }
+        }]
+    });
+}
+
+/**
+ * Save a Blob through a temporary download link
+ * The URL is revoked a little later: Firefox and Safari can drop a download whose URL is revoked right away
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Download filename
+ */
+function saveBlob(blob, filename) {
+    const downloadLink = document.createElement('a');
+    downloadLink.href = URL.createObjectURL(blob);
+    downloadLink.download = filename;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+    setTimeout(() => URL.revokeObjectURL(downloadLink.href), BLOB_URL_LIFETIME);
+}
+
+/**
+ * Hand a download over to the service worker (sw.js), which serves it at a URL of its own
+ * @param {string} filename - Download filename
+ * @returns {Promise<{port: MessagePort, url: string}|null>} Port to stream the file through, or null
+ *          when no service worker controls the page (or it is an older one that doesn't stream)
+ */
+function openStreamDownload(filename) {
+    const worker = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+    if (!worker || typeof MessageChannel !== 'function') {
+        return Promise.resolve(null);
+    }
+
+    const id = crypto.randomUUID();
+    const channel = new MessageChannel();
+
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            channel.port1.close();
+            resolve(null);
+        }, STREAM_DOWNLOAD_TIMEOUT);
+
+        channel.port1.onmessage = ({ data }) => {
+            if (data.type === 'ready') {
+                clearTimeout(timer);
+                resolve({
+                    port: channel.port1,
+                    url: new URL(`${STREAM_DOWNLOAD_PATH}${id}/${encodeURIComponent(filename)}`, document.baseURI).toString()
+                });
+            }
+        };
+
+        worker.postMessage({ type: 'stream-download', id, filename }, [channel.port2]);
+    });
+}
+
+/**
+ * Stream the archive to disk through the service worker: a hidden frame opens the download URL,
+ * and each chunk of the archive is read only when the service worker asks for it
+ * @param {ReadableStream} zipStream - Archive stream from client-zip
+ * @param {{port: MessagePort, url: string}} download - Download from openStreamDownload()
+ * @param {AbortSignal} signal - Cancels the download
+ * @returns {Promise<void>} Resolves once the whole archive has been handed over
+ */
+function streamArchiveDownload(zipStream, { port, url }, signal) {
+    const reader = zipStream.getReader();
+    const frame = document.createElement('iframe');
+    frame.hidden = true;
+
+    return new Promise((resolve, reject) => {
+        const finish = (error) => {
+            signal.removeEventListener('abort', onAbort);
+            port.close();
+            // Removing the frame straight away can cancel the download in some browsers
+            setTimeout(() => frame.remove(), BLOB_URL_LIFETIME);
+
+            if (error) {
+                reader.cancel(error).catch(() => {});
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+
+        const onAbort = () => {
+            port.postMessage({ type: 'error', message: 'Download cancelled' });
+            finish(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort);
+
+        port.onmessage = async ({ data }) => {
+            if (data.type === 'cancel') {
+                finish(new DOMException('Download cancelled', 'AbortError'));
+                return;
+            }
+            if (data.type !== 'pull') {
+                return;
+            }
+
+            try {
+                const { done, value } = await reader.read();
+                if (done) {
+                    port.postMessage({ type: 'done' });
+                    finish(null);
+                } else {
+                    port.postMessage({ type: 'chunk', chunk: value });
+                }
+            } catch (error) {
+                if (!signal.aborted) {
+                    port.postMessage({ type: 'error', message: error.message });
+                    finish(error);
+                }
+            }
+        };
+
+        frame.src = url;
+        document.body.appendChild(frame);
+    });
+}
+
+/**
+ * Build the archive as ZIP parts of at most ZIP_PART_MAX_BYTES each, saving every part before
+ * the next is started, for browsers the archive can't be streamed to disk in
+ * A single part keeps the archive name; otherwise they are named [album]-part1.zip, -part2.zip, ...
+ * @param {Function} makeZip - client-zip's makeZip
+ * @param {AsyncGenerator} entries - ZIP entries from fetchZipEntries()
+ * @param {string} archiveName - Archive filename
+ * @param {AbortSignal} signal - Cancels the download
+ */
+async function saveArchiveInParts(makeZip, entries, archiveName, signal) {
+    const carry = { entry: null, done: false };
+
+    for (let part = 1; !carry.done; part++) {
+        const blob = await new Response(makeZip(takeZipPart(entries, carry))).blob();
+        signal.throwIfAborted();
+
+        const partName = part === 1 && carry.done
+            ? archiveName
+            : archiveName.replace(/\.zip$/, `-part${part}.zip`);
+        saveBlob(blob, partName);
+    }
+}
+
+/**
+ * Pass on ZIP entries until the next would take the part past ZIP_PART_MAX_BYTES
+ * The entry that didn't fit is left in carry for the next part; carry.done is set once
+ * there are no entries left
+ * @param {AsyncGenerator} entries - ZIP entries from fetchZipEntries()
+ * @param {{entry: Object|null, done: boolean}} carry - State shared between the parts
+ */
+async function* takeZipPart(entries, carry) {
+    let partBytes = 0;
+
+    for (;;) {
+        let entry = carry.entry;
+        carry.entry = null;
+
+        if (!entry) {
+            const next = await entries.next();
+            if (next.done) {
+                carry.done = true;
+                return;
+            }
+            // The part is built in memory anyway; reading the photo first gives its size
+            entry = { name: next.value.name, input: await next.value.input.blob() };
+        }
+
+        if (partBytes > 0 && partBytes + entry.input.size > ZIP_PART_MAX_BYTES) {
+            carry.entry = entry;
+            return;
+        }
+
+        partBytes += entry.input.size;
+        yield entry;
+    }
+}
+
+/**
+ * Download photos' originals as a ZIP archive without holding the archive in memory
+ * - Chromium browsers: streamed straight to a file chosen with the save dialog
+ * - Elsewhere: streamed to a normal download through the service worker
+ * - Without a service worker: saved as ZIP parts of at most ZIP_PART_MAX_BYTES each
+ * @param {Object[]} photos - Photo objects with an original URL
+ * @param {string} albumName - Album display name, used for the archive filename
+ * @param {Object} options - Download options
+ * @param {AbortSignal} options.signal - Cancels the download
+ * @param {Function} options.onProgress - Called with (completedCount, totalCount)
+ * @returns {Promise<boolean>} False if the user dismissed the save dialog
+ */
+async function downloadPhotosAsZip(photos, albumName, { signal, onProgress }) {
+    const archiveName = getArchiveName(albumName);
+
+    let fileHandle;
+    try {
+        fileHandle = await pickArchiveFile(archiveName);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return false;
+        }
+        throw error;
+    }
+
+    const { makeZip } = await loadClientZip();
+    const entries = fetchZipEntries(photos, signal, onProgress);
+
+    if (fileHandle) {
+        const writable = await fileHandle.createWritable();
+        // pipeTo aborts the writable on cancel, discarding the partial file
+        await makeZip(entries).pipeTo(writable, { signal });
+    } else {
+        const streamDownload = await openStreamDownload(archiveName);
+
+        if (streamDownload) {
+            await streamArchiveDownload(makeZip(entries), streamDownload, signal);
+        } else {
+            await saveArchiveInParts(makeZip, entries, archiveName, signal);
+        }
+    }
+
+    onProgress(photos.length, photos.length);
+    return true;
+}
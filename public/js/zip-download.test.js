@@ -0,0 +1,64 @@
+/**
+ * Tests for the names of photos inside album ZIPs (getArchiveName and getUniqueEntryName in zip-download.js)
+ * Run with `npm test` (node --test)
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const vm = require('vm');
+
+// Page scripts share the page's global scope, so this one runs in the test's
+const filename = path.join(__dirname, 'zip-download.js');
+vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+
+describe('getArchiveName', () => {
+    it('turns the album name into a filename', () => {
+        assert.equal(getArchiveName('Wild Wild West 10-23-2025'), 'Wild-Wild-West-10-23-2025.zip');
+        assert.equal(getArchiveName('  "Rush" / Fall \'25!  '), 'Rush-Fall-25.zip');
+    });
+
+    it('uses "photos" when the name has nothing to keep', () => {
+        assert.equal(getArchiveName(''), 'photos.zip');
+        assert.equal(getArchiveName('???'), 'photos.zip');
+        assert.equal(getArchiveName(undefined), 'photos.zip');
+    });
+});
+
+describe('getUniqueEntryName', () => {
+    it('keeps a name the archive does not have yet and records it', () => {
+        const usedNames = new Set();
+
+        assert.equal(getUniqueEntryName('Formal-2024_001.jpg', usedNames), 'Formal-2024_001.jpg');
+        assert.deepEqual([...usedNames], ['formal-2024_001.jpg']);
+    });
+
+    it('numbers repeated names before the extension', () => {
+        const usedNames = new Set();
+
+        assert.equal(getUniqueEntryName('Formal-2024_001.jpg', usedNames), 'Formal-2024_001.jpg');
+        assert.equal(getUniqueEntryName('Formal-2024_001.jpg', usedNames), 'Formal-2024_001-2.jpg');
+        assert.equal(getUniqueEntryName('Formal-2024_001.jpg', usedNames), 'Formal-2024_001-3.jpg');
+    });
+
+    it('treats names differing only in case as the same (case-insensitive file systems)', () => {
+        const usedNames = new Set();
+
+        assert.equal(getUniqueEntryName('Formal-2024_001.JPG', usedNames), 'Formal-2024_001.JPG');
+        assert.equal(getUniqueEntryName('formal-2024_001.jpg', usedNames), 'formal-2024_001-2.jpg');
+    });
+
+    it('skips numbered names that another photo already has', () => {
+        const usedNames = new Set(['rush_001.jpg', 'rush_001-2.jpg']);
+
+        assert.equal(getUniqueEntryName('Rush_001.jpg', usedNames), 'Rush_001-3.jpg');
+    });
+
+    it('numbers names without an extension at the end', () => {
+        const usedNames = new Set(['readme', '.hidden']);
+
+        assert.equal(getUniqueEntryName('README', usedNames), 'README-2');
+        assert.equal(getUniqueEntryName('.hidden', usedNames), '.hidden-2');
+    });
+});
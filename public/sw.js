@@ -0,0 +1,467 @@
+/**
+ * Service Worker
+ * Keeps the gallery usable with bad or no signal (events, basements):
+ * - albums.json, album-index.json and albums/*.json: stale-while-revalidate. When a revalidated
+ *   albums.json or album-index.json differs (upload.sh added or removed albums), open pages are
+ *   told so the home page re-renders, and cached data of albums that are gone is deleted
+ * - Thumbnails from the photo servers (/thumb and /low webPs): cache first, keyed by path so
+ *   every photo origin shares one copy; offline, the lightbox's /display webPs fall back to them
+ * - Pages, CSS and JS: network first (cached copy after a few seconds without an answer)
+ * - Albums saved with "Save for offline" (offline.js) are cached by the page, not here
+ * - ZIP downloads (zip-download.js) in browsers without a save dialog: the page hands over a
+ *   MessagePort and this worker answers the download URL with a stream it pulls from the page
+ *   one chunk at a time, so the archive goes to disk as it is built
+ */
+
+importScripts('js/offline-caches.js');
+
+// Pages cached on install, together with the same-origin CSS, JS and images they reference
+const SHELL_PAGES = ['index.html', 'album.html'];
+
+// Third-party files the pages need (fonts, GLightbox), cached with stale-while-revalidate
+const THIRD_PARTY_ORIGINS = [
+    'https://fonts.googleapis.com',
+    'https://fonts.gstatic.com',
+    'https://cdn.jsdelivr.net'
+];
+
+// Larger photo tiers loaded from the network, with a cached thumbnail standing in offline
+const FALLBACK_PHOTO_TIERS = ['display'];
+
+// Data files whose changes mean albums were added or removed
+const ALBUM_LIST_PATHS = ['/albums.json', '/album-index.json'];
+
+// Viewed thumbnails kept (the oldest are deleted first; saved albums don't count)
+const PHOTO_CACHE_MAX_ENTRIES = 1000;
+
+// How long a page waits for the network before using its cached copy (milliseconds)
+const NETWORK_TIMEOUT = 4000;
+
+// Trim of the viewed thumbnails cache in progress (one at a time)
+let photoCacheTrim = null;
+
+// Streamed downloads waiting for their download request, by id: {port, filename}
+const streamDownloads = new Map();
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+});
+
+// A page hands over a streamed download (see zip-download.js)
+self.addEventListener('message', (event) => {
+    const { data } = event;
+
+    if (data && data.type === 'stream-download' && event.ports[0]) {
+        streamDownloads.set(data.id, { port: event.ports[0], filename: data.filename });
+        event.ports[0].postMessage({ type: 'ready' });
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith(getStreamDownloadPathname())) {
+            event.respondWith(streamDownload(url));
+        } else if (isDataPath(url.pathname)) {
+            event.respondWith(staleWhileRevalidate(event, OFFLINE_CACHES.data, getDataCacheKey(url), onDataChanged));
+        } else {
+            event.respondWith(networkFirst(event));
+        }
+        return;
+    }
+
+    if (THIRD_PARTY_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(event, OFFLINE_CACHES.shell, request.url));
+        return;
+    }
+
+    const photo = parsePhotoPath(request.url);
+    if (photo && OFFLINE_PHOTO_TIERS.includes(photo.tier)) {
+        event.respondWith(cacheFirstPhoto(event, photo));
+    } else if (photo && FALLBACK_PHOTO_TIERS.includes(photo.tier)) {
+        event.respondWith(networkPhotoWithFallback(request, photo));
+    }
+});
+
+/**
+ * Cache the shell pages and the same-origin files they reference
+ * A file that fails to download is skipped (it is cached the next time it loads)
+ */
+async function precacheShell() {
+    const cache = await caches.open(OFFLINE_CACHES.shell);
+    const files = new Set();
+
+    for (const page of SHELL_PAGES) {
+        const response = await fetch(page, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Could not cache ${page}: HTTP ${response.status}`);
+        }
+
+        const html = await response.clone().text();
+        await cache.put(getShellCacheKey(response.url), await withoutRedirect(response));
+
+        // Relative src/href values are the page's own CSS, JS, images and manifest
+        for (const [, file] of html.matchAll(/\b(?:src|href)="([^"#:?]+\.(?:css|js|webp|png|svg|webmanifest))"/g)) {
+            files.add(new URL(file, self.registration.scope).toString());
+        }
+    }
+
+    const results = await Promise.allSettled([...files].map(async (file) => {
+        const response = await fetch(file, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        await cache.put(getShellCacheKey(file), await withoutRedirect(response));
+    }));
+
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            console.warn(`Could not cache ${[...files][i]}: ${result.reason.message}`);
+        }
+    });
+}
+
+/**
+ * Delete caches from other cache versions
+ */
+async function deleteOldCaches() {
+    const current = Object.values(OFFLINE_CACHES);
+    const names = await caches.keys();
+
+    await Promise.all(names
+        .filter(name => name.startsWith(OFFLINE_CACHE_PREFIX))
+        .filter(name => !current.includes(name) && !name.startsWith(SAVED_ALBUM_CACHE_PREFIX))
+        .map(name => caches.delete(name)));
+}
+
+/**
+ * Get the path streamed downloads are served under
+ * @returns {string} URL path, e.g. /stream-download/
+ */
+function getStreamDownloadPathname() {
+    return new URL(STREAM_DOWNLOAD_PATH, self.registration.scope).pathname;
+}
+
+/**
+ * Answer a streamed download's URL with the data the page sends through its MessagePort
+ * Each chunk is asked for only when the browser has written the previous one, so neither side
+ * holds more than a chunk; the page's messages also keep this worker alive meanwhile
+ * @param {URL} url - Download URL ([path][id]/[filename])
+ * @returns {Response} Download response
+ */
+function streamDownload(url) {
+    const id = url.pathname.slice(getStreamDownloadPathname().length).split('/')[0];
+    const download = streamDownloads.get(id);
+
+    if (!download) {
+        return new Response('This download has expired', { status: 404 });
+    }
+    streamDownloads.delete(id);
+
+    const { port, filename } = download;
+    let chunkArrived = null;
+
+    const stream = new ReadableStream({
+        start(controller) {
+            port.onmessage = ({ data }) => {
+                if (data.type === 'chunk') {
+                    controller.enqueue(data.chunk);
+                } else if (data.type === 'done') {
+                    controller.close();
+                } else if (data.type === 'error') {
+                    controller.error(new Error(data.message));
+                }
+
+                if (chunkArrived) {
+                    chunkArrived();
+                    chunkArrived = null;
+                }
+            };
+        },
+        pull() {
+            return new Promise(resolve => {
+                chunkArrived = resolve;
+                port.postMessage({ type: 'pull' });
+            });
+        },
+        // The download was cancelled in the browser
+        cancel() {
+            port.postMessage({ type: 'cancel' });
+        }
+    });
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${filename.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+        }
+    });
+}
+
+/**
+ * Check whether a same-origin path is album data
+ * @param {string} pathname - URL path
+ * @returns {boolean} True for albums.json, album-index.json and albums/*.json
+ */
+function isDataPath(pathname) {
+    return ALBUM_LIST_PATHS.includes(pathname) || /^\/albums\/[^/]+\.json$/.test(pathname);
+}
+
+/**
+ * Get the cache key of an album data file (query strings are ignored)
+ * @param {URL} url - Data file URL
+ * @returns {string} Cache key URL
+ */
+function getDataCacheKey(url) {
+    return `${url.origin}${url.pathname}`;
+}
+
+/**
+ * Get the cache key of a page or static file
+ * Firebase cleanUrls serves album.html at /album, so both are stored as album.html
+ * @param {string} url - Request URL
+ * @returns {string} Cache key URL
+ */
+function getShellCacheKey(url) {
+    const { origin, pathname } = new URL(url);
+
+    if (pathname.endsWith('/')) {
+        return `${origin}${pathname}index.html`;
+    }
+    if (!/\.[^/]+$/.test(pathname)) {
+        return `${origin}${pathname}.html`;
+    }
+    return `${origin}${pathname}`;
+}
+
+/**
+ * Copy a response that came through a redirect (e.g. album.html to /album), since browsers
+ * refuse redirected responses for page loads
+ * @param {Response} response - Network response
+ * @returns {Promise<Response>} Response safe to cache and serve for any request
+ */
+async function withoutRedirect(response) {
+    if (!response.redirected) {
+        return response;
+    }
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+/**
+ * Answer from the network, falling back to the cached copy when the network fails or is slow
+ * @param {FetchEvent} event - Fetch event for a page or static file
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(event) {
+    const { request } = event;
+    const cache = await caches.open(OFFLINE_CACHES.shell);
+    const key = getShellCacheKey(request.url);
+
+    const network = fetch(request).then(async (response) => {
+        // Page loads get redirects unfollowed (opaqueredirect); only final responses are cached
+        if (response.ok && response.type === 'basic') {
+            await cache.put(key, await withoutRedirect(response.clone()));
+        }
+        return response;
+    });
+    event.waitUntil(network.catch(() => {}));
+
+    const cached = await cache.match(key);
+    if (!cached) {
+        return network;
+    }
+
+    // Keep the network copy coming in for next time, but don't leave the page blank meanwhile
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), NETWORK_TIMEOUT));
+    return (await Promise.race([network.catch(() => null), timeout])) || cached;
+}
+
+/**
+ * Answer from the cache when possible and refresh the cached copy from the network
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Cache to use
+ * @param {string} key - Cache key
+ * @param {Function} [onChange] - Called with the key and the new text when a cached copy changed
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(event, cacheName, key, onChange) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+    const previousText = cached && onChange ? cached.clone().text() : null;
+
+    const network = fetch(event.request, { cache: 'no-cache' }).then(async (response) => {
+        // Errors such as 404s are passed on uncached, so they never replace a good copy
+        if (!response.ok && response.type !== 'opaque') {
+            return response;
+        }
+
+        await cache.put(key, response.clone());
+
+        if (previousText) {
+            const text = await response.clone().text();
+            if (text !== await previousText) {
+                await onChange(key, text);
+            }
+        }
+        return response;
+    });
+
+    if (!cached) {
+        return network;
+    }
+
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+}
+
+/**
+ * Tell open pages that a data file changed, and drop cached data of albums that are gone
+ * @param {string} key - Data file URL
+ * @param {string} text - New file contents
+ */
+async function onDataChanged(key, text) {
+    const { pathname } = new URL(key);
+
+    if (ALBUM_LIST_PATHS.includes(pathname)) {
+        try {
+            await deleteRemovedAlbums(getAlbumNames(pathname, JSON.parse(text)));
+        } catch (error) {
+            console.warn(`Could not read ${pathname}: ${error.message}`);
+        }
+    }
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'data-updated', path: pathname.slice(1) }));
+}
+
+/**
+ * Read the album folder names from albums.json or album-index.json
+ * @param {string} pathname - Path of the file
+ * @param {Object} data - Parsed file
+ * @returns {string[]} Album folder names
+ */
+function getAlbumNames(pathname, data) {
+    if (pathname === '/albums.json') {
+        return data.albums;
+    }
+    return data.albums.map(album => album.folderName);
+}
+
+/**
+ * Delete the cached JSON, viewed thumbnails and offline copies of albums no longer listed
+ * @param {string[]} albumNames - Album folder names that still exist
+ */
+async function deleteRemovedAlbums(albumNames) {
+    const isRemoved = name => !albumNames.includes(name);
+
+    const dataCache = await caches.open(OFFLINE_CACHES.data);
+    for (const request of await dataCache.keys()) {
+        const match = new URL(request.url).pathname.match(/^\/albums\/([^/]+)\.json$/);
+        if (match && isRemoved(decodeURIComponent(match[1]))) {
+            await dataCache.delete(request);
+        }
+    }
+
+    const photoCache = await caches.open(OFFLINE_CACHES.photos);
+    const photoPrefix = new URL('photo-cache/', self.registration.scope).pathname;
+    for (const request of await photoCache.keys()) {
+        const album = new URL(request.url).pathname.slice(photoPrefix.length).split('/')[0];
+        if (isRemoved(decodeURIComponent(album))) {
+            await photoCache.delete(request);
+        }
+    }
+
+    const savedCaches = (await caches.keys()).filter(name => name.startsWith(SAVED_ALBUM_CACHE_PREFIX));
+    for (const name of savedCaches) {
+        if (isRemoved(name.slice(SAVED_ALBUM_CACHE_PREFIX.length))) {
+            await caches.delete(name);
+        }
+    }
+}
+
+/**
+ * Answer a thumbnail request from any cache (viewed or saved), downloading and caching it once
+ * Thumbnails are fetched with CORS so the cache holds readable responses instead of padded
+ * opaque ones; without CORS the photo is loaded uncached
+ * @param {FetchEvent} event - Fetch event for a thumbnail
+ * @param {Object} photo - Photo path parts from parsePhotoPath()
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirstPhoto(event, photo) {
+    const key = getPhotoCacheKey(photo, self.registration.scope);
+    const cached = await caches.match(key);
+
+    if (cached) {
+        return cached;
+    }
+
+    let response;
+    try {
+        response = await fetch(event.request.url, { mode: 'cors', credentials: 'omit' });
+    } catch (error) {
+        return fetch(event.request);
+    }
+
+    if (response.ok) {
+        const cache = await caches.open(OFFLINE_CACHES.photos);
+        await cache.put(key, response.clone());
+        event.waitUntil(trimPhotoCache());
+    }
+
+    return response;
+}
+
+/**
+ * Load a larger photo tier from the network; offline, answer with a cached thumbnail of it
+ * @param {Request} request - Photo request
+ * @param {Object} photo - Photo path parts from parsePhotoPath()
+ * @returns {Promise<Response>} Response
+ */
+async function networkPhotoWithFallback(request, photo) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        for (const tier of OFFLINE_PHOTO_TIERS) {
+            const cached = await caches.match(getPhotoCacheKey({ ...photo, tier }, self.registration.scope));
+            if (cached) {
+                return cached;
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Delete the oldest viewed thumbnails beyond PHOTO_CACHE_MAX_ENTRIES
+ * @returns {Promise<void>} Resolves when the trim is done
+ */
+function trimPhotoCache() {
+    if (!photoCacheTrim) {
+        photoCacheTrim = (async () => {
+            const cache = await caches.open(OFFLINE_CACHES.photos);
+            // keys() lists entries in the order they were added
+            const keys = await cache.keys();
+            const excess = keys.slice(0, Math.max(0, keys.length - PHOTO_CACHE_MAX_ENTRIES));
+            await Promise.all(excess.map(key => cache.delete(key)));
+        })().finally(() => {
+            photoCacheTrim = null;
+        });
+    }
+    return photoCacheTrim;
+}
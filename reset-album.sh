@@ -137,7 +137,7 @@ reset_album() {
     echo ""
     print_warning "This will:"
     print_warning "  - Move all photos from /full back to album root"
-    print_warning "  - Delete the /low directory and all thumbnails"
+    print_warning "  - Delete the /thumb, /display and /low directories (all webP sizes and video posters)"
     print_warning "  - Delete the /full directory"
     print_warning "  - Delete the data.json file"
     echo ""
@@ -155,12 +155,15 @@ reset_album() {
     mv "${album_path}/full"/* "${album_path}/"
     print_success "Photos moved"
 
-    # Delete /low directory
-    if [ -d "${album_path}/low" ]; then
-        print_info "Deleting /low directory..."
-        rm -rf "${album_path}/low"
-        print_success "Thumbnails deleted"
-    fi
+    # Delete the webP size tiers (thumb/ and display/, and low/ from older uploads and video posters),
+    # so the next upload.sh doesn't rsync stale copies back out
+    for tier in thumb display low; do
+        if [ -d "${album_path}/${tier}" ]; then
+            print_info "Deleting /${tier} directory..."
+            rm -rf "${album_path}/${tier}"
+            print_success "/${tier} deleted"
+        fi
+    done
 
     # Delete /full directory
     print_info "Deleting /full directory..."
@@ -7,10 +7,12 @@
 # 1. Scans for uninitialized albums (no data.json)
 # 2. Creates data.json with album metadata
 # 3. Renames photos to snake_case format
-# 4. Generates webP thumbnails (50% size)
+# 4. Generates webP size tiers (thumb and display)
 # 5. Copies originals to /full folder
 # 6. Renames album folder to snake_case
-# 7. Deploys to git and Firebase (with confirmation)
+# 7. Reads EXIF metadata from the originals into the album JSON
+# 8. Generates the albums.json manifest, album-index.json summary and share pages, then validates them
+# 9. Deploys to git and Firebase (with confirmation)
 ###############################################################################
 
 set -e  # Exit on error
@@ -26,6 +28,17 @@ NC='\033[0m' # No Color
 ALBUMS_DIR="albums"  # Photos stored here (not in /public, not deployed to Firebase)
 PUBLIC_ALBUMS_DIR="public/albums"  # Metadata (data.json) stored here (deployed to Firebase)
 
+# WebP size tiers: longest edge in pixels (never upscaled past the original)
+THUMB_MAX_SIZE=640     # thumb/ - grid thumbnails and album covers
+DISPLAY_MAX_SIZE=2048  # display/ - lightbox viewing
+
+# Video clips (.mp4, or .mov converted to .mp4) get a single poster frame in low/ at the thumb size
+VIDEO_EXTENSIONS=("mp4" "mov")
+
+# Photo folders uploaded to the nginx server (low/ only exists for albums processed before size tiers
+# and for video poster frames)
+PHOTO_FOLDERS=("low" "thumb" "display" "full")
+
 ###############################################################################
 # Helper Functions
 ###############################################################################
@@ -62,6 +75,55 @@ check_ffmpeg() {
     fi
 }
 
+# Check if Node.js and the project's runtime dependencies are installed
+# (used to read EXIF metadata and generate album-index.json; the dev dependencies, such as the
+# headless Chrome `node index.js a11y` runs, aren't needed to upload)
+check_node() {
+    if ! command -v node &> /dev/null; then
+        print_error "Node.js is not installed. Please install it first:"
+        print_info "  macOS: brew install node"
+        print_info "  Linux: sudo apt-get install nodejs"
+        exit 1
+    fi
+
+    if ! node -e "require.resolve('exifr'); require.resolve('image-size')" &> /dev/null; then
+        print_error "Node dependencies are not installed. Please run:"
+        print_info "  npm install --omit=dev"
+        exit 1
+    fi
+}
+
+# Generate a webP copy of a photo that fits within a square of the given size
+# Usage: generate_webp_tier <source> <destination> <max-size>
+generate_webp_tier() {
+    local max_size="$3"
+    ffmpeg -i "$1" \
+        -vf "scale='min(${max_size},iw)':'min(${max_size},ih)':force_original_aspect_ratio=decrease" \
+        -quality 85 "$2" -y &> /dev/null
+}
+
+# Generate a webP poster frame for a video clip that fits within a square of the given size
+# (ffmpeg's thumbnail filter picks a representative frame near the start)
+# Usage: generate_video_poster <source> <destination> <max-size>
+generate_video_poster() {
+    local max_size="$3"
+    ffmpeg -i "$1" \
+        -vf "thumbnail,scale='min(${max_size},iw)':'min(${max_size},ih)':force_original_aspect_ratio=decrease" \
+        -frames:v 1 -quality 85 "$2" -y &> /dev/null
+}
+
+# Check whether a lowercase file extension is a video clip
+# Usage: is_video_extension <extension>
+is_video_extension() {
+    local video_extension
+    for video_extension in "${VIDEO_EXTENSIONS[@]}"; do
+        if [ "$1" = "$video_extension" ]; then
+            return 0
+        fi
+    done
+    return 1
+}
+
 ###############################################################################
 # Main Processing Functions
 ###############################################################################
@@ -116,7 +178,7 @@ process_album() {
     local photo_files=()
     while IFS= read -r -d '' file; do
         photo_files+=("$file")
-    done < <(find "$album_path" -maxdepth 1 -type f \( -iname "*.jpg" -o -iname "*.jpeg" -o -iname "*.png" \) -print0)
+    done < <(find "$album_path" -maxdepth 1 -type f \( -iname "*.jpg" -o -iname "*.jpeg" -o -iname "*.png" -o -iname "*.mp4" -o -iname "*.mov" \) -print0)
     photo_count=${#photo_files[@]}
 
     if [ $photo_count -eq 0 ]; then
@@ -126,14 +188,16 @@ process_album() {
 
     print_info "Found $photo_count photos to process"
 
-    # Create low and full directories
-    mkdir -p "${album_path}low"
+    # Create size tier and full directories
+    mkdir -p "${album_path}thumb"
+    mkdir -p "${album_path}display"
     mkdir -p "${album_path}full"
 
     # Process each photo
     local index=1
     local cover_photo=""
     local photo_data=()  # Array to store: "webp_name:original_extension"
+    local still_indices=()  # Indices into photo_data that aren't videos (cover photo candidates)
 
     for photo in "${photo_files[@]}"; do
         # Get file extension
@@ -142,21 +206,47 @@ process_album() {
 
         # Generate new filenames
         base_name="${snake_album_name}_${index}"
-        original_filename="${base_name}.${extension_lower}"
         webp_filename="${base_name}.webp"
 
+        print_info "Processing photo $index/$photo_count: $(basename "$photo")"
+
+        if is_video_extension "$extension_lower"; then
+            # Video clip: MP4 in full/ (played in the lightbox and downloaded) and a poster frame in low/
+            original_filename="${base_name}.mp4"
+            photo_data+=("${webp_filename}:mp4")
+            mkdir -p "${album_path}low"
+
+            if [ "$extension_lower" = "mp4" ]; then
+                cp "$photo" "${album_path}full/${original_filename}"
+                print_success "  ✓ Copied video to full/"
+            else
+                ffmpeg -i "$photo" -c:v libx264 -crf 23 -preset medium -c:a aac \
+                    -movflags +faststart "${album_path}full/${original_filename}" -y &> /dev/null
+                print_success "  ✓ Converted video to MP4 in full/"
+            fi
+
+            generate_video_poster "$photo" "${album_path}low/${webp_filename}" "$THUMB_MAX_SIZE"
+            print_success "  ✓ Generated poster frame"
+
+            rm "$photo"
+            index=$((index + 1))
+            continue
+        fi
+
+        original_filename="${base_name}.${extension_lower}"
+
         # Store photo data (webp name and original extension)
+        still_indices+=("${#photo_data[@]}")
         photo_data+=("${webp_filename}:${extension_lower}")
 
-        print_info "Processing photo $index/$photo_count: $(basename "$photo")"
-
         # Copy original to /full directory (for downloading only)
         cp "$photo" "${album_path}full/${original_filename}"
         print_success "  ✓ Copied original to full/"
 
-        # Generate webP thumbnail at 50% size (for both thumbnails AND lightbox viewing)
-        ffmpeg -i "$photo" -vf "scale=iw*0.5:ih*0.5" -quality 85 "${album_path}low/${webp_filename}" -y &> /dev/null
-        print_success "  ✓ Generated webP thumbnail"
+        # Generate webP size tiers (thumb for the grid, display for the lightbox)
+        generate_webp_tier "$photo" "${album_path}thumb/${webp_filename}" "$THUMB_MAX_SIZE"
+        generate_webp_tier "$photo" "${album_path}display/${webp_filename}" "$DISPLAY_MAX_SIZE"
+        print_success "  ✓ Generated webP size tiers"
 
         # Delete original from album root
         rm "$photo"
@@ -164,8 +254,12 @@ process_album() {
         index=$((index + 1))
     done
 
-    # Randomly select a cover photo
-    random_index=$((RANDOM % ${#photo_data[@]}))
+    # Randomly select a cover photo (from the photos rather than the video clips when there are any)
+    if [ ${#still_indices[@]} -gt 0 ]; then
+        random_index=${still_indices[$((RANDOM % ${#still_indices[@]}))]}
+    else
+        random_index=$((RANDOM % ${#photo_data[@]}))
+    fi
     cover_photo_data="${photo_data[$random_index]}"
     cover_photo_webp="${cover_photo_data%%:*}"
 
@@ -176,11 +270,17 @@ process_album() {
     for i in "${!photo_data[@]}"; do
         local webp_name="${photo_data[$i]%%:*}"
         local orig_ext="${photo_data[$i]##*:}"
+        local photo_json="{\"webp\": \"$webp_name\", \"ext\": \"$orig_ext\"}"
+
+        # Video clips are the only MP4 originals
+        if [ "$orig_ext" = "mp4" ]; then
+            photo_json="{\"webp\": \"$webp_name\", \"ext\": \"$orig_ext\", \"type\": \"video\"}"
+        fi
 
         if [ $i -eq 0 ]; then
-            photos_json="$photos_json\n    {\"webp\": \"$webp_name\", \"ext\": \"$orig_ext\"}"
+            photos_json="$photos_json\n    $photo_json"
         else
-            photos_json="$photos_json,\n    {\"webp\": \"$webp_name\", \"ext\": \"$orig_ext\"}"
+            photos_json="$photos_json,\n    $photo_json"
         fi
     done
     photos_json="$photos_json\n  ]"
@@ -206,10 +306,18 @@ EOF
 
     print_success "Created ${snake_album_name}.json in public/albums"
 
+    # Read capture time, camera and dimensions from the originals (and size tier dimensions)
+    # into the album JSON
+    # (also sets the album date to the earliest capture time)
+    # Stops the upload (set -e) if a photo can't be read, rather than deploying it without size tiers
+    node index.js ingest "$snake_album_name"
+    print_success "Ingested photo metadata"
+
     echo ""
     print_success "Album '$album_name' processed successfully!"
     print_info "  - $photo_count photos processed"
-    print_info "  - Thumbnails: $new_album_path/low/"
+    print_info "  - Thumbnails: $new_album_path/thumb/"
+    print_info "  - Display size: $new_album_path/display/"
     print_info "  - Full size: $new_album_path/full/"
     print_info "  - Metadata: ${PUBLIC_ALBUMS_DIR}/${snake_album_name}.json"
     echo ""
@@ -249,6 +357,21 @@ generate_albums_manifest() {
     echo -e "$json_content" > "public/albums.json"
 
     print_success "Created albums.json with ${#albums[@]} album(s)"
+
+    # Build the consolidated summary index the home page renders from
+    node index.js index
+
+    # Per-album share pages with link previews (Open Graph tags and JSON-LD)
+    node index.js share
+
+    # Atom feed of albums and the sitemap (both only change when albums do)
+    node index.js feed
+
+    # Catch broken album JSON (e.g. a quote in an album name) and missing photo files before deploying
+    if ! node index.js validate; then
+        print_error "Album validation found errors (listed above) - fix them and run this script again to deploy"
+        exit 1
+    fi
 }
 
 # Deploy to git
@@ -332,10 +455,10 @@ deploy_to_nginx() {
         return
     fi
 
-    # Find all initialized albums (albums with /low and /full folders in /albums)
+    # Find all initialized albums (albums with /full and a webP folder in /albums)
     local albums_to_upload=()
     for album_dir in "$ALBUMS_DIR"/*/ ; do
-        if [ -d "$album_dir" ] && [ -d "${album_dir}low" ] && [ -d "${album_dir}full" ]; then
+        if [ -d "$album_dir" ] && [ -d "${album_dir}full" ] && { [ -d "${album_dir}low" ] || [ -d "${album_dir}thumb" ]; }; then
             albums_to_upload+=("$(basename "$album_dir")")
         fi
     done
@@ -363,11 +486,23 @@ deploy_to_nginx() {
     for album in "${albums_to_upload[@]}"; do
         print_info "Uploading album: $album"
 
+        # Photo folders this album has locally
+        local folders=()
+        for folder in "${PHOTO_FOLDERS[@]}"; do
+            if [ -d "${ALBUMS_DIR}/${album}/${folder}" ]; then
+                folders+=("$folder")
+            fi
+        done
+
         # Create album directories on server first (if they don't exist)
         print_info "  Creating directories on server..."
-        ssh "${SSH_HOST}" "mkdir -p ${NGINX_PATH}/${album}/low ${NGINX_PATH}/${album}/full"
+        local remote_dirs=""
+        for folder in "${folders[@]}"; do
+            remote_dirs="${remote_dirs} ${NGINX_PATH}/${album}/${folder}"
+        done
+        ssh "${SSH_HOST}" "mkdir -p${remote_dirs}"
 
-        # Upload low and full folders using rsync
+        # Upload photo folders using rsync
         # -a: archive mode (preserves permissions, timestamps, etc.)
         # -v: verbose
         # -z: compress during transfer
@@ -375,13 +510,11 @@ deploy_to_nginx() {
         # --delete: delete files on server that don't exist locally
         # Note: macOS rsync doesn't support --chown/--chmod, so we fix permissions via SSH after
 
-        rsync -avz --progress --delete \
-            "${ALBUMS_DIR}/${album}/low/" \
-            "${SSH_HOST}:${NGINX_PATH}/${album}/low/"
-
-        rsync -avz --progress --delete \
-            "${ALBUMS_DIR}/${album}/full/" \
-            "${SSH_HOST}:${NGINX_PATH}/${album}/full/"
+        for folder in "${folders[@]}"; do
+            rsync -avz --progress --delete \
+                "${ALBUMS_DIR}/${album}/${folder}/" \
+                "${SSH_HOST}:${NGINX_PATH}/${album}/${folder}/"
+        done
 
         # Fix ownership and permissions on server (required for nginx to serve files)
         # - Change ownership to pikapp-photos user (the nginx user)
@@ -397,7 +530,7 @@ deploy_to_nginx() {
 
     echo ""
     print_success "All photos uploaded to nginx server!"
-    print_info "Photos are now accessible at: https://pikapp-photos.ct-42210.com/[album-name]/low/[photo].webp"
+    print_info "Photos are now accessible at: https://pikapp-photos.ct-42210.com/[album-name]/thumb/[photo].webp"
 }
 
 ###############################################################################
@@ -409,8 +542,9 @@ main() {
     print_info "=== Pi Kappa Phi Photo Upload Script ==="
     echo ""
 
-    # Check for ffmpeg
+    # Check for ffmpeg and Node.js
     check_ffmpeg
+    check_node
 
     # Find uninitialized albums
     local album_count=0